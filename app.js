@@ -6,8 +6,13 @@
  * 
  * Schedule:
  * - Daily: Runs on weekdays (Mon-Fri), checks previous working day
- * - Weekly: Runs on Fridays, checks entire week (Mon-Fri)
+ * - Weekly: Runs on Fridays, checks the week so far from the Harvest company's week start day
  * - Monthly: Runs on last day of month, checks entire month
+ * - Unsubmitted (optional): Runs on Mondays, checks the previous week's timesheets were submitted
+ * - Running timers (optional): Runs on weekdays, checks for timers left running overnight
+ * - Budget (optional): Runs on weekdays, alerts project channels when budgets pass a threshold
+ * - Uninvoiced (optional): Runs on last day of month, reports uninvoiced work per client to finance
+ * - Escalation (optional): Runs after daily, weekly and monthly checks, messages project managers about repeat offenders
  *
  * @author tiaan.swart@sleeq.global
  * @version 2.0.0
@@ -16,13 +21,65 @@
 
 import dotenv from 'dotenv';
 import moment from 'moment';
-import { getHarvestUsers, getHarvestTeamTimeReport } from './utils/harvest-api.js';
-import { getSlackUsers, sendSlackMessage, matchUsersWithSlack } from './utils/slack-api.js';
-import { createDailyReminderMessage, createWeeklyReminderMessage, createMonthlyReminderMessage } from './templates/slack-templates.js';
+import {
+  getHarvestCurrentUser,
+  getHarvestUsers,
+  getHarvestTeamTimeReport,
+  getHarvestTimeEntries,
+  getHarvestRunningTimeEntries,
+  getHarvestUserAssignments,
+  getHarvestProjectBudgetReport,
+  getHarvestExpenses,
+  getHarvestUninvoicedReport,
+  HarvestApiError,
+} from './utils/harvest-api.js';
+import {
+  getSlackUsers,
+  sendSlackMessage,
+  matchUsersWithSlack,
+  matchUsersWithSlackByEmail,
+  findSlackUser,
+  findSlackUsersByEmail,
+  getSlackUserById,
+} from './utils/slack-api.js';
+import {
+  createDailyReminderMessage,
+  createWeeklyReminderMessage,
+  createMonthlyReminderMessage,
+  createUnsubmittedTimesheetMessage,
+  createRunningTimerMessage,
+  createBillableUtilisationMessage,
+  createLateLoggingMessage,
+  createBudgetAlertMessage,
+  createExpenseReminderMessage,
+  createUninvoicedReportMessage,
+  createTimesheetHygieneMessage,
+  createEscalationMessage,
+  createHarvestErrorAlertMessage,
+  createAccountContextBlock,
+} from './templates/slack-templates.js';
+import {
+  getForecastPeople,
+  getForecastProjects,
+  getForecastAssignments,
+} from './utils/forecast-api.js';
+import { readState, writeState, isStateStoreConfigured } from './utils/state-store.js';
+import { loadCompanySettings, getWeekStart } from './utils/company-settings.js';
+import {
+  getHarvestAccounts,
+  useHarvestAccount,
+  getHarvestAccount,
+  getAccountStateNamespace,
+} from './utils/harvest-accounts.js';
+import { loadSlackUserMapping } from './utils/slack-user-mapping.js';
+import { isHarvestOAuthConfigured } from './utils/harvest-oauth.js';
 import Logger from './utils/logger.js';
 
 dotenv.config();
 
+// Number of missed checks kept per user for the escalation history
+const MAX_MISS_HISTORY = 10;
+
 /**
  * Calculates the number of workdays between two dates (excluding weekends)
  *
@@ -113,6 +170,208 @@ function calculatePersonalizedThreshold(user, notificationType, timeSheetDateToC
   return baseHoursPerDay; // fallback
 }
 
+/**
+ * Checks if per-day gap detection should be used for a notification type
+ *
+ * @param {string} notificationType - 'daily', 'weekly', or 'monthly'
+ * @returns {boolean} True if weekly/monthly runs should check each workday
+ */
+function isPerDayAnalysisEnabled(notificationType) {
+  return (
+    process.env.PER_DAY_ANALYSIS_ENABLED === 'true' &&
+    ['weekly', 'monthly'].includes(notificationType)
+  );
+}
+
+/**
+ * Lists the workdays (Monday to Friday) in a date range
+ *
+ * @param {string} timeSheetDateToCheckFrom - Start date in YYYY-MM-DD format
+ * @param {string} timeSheetDateToCheckTo - End date in YYYY-MM-DD format
+ * @returns {Array<string>} Workdays in YYYY-MM-DD format
+ */
+function getWorkdaysInPeriod(timeSheetDateToCheckFrom, timeSheetDateToCheckTo) {
+  const workdays = [];
+  const day = moment(timeSheetDateToCheckFrom);
+  const end = moment(timeSheetDateToCheckTo);
+
+  while (day.isSameOrBefore(end, 'day')) {
+    if (![0, 6].includes(day.day())) {
+      workdays.push(day.format('YYYY-MM-DD'));
+    }
+    day.add(1, 'days');
+  }
+
+  return workdays;
+}
+
+/**
+ * Finds the workdays on which a user logged fewer hours than the daily threshold
+ *
+ * @param {Array} timeEntries - The user's time entries with spent_date and hours
+ * @param {Array<string>} workdays - Workdays to check in YYYY-MM-DD format
+ * @param {number|Object} hoursPerDay - Minimum hours expected per workday, or expected hours keyed by date
+ * @returns {Array<Object>} Short workdays as { date, hours }, in date order
+ */
+function findShortWorkdays(timeEntries, workdays, hoursPerDay) {
+  const hoursByDate = {};
+  timeEntries.forEach((entry) => {
+    hoursByDate[entry.spent_date] = (hoursByDate[entry.spent_date] || 0) + entry.hours;
+  });
+  const expectedHours = (date) =>
+    typeof hoursPerDay === 'object' ? hoursPerDay[date] || 0 : hoursPerDay;
+
+  return workdays
+    .map((date) => ({ date, hours: Math.round((hoursByDate[date] || 0) * 100) / 100 }))
+    .filter((day) => day.hours < expectedHours(day.date));
+}
+
+/**
+ * Totals each user's logged hours per project
+ *
+ * @param {Array} timeEntries - Time entries with user, project, client and hours
+ * @returns {Map} Arrays of { projectId, projectName, clientName, hours } keyed by user ID, most hours first
+ */
+function getProjectBreakdowns(timeEntries) {
+  const projectsByUser = new Map();
+  timeEntries.forEach((entry) => {
+    const projects = projectsByUser.get(entry.user?.id) || new Map();
+    const projectId = entry.project?.id;
+    const project = projects.get(projectId) || {
+      projectId,
+      projectName: entry.project?.name,
+      clientName: entry.client?.name,
+      hours: 0,
+    };
+    project.hours += entry.hours || 0;
+    projects.set(projectId, project);
+    projectsByUser.set(entry.user?.id, projects);
+  });
+
+  return new Map(
+    [...projectsByUser].map(([userId, projects]) => [
+      userId,
+      [...projects.values()]
+        .map((project) => ({ ...project, hours: Math.round(project.hours * 100) / 100 }))
+        .sort((a, b) => b.hours - a.hours),
+    ])
+  );
+}
+
+/**
+ * Finds the Forecast person of a Harvest user
+ *
+ * Forecast people are linked to Harvest users by harvest_user_id, with the
+ * email address as a fallback for people who were added to Forecast directly.
+ *
+ * @param {Object} user - Harvest user
+ * @param {Array} forecastPeople - Forecast people
+ * @returns {Object|undefined} Matching Forecast person, or undefined if there is no match
+ */
+function findForecastPerson(user, forecastPeople) {
+  return (
+    forecastPeople.find((person) => person.harvest_user_id === user.id) ||
+    forecastPeople.find(
+      (person) => person.email && user.email && person.email.toLowerCase() === user.email.toLowerCase()
+    )
+  );
+}
+
+/**
+ * Calculates the hours a person is scheduled to work on each workday
+ *
+ * Work assignments add their daily allocation and partial time off subtracts
+ * its allocation. Assignments without an allocation count as a full day, so
+ * a full day of time off leaves nothing scheduled.
+ *
+ * @param {Array} assignments - The person's Forecast assignments
+ * @param {Array<string>} workdays - Workdays in YYYY-MM-DD format
+ * @param {Array<number>} timeOffProjectIds - IDs of the Forecast Time Off projects
+ * @param {number} fullDayHours - Hours in a full working day
+ * @returns {Object} Scheduled hours keyed by date in YYYY-MM-DD format
+ */
+function calculateScheduledHours(assignments, workdays, timeOffProjectIds, fullDayHours) {
+  const scheduledHours = {};
+
+  workdays.forEach((date) => {
+    let workHours = 0;
+    let timeOffHours = 0;
+
+    assignments
+      .filter((assignment) => assignment.start_date <= date && assignment.end_date >= date)
+      .forEach((assignment) => {
+        const hours = assignment.allocation ? assignment.allocation / 3600 : fullDayHours;
+        if (timeOffProjectIds.includes(assignment.project_id)) {
+          timeOffHours += assignment.allocation ? hours : Infinity;
+        } else {
+          workHours += hours;
+        }
+      });
+
+    scheduledHours[date] = Math.round(Math.max(0, workHours - timeOffHours) * 100) / 100;
+  });
+
+  return scheduledHours;
+}
+
+/**
+ * Gets the hours each Harvest user is scheduled to work per workday in Forecast
+ *
+ * Users without any Forecast assignment in the period are left out, so their
+ * expected hours fall back to their weekly capacity.
+ *
+ * @param {Array} harvestUsers - Harvest users to look up
+ * @param {string} timeSheetDateToCheckFrom - Start date in YYYY-MM-DD format
+ * @param {string} timeSheetDateToCheckTo - End date in YYYY-MM-DD format
+ * @returns {Promise<Map>} Scheduled hours keyed by date, per Harvest user ID
+ * @throws {Error} If API requests fail
+ */
+async function getForecastSchedules(harvestUsers, timeSheetDateToCheckFrom, timeSheetDateToCheckTo) {
+  const accountId = getHarvestAccount().forecastAccountId;
+  const token = process.env.FORECAST_TOKEN || getHarvestAccount().token;
+
+  Logger.info('Fetching Forecast schedules', {
+    from: timeSheetDateToCheckFrom,
+    to: timeSheetDateToCheckTo,
+  });
+  const forecastPeople = await getForecastPeople(accountId, token);
+  const forecastProjects = await getForecastProjects(accountId, token);
+  const forecastAssignments = await getForecastAssignments(
+    accountId,
+    token,
+    timeSheetDateToCheckFrom,
+    timeSheetDateToCheckTo
+  );
+
+  const timeOffProjectIds = forecastProjects
+    .filter((project) => project.name?.toLowerCase() === 'time off')
+    .map((project) => project.id);
+  const workdays = getWorkdaysInPeriod(timeSheetDateToCheckFrom, timeSheetDateToCheckTo);
+  const fullDayHours = parseFloat(process.env.MISSING_HOURS_THRESHOLD) || 7.5;
+  const schedules = new Map();
+
+  harvestUsers.forEach((user) => {
+    const person = findForecastPerson(user, forecastPeople);
+    const assignments = person
+      ? forecastAssignments.filter((assignment) => assignment.person_id === person.id)
+      : [];
+
+    if (assignments.length) {
+      schedules.set(
+        user.id,
+        calculateScheduledHours(assignments, workdays, timeOffProjectIds, fullDayHours)
+      );
+    }
+  });
+
+  Logger.info('Forecast schedules retrieved', {
+    scheduledUsersCount: schedules.size,
+    unscheduledUsersCount: harvestUsers.length - schedules.size,
+  });
+
+  return schedules;
+}
+
 /**
  * Checks if a user should be included in daily notifications based on their weekly capacity
  *
@@ -164,16 +423,103 @@ function shouldIncludeInNotifications(user) {
   return userWeeklyCapacityHours > 0;
 }
 
+/**
+ * Checks if a user should be checked for a specific notification type
+ *
+ * Applies the capacity rules shared by every notification type: users with no
+ * weekly capacity are never notified, and daily notifications also respect
+ * DAILY_NOTIFICATION_WEEKLY_CAPACITY_THRESHOLD.
+ *
+ * @param {Object} user - User object with weekly_capacity
+ * @param {string} notificationType - 'daily', 'weekly', 'monthly' or 'unsubmitted'
+ * @returns {boolean} True if the user should be checked
+ */
+function isUserEligibleForNotification(user, notificationType) {
+  // Check if user should be included in any notifications (exclude users with 0 capacity)
+  if (!shouldIncludeInNotifications(user)) {
+    Logger.debug('User excluded from notifications due to 0 weekly capacity', {
+      userId: user.id,
+      userName: `${user.first_name} ${user.last_name}`,
+      weeklyCapacityHours: user.weekly_capacity / 3600,
+    });
+    return false;
+  }
+
+  // For daily notifications, check if user should be included based on weekly capacity threshold
+  if (notificationType === 'daily' && !shouldIncludeInDailyNotifications(user)) {
+    Logger.debug('User excluded from daily notifications due to weekly capacity threshold', {
+      userId: user.id,
+      userName: `${user.first_name} ${user.last_name}`,
+      weeklyCapacityHours: user.weekly_capacity / 3600,
+    });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Removes users without an active project assignment in the checked period
+ *
+ * Users can only log time against projects they are assigned to, so people
+ * between engagements are skipped instead of being flagged for missing hours.
+ * Assignments created after the period are not counted.
+ *
+ * @param {Array} harvestUsers - Harvest users to check
+ * @param {string} timeSheetDateToCheckTo - End date of the period in YYYY-MM-DD format
+ * @returns {Promise<Array>} Users with at least one active assignment in the period
+ * @throws {Error} If API requests fail
+ */
+async function excludeUnassignedUsers(harvestUsers, timeSheetDateToCheckTo) {
+  Logger.info('Fetching Harvest user assignments');
+  const userAssignments = await getHarvestUserAssignments(
+    getHarvestAccount().accountId,
+    getHarvestAccount().token,
+    { is_active: true }
+  );
+  Logger.debug('Harvest user assignments retrieved', { count: userAssignments?.length || 0 });
+
+  const periodEnd = moment(timeSheetDateToCheckTo).endOf('day');
+
+  return harvestUsers.filter((user) => {
+    const activeAssignments = (userAssignments || []).filter(
+      (assignment) => assignment.user?.id === user.id
+    );
+    const assignmentsInPeriod = activeAssignments.filter(
+      (assignment) => !assignment.created_at || moment(assignment.created_at).isSameOrBefore(periodEnd)
+    );
+
+    if (!assignmentsInPeriod.length) {
+      Logger.info('User skipped, no active project assignments', {
+        userId: user.id,
+        userName: `${user.first_name} ${user.last_name}`,
+        reason: activeAssignments.length
+          ? 'Project assignments start after the checked period'
+          : 'No active project assignments',
+      });
+      return false;
+    }
+
+    return true;
+  });
+}
+
 /**
  * Analyzes Harvest data and identifies users with insufficient hours
  *
  * @param {string} timeSheetDateToCheckFrom - Start date in YYYY-MM-DD format
  * @param {string} timeSheetDateToCheckTo - End date in YYYY-MM-DD format (same as from for daily)
  * @param {string} notificationType - 'daily', 'weekly', or 'monthly'
+ * @param {Array|null} timeEntries - Time entries for the period, when already fetched for another analysis
  * @returns {Promise<Array>} Array of users who need notification
  * @throws {Error} If API requests fail
  */
-async function analyzeHarvestData(timeSheetDateToCheckFrom, timeSheetDateToCheckTo, notificationType) {
+async function analyzeHarvestData(
+  timeSheetDateToCheckFrom,
+  timeSheetDateToCheckTo,
+  notificationType,
+  timeEntries = null
+) {
   Logger.functionEntry('analyzeHarvestData', { 
     timeSheetDateToCheckFrom, 
     timeSheetDateToCheckTo, 
@@ -184,28 +530,49 @@ async function analyzeHarvestData(timeSheetDateToCheckFrom, timeSheetDateToCheck
     // Get active users from Harvest
     Logger.info('Fetching Harvest users');
     const harvestUsers = await getHarvestUsers(
-      process.env.HARVEST_ACCOUNT_ID,
-      process.env.HARVEST_TOKEN,
+      getHarvestAccount().accountId,
+      getHarvestAccount().token,
       process.env.EMAILS_WHITELIST
     );
     Logger.debug('Harvest users retrieved', { count: harvestUsers?.length || 0 });
 
-    // Get time reports for the specified date range
-    Logger.info('Fetching Harvest time reports', {
-      from: timeSheetDateToCheckFrom,
-      to: timeSheetDateToCheckTo,
-    });
-    const harvestTeamTimeReport = await getHarvestTeamTimeReport(
-      process.env.HARVEST_ACCOUNT_ID,
-      process.env.HARVEST_TOKEN,
-      timeSheetDateToCheckFrom,
-      timeSheetDateToCheckTo
-    );
-    Logger.debug('Harvest time reports retrieved', { count: harvestTeamTimeReport?.length || 0 });
+    const perDayAnalysis = isPerDayAnalysisEnabled(notificationType);
+    let harvestTeamTimeReport = [];
+    let harvestTimeEntries = [];
+
+    if (perDayAnalysis && timeEntries) {
+      harvestTimeEntries = timeEntries;
+    } else if (perDayAnalysis) {
+      // Get individual time entries so hours can be checked per workday
+      Logger.info('Fetching Harvest time entries for per-day analysis', {
+        from: timeSheetDateToCheckFrom,
+        to: timeSheetDateToCheckTo,
+      });
+      harvestTimeEntries = await getHarvestTimeEntries(
+        getHarvestAccount().accountId,
+        getHarvestAccount().token,
+        timeSheetDateToCheckFrom,
+        timeSheetDateToCheckTo
+      );
+      Logger.debug('Harvest time entries retrieved', { count: harvestTimeEntries?.length || 0 });
+    } else {
+      // Get time reports for the specified date range
+      Logger.info('Fetching Harvest time reports', {
+        from: timeSheetDateToCheckFrom,
+        to: timeSheetDateToCheckTo,
+      });
+      harvestTeamTimeReport = await getHarvestTeamTimeReport(
+        getHarvestAccount().accountId,
+        getHarvestAccount().token,
+        timeSheetDateToCheckFrom,
+        timeSheetDateToCheckTo
+      );
+      Logger.debug('Harvest time reports retrieved', { count: harvestTeamTimeReport?.length || 0 });
+    }
 
     const usersToNotify = [];
 
-    Logger.info('Analyzing user hours with personalized thresholds', { notificationType });
+    Logger.info('Analyzing user hours with personalized thresholds', { notificationType, perDayAnalysis });
 
     // Check each user's hours against the threshold
     if (!harvestUsers || !Array.isArray(harvestUsers)) {
@@ -215,15 +582,83 @@ async function analyzeHarvestData(timeSheetDateToCheckFrom, timeSheetDateToCheck
       return [];
     }
 
-    harvestUsers.forEach((user) => {
-      // Check if user should be included in any notifications (exclude users with 0 capacity)
-      if (!shouldIncludeInNotifications(user)) {
-        Logger.debug('User excluded from notifications due to 0 weekly capacity', {
+    // Optionally skip users who cannot log time because they are not assigned to any project
+    const usersToCheck =
+      process.env.SKIP_UNASSIGNED_USERS === 'true'
+        ? await excludeUnassignedUsers(harvestUsers, timeSheetDateToCheckTo)
+        : harvestUsers;
+
+    // Runs happen during the day, so only workdays before today are expected to be complete
+    const today = moment().format('YYYY-MM-DD');
+    const workdays = perDayAnalysis
+      ? getWorkdaysInPeriod(timeSheetDateToCheckFrom, timeSheetDateToCheckTo).filter(
+          (date) => date < today
+        )
+      : [];
+    const baseHoursPerDay = parseFloat(process.env.MISSING_HOURS_THRESHOLD) || 7.5;
+
+    // Optionally expect the hours people are scheduled for in Forecast
+    const forecastSchedules =
+      process.env.FORECAST_ENABLED === 'true'
+        ? await getForecastSchedules(usersToCheck, timeSheetDateToCheckFrom, timeSheetDateToCheckTo)
+        : new Map();
+
+    usersToCheck.forEach((user) => {
+      if (!isUserEligibleForNotification(user, notificationType)) {
+        return; // Skip this user
+      }
+
+      // Calculate personalized threshold for this user, from their schedule when they have one
+      const scheduledHours = forecastSchedules.get(user.id);
+      const personalizedThreshold = scheduledHours
+        ? Math.round(Object.values(scheduledHours).reduce((sum, hours) => sum + hours, 0) * 100) / 100
+        : calculatePersonalizedThreshold(
+            user,
+            notificationType,
+            timeSheetDateToCheckFrom,
+            timeSheetDateToCheckTo
+          );
+
+      if (perDayAnalysis) {
+        const timeEntries = harvestTimeEntries?.filter((entry) => entry.user?.id === user.id) || [];
+        const totalHours = timeEntries.reduce((sum, entry) => sum + entry.hours, 0);
+        const missingDays = findShortWorkdays(timeEntries, workdays, scheduledHours || baseHoursPerDay);
+
+        // Part-time users are allowed as many short days as they have days off in the period,
+        // scheduled users already have their days off left out of their schedule. Days per week
+        // use the same daily hours as the short day check, rounded to whole days off
+        const workdaysPerWeek = Math.round(
+          calculateExpectedWorkingDays(user.weekly_capacity, baseHoursPerDay)
+        );
+        const expectedWorkdays = (workdays.length * workdaysPerWeek) / 5;
+        const allowedShortDays = scheduledHours
+          ? 0
+          : Math.max(0, Math.floor(workdays.length - expectedWorkdays));
+
+        Logger.debug('User per-day hours analysis', {
           userId: user.id,
           userName: `${user.first_name} ${user.last_name}`,
-          weeklyCapacityHours: user.weekly_capacity / 3600,
+          totalHours,
+          workdaysCount: workdays.length,
+          missingDaysCount: missingDays.length,
+          allowedShortDays,
         });
-        return; // Skip this user entirely
+
+        if (missingDays.length > allowedShortDays) {
+          usersToNotify.push({
+            ...user,
+            totalHours,
+            expectedHours: personalizedThreshold,
+            missingDays,
+          });
+          Logger.info('User added to notification list', {
+            userId: user.id,
+            userName: `${user.first_name} ${user.last_name}`,
+            totalHours,
+            missingDays: missingDays.map((day) => day.date),
+          });
+        }
+        return;
       }
 
       // Filter reports by user_id
@@ -231,34 +666,17 @@ async function analyzeHarvestData(timeSheetDateToCheckFrom, timeSheetDateToCheck
       // Sum up the total_hours from each filtered report
       const totalHours = timeReports.reduce((sum, report) => sum + report.total_hours, 0);
 
-      // Calculate personalized threshold for this user
-      const personalizedThreshold = calculatePersonalizedThreshold(
-        user, 
-        notificationType, 
-        timeSheetDateToCheckFrom, 
-        timeSheetDateToCheckTo
-      );
-
       Logger.debug('User hours analysis', {
         userId: user.id,
         userName: `${user.first_name} ${user.last_name}`,
         totalHours,
         personalizedThreshold,
+        forecastScheduled: Boolean(scheduledHours),
         timeReportsCount: timeReports.length,
         weeklyCapacity: user.weekly_capacity,
         weeklyCapacityHours: user.weekly_capacity / 3600,
       });
 
-      // For daily notifications, check if user should be included based on weekly capacity threshold
-      if (notificationType === 'daily' && !shouldIncludeInDailyNotifications(user)) {
-        Logger.debug('User excluded from daily notifications due to weekly capacity threshold', {
-          userId: user.id,
-          userName: `${user.first_name} ${user.last_name}`,
-          weeklyCapacityHours: user.weekly_capacity / 3600,
-        });
-        return; // Skip this user for daily notifications
-      }
-
       // If hours are below personalized threshold, add to notification list
       if (totalHours < personalizedThreshold) {
         usersToNotify.push({
@@ -275,6 +693,23 @@ async function analyzeHarvestData(timeSheetDateToCheckFrom, timeSheetDateToCheck
       }
     });
 
+    // Weekly and monthly reminders show which projects each flagged user logged time against
+    if (['weekly', 'monthly'].includes(notificationType) && usersToNotify.length) {
+      // Reuse the period's time entries when they were fetched already, else fetch them once for everybody
+      const breakdownTimeEntries =
+        (perDayAnalysis ? harvestTimeEntries : timeEntries) ||
+        (await getHarvestTimeEntries(
+          getHarvestAccount().accountId,
+          getHarvestAccount().token,
+          timeSheetDateToCheckFrom,
+          timeSheetDateToCheckTo
+        ));
+      const projectBreakdowns = getProjectBreakdowns(breakdownTimeEntries || []);
+      usersToNotify.forEach((user) => {
+        user.projectBreakdown = projectBreakdowns.get(user.id) || [];
+      });
+    }
+
     Logger.userAnalysis(notificationType, harvestUsers.length, usersToNotify.length, usersToNotify);
     Logger.functionExit('analyzeHarvestData', { usersToNotifyCount: usersToNotify.length });
 
@@ -287,128 +722,1610 @@ async function analyzeHarvestData(timeSheetDateToCheckFrom, timeSheetDateToCheck
 }
 
 /**
- * Sends Slack notifications to users with missing timesheet entries
+ * Analyzes Harvest time entries and identifies users with unsubmitted timesheets
+ *
+ * Flags users who still have entries with an `unsubmitted` approval status for
+ * the period, using the same user filtering as analyzeHarvestData.
  *
- * @param {Array} usersToNotify - Array of users who need notification
  * @param {string} timeSheetDateToCheckFrom - Start date in YYYY-MM-DD format
  * @param {string} timeSheetDateToCheckTo - End date in YYYY-MM-DD format
- * @param {string} notificationType - 'daily', 'weekly', or 'monthly'
- * @returns {Promise<void>}
- * @throws {Error} If Slack API request fails
+ * @returns {Promise<Array>} Array of users who need notification
+ * @throws {Error} If API requests fail
  */
-async function slackNotify(usersToNotify, timeSheetDateToCheckFrom, timeSheetDateToCheckTo, notificationType) {
-  Logger.functionEntry('slackNotify', {
-    usersToNotifyCount: usersToNotify?.length || 0,
+async function analyzeUnsubmittedTimesheets(timeSheetDateToCheckFrom, timeSheetDateToCheckTo) {
+  Logger.functionEntry('analyzeUnsubmittedTimesheets', {
     timeSheetDateToCheckFrom,
     timeSheetDateToCheckTo,
-    notificationType,
   });
 
   try {
-    // Only proceed if there are users to notify
-    if (usersToNotify && usersToNotify.length) {
-      Logger.info('Fetching Slack users for notification matching');
-      const slackUsers = await getSlackUsers(process.env.SLACK_TOKEN);
-      Logger.debug('Slack users retrieved', { count: slackUsers?.length || 0 });
+    // Get active users from Harvest
+    Logger.info('Fetching Harvest users');
+    const harvestUsers = await getHarvestUsers(
+      getHarvestAccount().accountId,
+      getHarvestAccount().token,
+      process.env.EMAILS_WHITELIST
+    );
+    Logger.debug('Harvest users retrieved', { count: harvestUsers?.length || 0 });
 
-      // Match Harvest users with Slack users and format notification text
-      const usersWithSlackMentions = matchUsersWithSlack(usersToNotify, slackUsers);
-      Logger.debug('Users matched with Slack', {
-        matchedCount: usersWithSlackMentions?.length || 0,
-        slackUsers: usersWithSlackMentions?.map((user) => user.slackUser) || [],
-      });
+    if (!harvestUsers || !Array.isArray(harvestUsers)) {
+      Logger.warn('No harvest users found or invalid data');
+      Logger.userAnalysis('unsubmitted', 0, 0, []);
+      Logger.functionExit('analyzeUnsubmittedTimesheets', { usersToNotifyCount: 0 });
+      return [];
+    }
+
+    // Get time entries for the specified date range
+    Logger.info('Fetching Harvest time entries', {
+      from: timeSheetDateToCheckFrom,
+      to: timeSheetDateToCheckTo,
+    });
+    const timeEntries = await getHarvestTimeEntries(
+      getHarvestAccount().accountId,
+      getHarvestAccount().token,
+      timeSheetDateToCheckFrom,
+      timeSheetDateToCheckTo
+    );
+    Logger.debug('Harvest time entries retrieved', { count: timeEntries?.length || 0 });
+
+    const usersToNotify = [];
 
-      // Create Slack message blocks using appropriate template
-      Logger.info('Creating Slack message');
-      let slackBlocks;
-      
-      if (notificationType === 'daily') {
-        slackBlocks = createDailyReminderMessage(usersWithSlackMentions, timeSheetDateToCheckFrom);
-      } else if (notificationType === 'weekly') {
-        slackBlocks = createWeeklyReminderMessage(usersWithSlackMentions, timeSheetDateToCheckFrom, timeSheetDateToCheckTo);
-      } else if (notificationType === 'monthly') {
-        slackBlocks = createMonthlyReminderMessage(usersWithSlackMentions, timeSheetDateToCheckFrom, timeSheetDateToCheckTo);
+    harvestUsers.forEach((user) => {
+      if (!isUserEligibleForNotification(user, 'unsubmitted')) {
+        return; // Skip this user
       }
 
-      // Send message to Slack
-      Logger.info('Sending Slack notification', { channel: process.env.SLACK_CHANNEL });
-      await sendSlackMessage(process.env.SLACK_CHANNEL, slackBlocks, process.env.SLACK_TOKEN);
+      const userEntries = timeEntries?.filter((entry) => entry.user?.id === user.id) || [];
+      const unsubmittedEntries = userEntries.filter(
+        (entry) => entry.approval_status === 'unsubmitted'
+      );
 
-      Logger.notificationSent(notificationType, usersToNotify.length, process.env.SLACK_CHANNEL);
-    } else {
-      Logger.info('No users to notify, skipping Slack notification');
-    }
+      if (unsubmittedEntries.length) {
+        const sumHours = (entries) =>
+          Math.round(entries.reduce((sum, entry) => sum + entry.hours, 0) * 100) / 100;
 
-    Logger.functionExit('slackNotify');
+        usersToNotify.push({
+          ...user,
+          totalHours: sumHours(userEntries),
+          unsubmittedEntries: unsubmittedEntries.length,
+          unsubmittedHours: sumHours(unsubmittedEntries),
+        });
+        Logger.info('User added to unsubmitted timesheet list', {
+          userId: user.id,
+          userName: `${user.first_name} ${user.last_name}`,
+          unsubmittedEntries: unsubmittedEntries.length,
+        });
+      }
+    });
+
+    Logger.userAnalysis('unsubmitted', harvestUsers.length, usersToNotify.length, usersToNotify);
+    Logger.functionExit('analyzeUnsubmittedTimesheets', {
+      usersToNotifyCount: usersToNotify.length,
+    });
+
+    return usersToNotify;
   } catch (error) {
-    Logger.error('Error in slackNotify', { error: error.message });
-    Logger.functionExit('slackNotify', { error: error.message });
+    Logger.error('Error in analyzeUnsubmittedTimesheets', { error: error.message });
+    Logger.functionExit('analyzeUnsubmittedTimesheets', { error: error.message });
     throw error;
   }
 }
 
 /**
- * Determines which notifications should run based on the current date
+ * Checks if the timesheet hygiene audit should run for a notification type
  *
- * @returns {Array} Array of notification types that should run today
+ * @param {string} notificationType - 'daily', 'weekly', or 'monthly'
+ * @returns {boolean} True if weekly/monthly runs should audit time entries
  */
-function determineNotificationsToRun() {
-  const currentDate = moment();
-  const weekday = currentDate.format('dddd');
-  const isLastDayOfMonth = currentDate.format('YYYY-MM-DD') === currentDate.endOf('month').format('YYYY-MM-DD');
-  
-  const notificationsToRun = [];
-  
-  // Daily notifications run on weekdays
-  if (!['Saturday', 'Sunday'].includes(weekday)) {
-    notificationsToRun.push('daily');
-  }
-  
-  // Weekly notifications run on Fridays
-  if (weekday === 'Friday') {
-    notificationsToRun.push('weekly');
-  }
-  
-  // Monthly notifications run on the last day of the month
-  if (isLastDayOfMonth) {
-    notificationsToRun.push('monthly');
-  }
-  
-  return notificationsToRun;
+function isHygieneAuditEnabled(notificationType) {
+  return (
+    process.env.TIMESHEET_HYGIENE_ENABLED === 'true' &&
+    ['weekly', 'monthly'].includes(notificationType)
+  );
 }
 
 /**
- * Gets the date range for a specific notification type
+ * Reads the timesheet hygiene rules from the environment
  *
- * @param {string} notificationType - 'daily', 'weekly', or 'monthly'
- * @returns {Object} Object with from and to dates in YYYY-MM-DD format
+ * - HYGIENE_MAX_DAILY_HOURS: flag days with more hours logged (default: 16, 0 disables)
+ * - HYGIENE_FLAG_DUPLICATES: flag identical entries on the same day (default: true)
+ * - HYGIENE_FLAG_FUTURE_ENTRIES: flag entries dated after today (default: true)
+ * - HYGIENE_NOTES_REQUIRED_PROJECTS: comma-separated project IDs or names whose
+ *   entries need notes, or * for all projects (default: none)
+ *
+ * @returns {Object} Hygiene rules
  */
-function getDateRangeForNotification(notificationType) {
-  const currentDate = moment();
-  
-  if (notificationType === 'daily') {
-    const weekday = currentDate.format('dddd');
-    let dateToCheck;
-    
-    if (['Tuesday', 'Wednesday', 'Thursday', 'Friday'].includes(weekday)) {
-      // Check previous day
-      dateToCheck = currentDate.clone().subtract(1, 'days').format('YYYY-MM-DD');
-    } else {
-      // Monday: check Friday (3 days back)
-      dateToCheck = currentDate.clone().subtract(3, 'days').format('YYYY-MM-DD');
-    }
+function getTimesheetHygieneRules() {
+  const maxDailyHours = parseFloat(process.env.HYGIENE_MAX_DAILY_HOURS);
+
+  return {
+    maxDailyHours: Number.isNaN(maxDailyHours) ? 16 : maxDailyHours,
+    flagDuplicates: process.env.HYGIENE_FLAG_DUPLICATES !== 'false',
+    flagFutureEntries: process.env.HYGIENE_FLAG_FUTURE_ENTRIES !== 'false',
+    notesRequiredProjects: (process.env.HYGIENE_NOTES_REQUIRED_PROJECTS || '')
+      .split(',')
+      .map((project) => project.trim().toLowerCase())
+      .filter(Boolean),
+  };
+}
+
+/**
+ * Finds timesheet anomalies in a user's time entries
+ *
+ * @param {Array} timeEntries - The user's time entries
+ * @param {Object} rules - Hygiene rules from getTimesheetHygieneRules
+ * @param {string} today - Today's date in YYYY-MM-DD format
+ * @returns {Array<Object>} Anomalies as { type, date, hours?, count?, projectName? }, in date order.
+ *   Types are 'over-logging', 'duplicate', 'future-date' and 'missing-notes'
+ */
+function findTimesheetAnomalies(timeEntries, rules, today) {
+  const anomalies = [];
+
+  if (rules.maxDailyHours > 0) {
+    const hoursByDate = {};
+    timeEntries.forEach((entry) => {
+      hoursByDate[entry.spent_date] = (hoursByDate[entry.spent_date] || 0) + entry.hours;
+    });
+    Object.entries(hoursByDate)
+      .filter(([, hours]) => hours > rules.maxDailyHours)
+      .forEach(([date, hours]) => {
+        anomalies.push({ type: 'over-logging', date, hours: Math.round(hours * 100) / 100 });
+      });
+  }
+
+  if (rules.flagDuplicates) {
+    const entriesByKey = {};
+    timeEntries.forEach((entry) => {
+      const key = [
+        entry.spent_date,
+        entry.project?.id,
+        entry.task?.id,
+        entry.hours,
+        (entry.notes || '').trim(),
+      ].join('|');
+      entriesByKey[key] = [...(entriesByKey[key] || []), entry];
+    });
+    Object.values(entriesByKey)
+      .filter((entries) => entries.length > 1)
+      .forEach(([entry, ...duplicates]) => {
+        anomalies.push({
+          type: 'duplicate',
+          date: entry.spent_date,
+          count: duplicates.length + 1,
+          projectName: entry.project?.name,
+        });
+      });
+  }
+
+  timeEntries.forEach((entry) => {
+    if (rules.flagFutureEntries && entry.spent_date > today) {
+      anomalies.push({ type: 'future-date', date: entry.spent_date, projectName: entry.project?.name });
+    }
+
+    const requiresNotes =
+      rules.notesRequiredProjects.includes('*') ||
+      [entry.project?.id, entry.project?.name]
+        .filter((candidate) => candidate !== undefined && candidate !== null)
+        .some((candidate) => rules.notesRequiredProjects.includes(String(candidate).toLowerCase()));
+    if (requiresNotes && !(entry.notes || '').trim()) {
+      anomalies.push({ type: 'missing-notes', date: entry.spent_date, projectName: entry.project?.name });
+    }
+  });
+
+  return anomalies.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Audits Harvest time entries and identifies users with timesheet anomalies
+ *
+ * Checks the period's time entries, plus any entries dated after today, against
+ * the rules from getTimesheetHygieneRules.
+ *
+ * @param {string} timeSheetDateToCheckFrom - Start date in YYYY-MM-DD format
+ * @param {string} timeSheetDateToCheckTo - End date in YYYY-MM-DD format
+ * @param {string} notificationType - 'weekly' or 'monthly'
+ * @param {Array|null} timeEntries - Time entries for the period, when already fetched for another analysis
+ * @returns {Promise<Array>} Array of users with their anomalies
+ * @throws {Error} If API requests fail
+ */
+async function analyzeTimesheetHygiene(
+  timeSheetDateToCheckFrom,
+  timeSheetDateToCheckTo,
+  notificationType,
+  timeEntries = null
+) {
+  Logger.functionEntry('analyzeTimesheetHygiene', {
+    timeSheetDateToCheckFrom,
+    timeSheetDateToCheckTo,
+    notificationType,
+  });
+
+  try {
+    // Get active users from Harvest
+    Logger.info('Fetching Harvest users');
+    const harvestUsers = await getHarvestUsers(
+      getHarvestAccount().accountId,
+      getHarvestAccount().token,
+      process.env.EMAILS_WHITELIST
+    );
+    Logger.debug('Harvest users retrieved', { count: harvestUsers?.length || 0 });
+
+    if (!harvestUsers || !Array.isArray(harvestUsers)) {
+      Logger.warn('No harvest users found or invalid data');
+      Logger.userAnalysis(`${notificationType}-hygiene`, 0, 0, []);
+      Logger.functionExit('analyzeTimesheetHygiene', { usersToNotifyCount: 0 });
+      return [];
+    }
+
+    const rules = getTimesheetHygieneRules();
+    const today = moment().format('YYYY-MM-DD');
+    Logger.debug('Timesheet hygiene rules', rules);
+
+    let periodTimeEntries = timeEntries;
+    if (!periodTimeEntries) {
+      Logger.info('Fetching Harvest time entries', {
+        from: timeSheetDateToCheckFrom,
+        to: timeSheetDateToCheckTo,
+      });
+      periodTimeEntries = await getHarvestTimeEntries(
+        getHarvestAccount().accountId,
+        getHarvestAccount().token,
+        timeSheetDateToCheckFrom,
+        timeSheetDateToCheckTo
+      );
+    }
+
+    // Entries dated after today fall outside the period, so fetch them separately
+    let futureTimeEntries = [];
+    if (rules.flagFutureEntries) {
+      Logger.info('Fetching future-dated Harvest time entries');
+      futureTimeEntries = await getHarvestTimeEntries(
+        getHarvestAccount().accountId,
+        getHarvestAccount().token,
+        moment().add(1, 'days').format('YYYY-MM-DD')
+      );
+    }
+
+    const allTimeEntries = [...(periodTimeEntries || []), ...(futureTimeEntries || [])];
+    const usersToNotify = [];
+
+    harvestUsers.forEach((user) => {
+      if (!isUserEligibleForNotification(user, notificationType)) {
+        return; // Skip this user
+      }
+
+      const userEntries = allTimeEntries.filter((entry) => entry.user?.id === user.id);
+      const anomalies = findTimesheetAnomalies(userEntries, rules, today);
+
+      if (anomalies.length) {
+        usersToNotify.push({ ...user, anomalies });
+        Logger.info('User added to timesheet hygiene list', {
+          userId: user.id,
+          userName: `${user.first_name} ${user.last_name}`,
+          anomalies: anomalies.map((anomaly) => anomaly.type),
+        });
+      }
+    });
+
+    Logger.userAnalysis(
+      `${notificationType}-hygiene`,
+      harvestUsers.length,
+      usersToNotify.length,
+      usersToNotify
+    );
+    Logger.functionExit('analyzeTimesheetHygiene', { usersToNotifyCount: usersToNotify.length });
+
+    return usersToNotify;
+  } catch (error) {
+    Logger.error('Error in analyzeTimesheetHygiene', { error: error.message });
+    Logger.functionExit('analyzeTimesheetHygiene', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Analyzes Harvest expenses and identifies users with unsubmitted or receipt-less expenses
+ *
+ * Flags users who still have expenses with an `unsubmitted` approval status, or
+ * expenses without a receipt, for the period. Expenses in unit-priced categories
+ * (such as mileage) are priced per unit and do not need a receipt.
+ *
+ * @param {string} timeSheetDateToCheckFrom - Start date in YYYY-MM-DD format
+ * @param {string} timeSheetDateToCheckTo - End date in YYYY-MM-DD format
+ * @returns {Promise<Array>} Array of users who need notification
+ * @throws {Error} If API requests fail
+ */
+async function analyzeExpenses(timeSheetDateToCheckFrom, timeSheetDateToCheckTo) {
+  Logger.functionEntry('analyzeExpenses', {
+    timeSheetDateToCheckFrom,
+    timeSheetDateToCheckTo,
+  });
+
+  try {
+    // Get active users from Harvest
+    Logger.info('Fetching Harvest users');
+    const harvestUsers = await getHarvestUsers(
+      getHarvestAccount().accountId,
+      getHarvestAccount().token,
+      process.env.EMAILS_WHITELIST
+    );
+    Logger.debug('Harvest users retrieved', { count: harvestUsers?.length || 0 });
+
+    if (!harvestUsers || !Array.isArray(harvestUsers)) {
+      Logger.warn('No harvest users found or invalid data');
+      Logger.userAnalysis('expenses', 0, 0, []);
+      Logger.functionExit('analyzeExpenses', { usersToNotifyCount: 0 });
+      return [];
+    }
+
+    // Get expenses for the specified date range
+    Logger.info('Fetching Harvest expenses', {
+      from: timeSheetDateToCheckFrom,
+      to: timeSheetDateToCheckTo,
+    });
+    const expenses = await getHarvestExpenses(
+      getHarvestAccount().accountId,
+      getHarvestAccount().token,
+      timeSheetDateToCheckFrom,
+      timeSheetDateToCheckTo
+    );
+    Logger.debug('Harvest expenses retrieved', { count: expenses?.length || 0 });
+
+    const usersToNotify = [];
+
+    harvestUsers.forEach((user) => {
+      if (!isUserEligibleForNotification(user, 'expenses')) {
+        return; // Skip this user
+      }
+
+      const userExpenses = expenses?.filter((expense) => expense.user?.id === user.id) || [];
+      const unsubmittedExpenses = userExpenses.filter(
+        (expense) => expense.approval_status === 'unsubmitted'
+      ).length;
+      const missingReceipts = userExpenses.filter(
+        (expense) => !expense.receipt && !expense.expense_category?.unit_name
+      ).length;
+
+      if (unsubmittedExpenses || missingReceipts) {
+        usersToNotify.push({
+          ...user,
+          unsubmittedExpenses,
+          missingReceipts,
+        });
+        Logger.info('User added to expense reminder list', {
+          userId: user.id,
+          userName: `${user.first_name} ${user.last_name}`,
+          unsubmittedExpenses,
+          missingReceipts,
+        });
+      }
+    });
+
+    Logger.userAnalysis('expenses', harvestUsers.length, usersToNotify.length, usersToNotify);
+    Logger.functionExit('analyzeExpenses', { usersToNotifyCount: usersToNotify.length });
+
+    return usersToNotify;
+  } catch (error) {
+    Logger.error('Error in analyzeExpenses', { error: error.message });
+    Logger.functionExit('analyzeExpenses', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Resolves the billable target percentage for a user
+ *
+ * BILLABLE_TARGETS is a JSON object keyed by Harvest user ID, email or role name
+ * (e.g. {"jane@example.com": 60, "Developer": 80}). User ID and email take
+ * precedence over roles, and BILLABLE_TARGET_PERCENTAGE is used when nothing matches.
+ *
+ * @param {Object} user - Harvest user with id, email and roles
+ * @returns {number|null} Target percentage, or null if the user has no target
+ */
+function getBillableTarget(user) {
+  let configuredTargets = {};
+  if (process.env.BILLABLE_TARGETS) {
+    try {
+      configuredTargets = JSON.parse(process.env.BILLABLE_TARGETS);
+    } catch (error) {
+      throw new Error(`BILLABLE_TARGETS is not valid JSON: ${error.message}`);
+    }
+  }
+
+  // Compare keys case-insensitively so emails and role names match loosely
+  const targets = Object.fromEntries(
+    Object.entries(configuredTargets).map(([key, value]) => [key.toLowerCase(), parseFloat(value)])
+  );
+  const matchingKey = [String(user.id), user.email, ...(user.roles || [])]
+    .filter(Boolean)
+    .map((candidate) => candidate.toLowerCase())
+    .find((candidate) => candidate in targets);
+
+  if (matchingKey !== undefined) {
+    return targets[matchingKey];
+  }
+
+  const defaultTarget = parseFloat(process.env.BILLABLE_TARGET_PERCENTAGE);
+  return Number.isNaN(defaultTarget) ? null : defaultTarget;
+}
+
+/**
+ * Analyzes billable utilisation and identifies users below their billable target
+ *
+ * Utilisation is the share of logged hours that are billable, taken from the
+ * `billable_hours` and `total_hours` of the team time report.
+ *
+ * @param {string} timeSheetDateToCheckFrom - Start date in YYYY-MM-DD format
+ * @param {string} timeSheetDateToCheckTo - End date in YYYY-MM-DD format
+ * @param {string} notificationType - 'weekly' or 'monthly'
+ * @returns {Promise<Array>} Array of users below their billable target
+ * @throws {Error} If API requests fail
+ */
+async function analyzeBillableUtilisation(timeSheetDateToCheckFrom, timeSheetDateToCheckTo, notificationType) {
+  Logger.functionEntry('analyzeBillableUtilisation', {
+    timeSheetDateToCheckFrom,
+    timeSheetDateToCheckTo,
+    notificationType,
+  });
+
+  try {
+    // Get active users from Harvest
+    Logger.info('Fetching Harvest users');
+    const harvestUsers = await getHarvestUsers(
+      getHarvestAccount().accountId,
+      getHarvestAccount().token,
+      process.env.EMAILS_WHITELIST
+    );
+    Logger.debug('Harvest users retrieved', { count: harvestUsers?.length || 0 });
+
+    if (!harvestUsers || !Array.isArray(harvestUsers)) {
+      Logger.warn('No harvest users found or invalid data');
+      Logger.userAnalysis(`${notificationType}-billable`, 0, 0, []);
+      Logger.functionExit('analyzeBillableUtilisation', { usersToNotifyCount: 0 });
+      return [];
+    }
+
+    // Get time reports for the specified date range
+    Logger.info('Fetching Harvest time reports', {
+      from: timeSheetDateToCheckFrom,
+      to: timeSheetDateToCheckTo,
+    });
+    const harvestTeamTimeReport = await getHarvestTeamTimeReport(
+      getHarvestAccount().accountId,
+      getHarvestAccount().token,
+      timeSheetDateToCheckFrom,
+      timeSheetDateToCheckTo
+    );
+
+    const usersToNotify = [];
+
+    harvestUsers.forEach((user) => {
+      if (!isUserEligibleForNotification(user, notificationType)) {
+        return; // Skip this user
+      }
+
+      const billableTarget = getBillableTarget(user);
+      if (billableTarget === null) {
+        Logger.debug('User has no billable target', {
+          userId: user.id,
+          userName: `${user.first_name} ${user.last_name}`,
+        });
+        return; // Skip this user
+      }
+
+      const timeReports = harvestTeamTimeReport?.filter((t) => t.user_id === user.id) || [];
+      const totalHours = timeReports.reduce((sum, report) => sum + report.total_hours, 0);
+      const billableHours = timeReports.reduce((sum, report) => sum + (report.billable_hours || 0), 0);
+      // Targets are compared with the exact billable share, the rounded percentage is for display
+      const billableShare = totalHours > 0 ? (billableHours / totalHours) * 100 : 0;
+      const billablePercentage = Math.round(billableShare);
+
+      Logger.debug('User billable analysis', {
+        userId: user.id,
+        userName: `${user.first_name} ${user.last_name}`,
+        totalHours,
+        billableHours,
+        billablePercentage,
+        billableTarget,
+      });
+
+      if (billableShare < billableTarget) {
+        usersToNotify.push({
+          ...user,
+          totalHours: Math.round(totalHours * 100) / 100,
+          billableHours: Math.round(billableHours * 100) / 100,
+          billablePercentage,
+          billableTarget,
+        });
+        Logger.info('User added to billable utilisation list', {
+          userId: user.id,
+          userName: `${user.first_name} ${user.last_name}`,
+          billablePercentage,
+          billableTarget,
+        });
+      }
+    });
+
+    Logger.userAnalysis(
+      `${notificationType}-billable`,
+      harvestUsers.length,
+      usersToNotify.length,
+      usersToNotify
+    );
+    Logger.functionExit('analyzeBillableUtilisation', { usersToNotifyCount: usersToNotify.length });
+
+    return usersToNotify;
+  } catch (error) {
+    Logger.error('Error in analyzeBillableUtilisation', { error: error.message });
+    Logger.functionExit('analyzeBillableUtilisation', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Gets the calendar date of a moment in time in a time zone
+ *
+ * @param {Date} date - Moment in time
+ * @param {string} timeZone - IANA time zone (e.g. 'America/New_York'), or undefined for the server's
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function getDateInTimeZone(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).formatToParts(date);
+  const part = (type) => parts.find((datePart) => datePart.type === type).value;
+
+  return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+/**
+ * Checks if a time entry was created within the lateness allowance of its spent date
+ *
+ * An entry is on time when it was created before the end of its spent date plus
+ * LATE_LOGGING_ALLOWANCE_HOURS (default: 0, i.e. logged the same day). Harvest's
+ * created_at is in UTC, so the spent date ends at midnight in
+ * LATE_LOGGING_TIME_ZONE (default: the server's time zone).
+ *
+ * @param {Object} entry - Harvest time entry with spent_date and created_at
+ * @returns {boolean} True if the entry was logged on time
+ */
+function isTimeEntryLoggedOnTime(entry) {
+  const allowanceHours = parseFloat(process.env.LATE_LOGGING_ALLOWANCE_HOURS) || 0;
+  const createdAt = moment.utc(entry.created_at).subtract(allowanceHours, 'hours');
+
+  return (
+    getDateInTimeZone(createdAt.toDate(), process.env.LATE_LOGGING_TIME_ZONE || undefined) <=
+    entry.spent_date
+  );
+}
+
+/**
+ * Analyzes how promptly users log their time and identifies users who log late
+ *
+ * Compares each time entry's `created_at` with its `spent_date` and flags users
+ * whose share of on-time entries is below LATE_LOGGING_TARGET_PERCENTAGE
+ * (default: 100).
+ *
+ * @param {string} timeSheetDateToCheckFrom - Start date in YYYY-MM-DD format
+ * @param {string} timeSheetDateToCheckTo - End date in YYYY-MM-DD format
+ * @param {string} notificationType - 'weekly' or 'monthly'
+ * @returns {Promise<Array>} Array of users below the on-time target
+ * @throws {Error} If API requests fail
+ */
+async function analyzeLateLogging(timeSheetDateToCheckFrom, timeSheetDateToCheckTo, notificationType) {
+  Logger.functionEntry('analyzeLateLogging', {
+    timeSheetDateToCheckFrom,
+    timeSheetDateToCheckTo,
+    notificationType,
+  });
+
+  try {
+    // Get active users from Harvest
+    Logger.info('Fetching Harvest users');
+    const harvestUsers = await getHarvestUsers(
+      getHarvestAccount().accountId,
+      getHarvestAccount().token,
+      process.env.EMAILS_WHITELIST
+    );
+    Logger.debug('Harvest users retrieved', { count: harvestUsers?.length || 0 });
+
+    if (!harvestUsers || !Array.isArray(harvestUsers)) {
+      Logger.warn('No harvest users found or invalid data');
+      Logger.userAnalysis(`${notificationType}-late-logging`, 0, 0, []);
+      Logger.functionExit('analyzeLateLogging', { usersToNotifyCount: 0 });
+      return [];
+    }
+
+    // Get individual time entries so their creation time can be compared
+    Logger.info('Fetching Harvest time entries', {
+      from: timeSheetDateToCheckFrom,
+      to: timeSheetDateToCheckTo,
+    });
+    const timeEntries = await getHarvestTimeEntries(
+      getHarvestAccount().accountId,
+      getHarvestAccount().token,
+      timeSheetDateToCheckFrom,
+      timeSheetDateToCheckTo
+    );
+    Logger.debug('Harvest time entries retrieved', { count: timeEntries?.length || 0 });
+
+    const configuredTarget = parseFloat(process.env.LATE_LOGGING_TARGET_PERCENTAGE);
+    const onTimeTarget = Number.isNaN(configuredTarget) ? 100 : configuredTarget;
+    const complianceByUser = [];
+    const usersToNotify = [];
+
+    harvestUsers.forEach((user) => {
+      if (!isUserEligibleForNotification(user, notificationType)) {
+        return; // Skip this user
+      }
+
+      const userEntries = timeEntries?.filter((entry) => entry.user?.id === user.id) || [];
+      if (!userEntries.length) {
+        return; // Nothing logged, missing hours are reported by the weekly/monthly reminder
+      }
+
+      const onTimeEntries = userEntries.filter(isTimeEntryLoggedOnTime).length;
+      const onTimePercentage = Math.round((onTimeEntries / userEntries.length) * 100);
+
+      complianceByUser.push({
+        userId: user.id,
+        userName: `${user.first_name} ${user.last_name}`,
+        entries: userEntries.length,
+        onTimeEntries,
+        onTimePercentage,
+      });
+
+      if (onTimePercentage < onTimeTarget) {
+        usersToNotify.push({
+          ...user,
+          totalHours: Math.round(userEntries.reduce((sum, entry) => sum + entry.hours, 0) * 100) / 100,
+          totalEntries: userEntries.length,
+          onTimeEntries,
+          onTimePercentage,
+        });
+      }
+    });
+
+    Logger.info('Late logging compliance', { onTimeTarget, users: complianceByUser });
+    Logger.userAnalysis(
+      `${notificationType}-late-logging`,
+      harvestUsers.length,
+      usersToNotify.length,
+      usersToNotify
+    );
+    Logger.functionExit('analyzeLateLogging', { usersToNotifyCount: usersToNotify.length });
+
+    return usersToNotify;
+  } catch (error) {
+    Logger.error('Error in analyzeLateLogging', { error: error.message });
+    Logger.functionExit('analyzeLateLogging', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Finds running Harvest timers that have been left on for too long
+ *
+ * A timer is flagged when it has been running for at least RUNNING_TIMER_MAX_HOURS
+ * (default: 10) or when it was started on a previous day.
+ *
+ * @returns {Promise<Array>} Array of users with their flagged running timers
+ * @throws {Error} If API requests fail
+ */
+async function analyzeRunningTimers() {
+  Logger.functionEntry('analyzeRunningTimers');
+
+  try {
+    const maxHours = parseFloat(process.env.RUNNING_TIMER_MAX_HOURS) || 10;
+    const now = moment();
+
+    // Get active users from Harvest
+    Logger.info('Fetching Harvest users');
+    const harvestUsers = await getHarvestUsers(
+      getHarvestAccount().accountId,
+      getHarvestAccount().token,
+      process.env.EMAILS_WHITELIST
+    );
+    Logger.debug('Harvest users retrieved', { count: harvestUsers?.length || 0 });
+
+    if (!harvestUsers || !Array.isArray(harvestUsers)) {
+      Logger.warn('No harvest users found or invalid data');
+      Logger.userAnalysis('running-timers', 0, 0, []);
+      Logger.functionExit('analyzeRunningTimers', { usersToNotifyCount: 0 });
+      return [];
+    }
+
+    Logger.info('Fetching running Harvest timers');
+    const runningEntries = await getHarvestRunningTimeEntries(
+      getHarvestAccount().accountId,
+      getHarvestAccount().token
+    );
+    Logger.debug('Running Harvest timers retrieved', { count: runningEntries?.length || 0 });
+
+    const usersToNotify = [];
+
+    harvestUsers.forEach((user) => {
+      const runningTimers = (runningEntries || [])
+        .filter((entry) => entry.user?.id === user.id)
+        .map((entry) => {
+          const startedAt = entry.timer_started_at ? moment(entry.timer_started_at) : null;
+          const elapsedHours = startedAt ? now.diff(startedAt, 'hours', true) : entry.hours || 0;
+
+          return {
+            id: entry.id,
+            projectName: entry.project?.name,
+            clientName: entry.client?.name,
+            taskName: entry.task?.name,
+            spentDate: entry.spent_date,
+            startedAt: entry.timer_started_at,
+            elapsedHours: Math.round(elapsedHours * 100) / 100,
+          };
+        })
+        .filter(
+          (timer) =>
+            timer.elapsedHours >= maxHours ||
+            moment(timer.spentDate).isBefore(now, 'day')
+        );
+
+      if (runningTimers.length) {
+        usersToNotify.push({
+          ...user,
+          totalHours: runningTimers.reduce((sum, timer) => sum + timer.elapsedHours, 0),
+          runningTimers,
+        });
+        Logger.info('User added to running timer list', {
+          userId: user.id,
+          userName: `${user.first_name} ${user.last_name}`,
+          runningTimers: runningTimers.length,
+          maxHours,
+        });
+      }
+    });
+
+    Logger.userAnalysis('running-timers', harvestUsers.length, usersToNotify.length, usersToNotify);
+    Logger.functionExit('analyzeRunningTimers', { usersToNotifyCount: usersToNotify.length });
+
+    return usersToNotify;
+  } catch (error) {
+    Logger.error('Error in analyzeRunningTimers', { error: error.message });
+    Logger.functionExit('analyzeRunningTimers', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Sends a Slack message about the active Harvest account
+ *
+ * Messages for a named account (from HARVEST_ACCOUNTS) start with the account
+ * name, so reminders from several accounts can be told apart.
+ *
+ * @param {string} channel - Slack channel or user ID to send the message to
+ * @param {Array} slackBlocks - Slack blocks for the message
+ * @returns {Promise<Object>} The Slack API response
+ * @throws {Error} If the Slack API request fails
+ */
+async function postSlackMessage(channel, slackBlocks) {
+  const { name } = getHarvestAccount();
+  const blocks = name ? [createAccountContextBlock(name), ...slackBlocks] : slackBlocks;
+  return sendSlackMessage(channel, blocks, process.env.SLACK_TOKEN);
+}
+
+/**
+ * Whether Slack users are matched by email lookup instead of by name
+ *
+ * @returns {boolean} True when SLACK_USER_MATCHING is 'email'
+ */
+function isSlackEmailMatchingEnabled() {
+  return process.env.SLACK_USER_MATCHING === 'email';
+}
+
+/**
+ * Finds the Slack user of each Harvest user with the configured matching strategy
+ *
+ * @param {Array} harvestUsers - Harvest users to find
+ * @returns {Promise<Map>} Slack user (or undefined) keyed by Harvest user ID
+ * @throws {Error} If the Slack API request fails
+ */
+async function findSlackUsersOfHarvestUsers(harvestUsers) {
+  if (isSlackEmailMatchingEnabled()) {
+    return findSlackUsersByEmail(harvestUsers, process.env.SLACK_TOKEN);
+  }
+
+  const slackUsers = (await getSlackUsers(process.env.SLACK_TOKEN)) || [];
+  return new Map(
+    harvestUsers.map((harvestUser) => [harvestUser.id, findSlackUser(harvestUser, slackUsers)])
+  );
+}
+
+/**
+ * Finds the Slack channel mapped to a project
+ *
+ * PROJECT_CHANNELS is a JSON object keyed by Harvest project ID, project name or
+ * client name (e.g. {"1234": "#acme-website", "Acme": "#acme"}). Project keys
+ * take precedence over client keys.
+ *
+ * @param {Object} project - Project with project_id, project_name and client_name
+ * @returns {string|null} Mapped Slack channel, or null if the project is not mapped
+ */
+function findProjectChannel(project) {
+  let configuredChannels = {};
+  if (process.env.PROJECT_CHANNELS) {
+    try {
+      configuredChannels = JSON.parse(process.env.PROJECT_CHANNELS);
+    } catch (error) {
+      throw new Error(`PROJECT_CHANNELS is not valid JSON: ${error.message}`);
+    }
+  }
+
+  // Compare keys case-insensitively so project and client names match loosely
+  const channels = Object.fromEntries(
+    Object.entries(configuredChannels).map(([key, value]) => [key.toLowerCase(), value])
+  );
+  const matchingKey = [project.project_id, project.project_name, project.client_name]
+    .filter((candidate) => candidate !== undefined && candidate !== null)
+    .map((candidate) => String(candidate).toLowerCase())
+    .find((candidate) => candidate in channels);
+
+  return matchingKey !== undefined ? channels[matchingKey] : null;
+}
+
+/**
+ * Resolves the Slack channel for a project's budget alerts
+ *
+ * Uses the PROJECT_CHANNELS mapping, falling back to BUDGET_ALERTS_CHANNEL or SLACK_CHANNEL.
+ *
+ * @param {Object} project - Project with project_id, project_name and client_name
+ * @returns {string} Slack channel for the project
+ */
+function getProjectChannel(project) {
+  return (
+    findProjectChannel(project) || process.env.BUDGET_ALERTS_CHANNEL || process.env.SLACK_CHANNEL
+  );
+}
+
+/**
+ * Groups users by the Slack channels of the projects they are assigned to
+ *
+ * Uses active user assignments and the PROJECT_CHANNELS mapping (project IDs and
+ * names). Users on several mapped projects are included in each channel, and
+ * users without a mapped project are sent to SLACK_CHANNEL.
+ *
+ * @param {Array} users - Users to route
+ * @returns {Promise<Array>} Routes as { channel, users }
+ * @throws {Error} If API requests fail
+ */
+async function routeUsersToProjectChannels(users) {
+  Logger.info('Fetching Harvest user assignments for channel routing');
+  const userAssignments = await getHarvestUserAssignments(
+    getHarvestAccount().accountId,
+    getHarvestAccount().token,
+    { is_active: true }
+  );
+
+  const routes = new Map();
+  const addToRoute = (channel, user) => {
+    const route = routes.get(channel) || { channel, users: [] };
+    route.users.push(user);
+    routes.set(channel, route);
+  };
+
+  users.forEach((user) => {
+    const channels = new Set(
+      (userAssignments || [])
+        .filter((assignment) => assignment.user?.id === user.id)
+        .map((assignment) =>
+          findProjectChannel({
+            project_id: assignment.project?.id,
+            project_name: assignment.project?.name,
+          })
+        )
+        .filter(Boolean)
+    );
+
+    if (!channels.size) {
+      channels.add(process.env.SLACK_CHANNEL);
+    }
+    channels.forEach((channel) => addToRoute(channel, user));
+  });
+
+  Logger.info('Users routed to project channels', {
+    routes: [...routes.values()].map((route) => ({
+      channel: route.channel,
+      usersCount: route.users.length,
+    })),
+  });
+
+  return [...routes.values()];
+}
+
+/**
+ * Gets the budget percentages that trigger a budget alert
+ *
+ * @returns {Array<number>} Thresholds from BUDGET_ALERT_THRESHOLDS (default: 75, 90, 100), ascending
+ */
+function getBudgetAlertThresholds() {
+  const thresholds = (process.env.BUDGET_ALERT_THRESHOLDS || '75,90,100')
+    .split(',')
+    .map((threshold) => parseFloat(threshold))
+    .filter((threshold) => !Number.isNaN(threshold));
+
+  return thresholds.sort((a, b) => a - b);
+}
+
+/**
+ * Gets the key used to remember which budget alerts were sent for a project
+ *
+ * Monthly budgets reset every month, so their alerts are tracked per month.
+ *
+ * @param {Object} projectBudget - Project budget report result
+ * @returns {string} State key for the project
+ */
+function getBudgetAlertKey(projectBudget) {
+  return projectBudget.budget_is_monthly
+    ? `${projectBudget.project_id}:${moment().format('YYYY-MM')}`
+    : String(projectBudget.project_id);
+}
+
+/**
+ * Analyzes project budgets and identifies projects that passed a new budget threshold
+ *
+ * Each threshold is alerted once per project. When a project passes several
+ * thresholds between runs only the highest one is alerted.
+ *
+ * @returns {Promise<Array>} Budget alerts with the project budget, threshold and channel
+ * @throws {Error} If API requests fail
+ */
+async function analyzeProjectBudgets() {
+  Logger.functionEntry('analyzeProjectBudgets');
+
+  try {
+    Logger.info('Fetching Harvest project budgets');
+    const projectBudgets = await getHarvestProjectBudgetReport(
+      getHarvestAccount().accountId,
+      getHarvestAccount().token
+    );
+    Logger.debug('Harvest project budgets retrieved', { count: projectBudgets?.length || 0 });
+
+    const thresholds = getBudgetAlertThresholds();
+    const sentAlerts = await readState(getAccountStateNamespace('budgetAlerts'));
+    const budgetAlerts = [];
+
+    (projectBudgets || []).forEach((projectBudget) => {
+      if (!projectBudget.budget || projectBudget.budget <= 0) {
+        return; // Project has no budget
+      }
+
+      // Thresholds are compared with the exact share spent, the rounded percentage is for display
+      const spentPercentage = (projectBudget.budget_spent / projectBudget.budget) * 100;
+      const budgetPercentage = Math.round(spentPercentage);
+      const passedThresholds = thresholds.filter((threshold) => spentPercentage >= threshold);
+      const threshold = passedThresholds[passedThresholds.length - 1];
+      const alertKey = getBudgetAlertKey(projectBudget);
+
+      Logger.debug('Project budget analysis', {
+        projectId: projectBudget.project_id,
+        projectName: projectBudget.project_name,
+        budgetPercentage,
+        threshold,
+        lastAlertedThreshold: sentAlerts[alertKey],
+      });
+
+      if (threshold !== undefined && threshold > (sentAlerts[alertKey] || 0)) {
+        budgetAlerts.push({
+          ...projectBudget,
+          budgetPercentage,
+          threshold,
+          alertKey,
+          channel: getProjectChannel(projectBudget),
+        });
+      }
+    });
+
+    Logger.info('Project budget analysis', {
+      projectsCount: projectBudgets?.length || 0,
+      budgetAlertsCount: budgetAlerts.length,
+      budgetAlerts: budgetAlerts.map((alert) => ({
+        projectId: alert.project_id,
+        projectName: alert.project_name,
+        threshold: alert.threshold,
+      })),
+    });
+    Logger.functionExit('analyzeProjectBudgets', { budgetAlertsCount: budgetAlerts.length });
+
+    return budgetAlerts;
+  } catch (error) {
+    Logger.error('Error in analyzeProjectBudgets', { error: error.message });
+    Logger.functionExit('analyzeProjectBudgets', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Sends budget alerts to their project channels
+ *
+ * Every alert is recorded as soon as it is sent so a failure part way through
+ * does not repeat alerts that already went out.
+ *
+ * @param {Array} budgetAlerts - Budget alerts from analyzeProjectBudgets
+ * @returns {Promise<void>}
+ * @throws {Error} If a Slack message cannot be sent
+ */
+async function budgetNotify(budgetAlerts) {
+  Logger.functionEntry('budgetNotify', { budgetAlertsCount: budgetAlerts?.length || 0 });
+
+  try {
+    if (!budgetAlerts || !budgetAlerts.length) {
+      Logger.info('No budget alerts to send, skipping Slack notification');
+      Logger.functionExit('budgetNotify');
+      return;
+    }
+
+    for (const budgetAlert of budgetAlerts) {
+      Logger.info('Sending budget alert', {
+        projectId: budgetAlert.project_id,
+        threshold: budgetAlert.threshold,
+        channel: budgetAlert.channel,
+      });
+      const slackBlocks = createBudgetAlertMessage(budgetAlert);
+      const response = await postSlackMessage(budgetAlert.channel, slackBlocks);
+      // Only a confirmed post is remembered, otherwise the alert is retried on the next run
+      if (!response?.ok) {
+        throw new Error(`Budget alert could not be sent: ${response?.error || 'unknown error'}`);
+      }
+
+      const stateNamespace = getAccountStateNamespace('budgetAlerts');
+      const sentAlerts = await readState(stateNamespace);
+      await writeState(stateNamespace, { ...sentAlerts, [budgetAlert.alertKey]: budgetAlert.threshold });
+
+      Logger.notificationSent('budget', 1, budgetAlert.channel);
+    }
+
+    Logger.functionExit('budgetNotify');
+  } catch (error) {
+    Logger.error('Error in budgetNotify', { error: error.message });
+    Logger.functionExit('budgetNotify', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Analyzes the uninvoiced report and totals uninvoiced time and expenses per client
+ *
+ * @param {string} timeSheetDateToCheckFrom - Start date in YYYY-MM-DD format
+ * @param {string} timeSheetDateToCheckTo - End date in YYYY-MM-DD format
+ * @returns {Promise<Array>} Clients with uninvoiced work as { clientId, clientName, currency,
+ *   uninvoicedHours, uninvoicedExpenses, uninvoicedAmount }, highest amount first
+ * @throws {Error} If API requests fail
+ */
+async function analyzeUninvoiced(timeSheetDateToCheckFrom, timeSheetDateToCheckTo) {
+  Logger.functionEntry('analyzeUninvoiced', {
+    timeSheetDateToCheckFrom,
+    timeSheetDateToCheckTo,
+  });
+
+  try {
+    Logger.info('Fetching Harvest uninvoiced report', {
+      from: timeSheetDateToCheckFrom,
+      to: timeSheetDateToCheckTo,
+    });
+    const uninvoicedReport = await getHarvestUninvoicedReport(
+      getHarvestAccount().accountId,
+      getHarvestAccount().token,
+      timeSheetDateToCheckFrom,
+      timeSheetDateToCheckTo
+    );
+    Logger.debug('Harvest uninvoiced report retrieved', { count: uninvoicedReport?.length || 0 });
+
+    // Projects of the same client can be billed in different currencies, so total per currency
+    const clients = new Map();
+    (uninvoicedReport || []).forEach((project) => {
+      const key = `${project.client_id}:${project.currency}`;
+      const client = clients.get(key) || {
+        clientId: project.client_id,
+        clientName: project.client_name,
+        currency: project.currency,
+        uninvoicedHours: 0,
+        uninvoicedExpenses: 0,
+        uninvoicedAmount: 0,
+      };
+
+      client.uninvoicedHours += project.uninvoiced_hours || 0;
+      client.uninvoicedExpenses += project.uninvoiced_expenses || 0;
+      client.uninvoicedAmount += project.uninvoiced_amount || 0;
+      clients.set(key, client);
+    });
+
+    const round = (value) => Math.round(value * 100) / 100;
+    const uninvoicedClients = [...clients.values()]
+      .filter((client) => client.uninvoicedHours > 0 || client.uninvoicedExpenses > 0)
+      .map((client) => ({
+        ...client,
+        uninvoicedHours: round(client.uninvoicedHours),
+        uninvoicedExpenses: round(client.uninvoicedExpenses),
+        uninvoicedAmount: round(client.uninvoicedAmount),
+      }))
+      .sort((a, b) => b.uninvoicedAmount - a.uninvoicedAmount);
+
+    Logger.info('Uninvoiced analysis', {
+      projectsCount: uninvoicedReport?.length || 0,
+      clientsCount: uninvoicedClients.length,
+    });
+    Logger.functionExit('analyzeUninvoiced', { clientsCount: uninvoicedClients.length });
+
+    return uninvoicedClients;
+  } catch (error) {
+    Logger.error('Error in analyzeUninvoiced', { error: error.message });
+    Logger.functionExit('analyzeUninvoiced', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Sends the uninvoiced report to the finance channel
+ *
+ * @param {Array} uninvoicedClients - Clients with uninvoiced work from analyzeUninvoiced
+ * @param {string} timeSheetDateToCheckFrom - Start date in YYYY-MM-DD format
+ * @param {string} timeSheetDateToCheckTo - End date in YYYY-MM-DD format
+ * @returns {Promise<void>}
+ * @throws {Error} If the Slack message cannot be sent
+ */
+async function uninvoicedNotify(uninvoicedClients, timeSheetDateToCheckFrom, timeSheetDateToCheckTo) {
+  Logger.functionEntry('uninvoicedNotify', {
+    clientsCount: uninvoicedClients?.length || 0,
+    timeSheetDateToCheckFrom,
+    timeSheetDateToCheckTo,
+  });
+
+  try {
+    if (uninvoicedClients && uninvoicedClients.length) {
+      const channel = process.env.UNINVOICED_REPORT_CHANNEL || process.env.SLACK_CHANNEL;
+      const slackBlocks = createUninvoicedReportMessage(
+        uninvoicedClients,
+        timeSheetDateToCheckFrom,
+        timeSheetDateToCheckTo
+      );
+
+      Logger.info('Sending uninvoiced report', { channel });
+      await postSlackMessage(channel, slackBlocks);
+
+      Logger.notificationSent('uninvoiced', uninvoicedClients.length, channel);
+    } else {
+      Logger.info('No uninvoiced work, skipping Slack notification');
+    }
+
+    Logger.functionExit('uninvoicedNotify');
+  } catch (error) {
+    Logger.error('Error in uninvoicedNotify', { error: error.message });
+    Logger.functionExit('uninvoicedNotify', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Creates the Slack message blocks for a notification type using its template
+ *
+ * @param {Array} users - Users with their Slack mentions
+ * @param {string} timeSheetDateToCheckFrom - Start date in YYYY-MM-DD format
+ * @param {string} timeSheetDateToCheckTo - End date in YYYY-MM-DD format
+ * @param {string} notificationType - Notification type sent through slackNotify
+ * @returns {Array} Slack blocks for the message
+ */
+function createNotificationBlocks(users, timeSheetDateToCheckFrom, timeSheetDateToCheckTo, notificationType) {
+  if (notificationType === 'daily') {
+    return createDailyReminderMessage(users, timeSheetDateToCheckFrom);
+  } else if (notificationType === 'weekly') {
+    return createWeeklyReminderMessage(users, timeSheetDateToCheckFrom, timeSheetDateToCheckTo);
+  } else if (notificationType === 'monthly') {
+    return createMonthlyReminderMessage(users, timeSheetDateToCheckFrom, timeSheetDateToCheckTo);
+  } else if (notificationType === 'unsubmitted') {
+    return createUnsubmittedTimesheetMessage(users, timeSheetDateToCheckFrom, timeSheetDateToCheckTo);
+  } else if (notificationType === 'running-timers') {
+    return createRunningTimerMessage(users);
+  } else if (notificationType === 'billable') {
+    return createBillableUtilisationMessage(users, timeSheetDateToCheckFrom, timeSheetDateToCheckTo);
+  } else if (notificationType === 'late-logging') {
+    return createLateLoggingMessage(users, timeSheetDateToCheckFrom, timeSheetDateToCheckTo);
+  } else if (notificationType === 'expenses') {
+    return createExpenseReminderMessage(users, timeSheetDateToCheckFrom, timeSheetDateToCheckTo);
+  } else if (notificationType === 'hygiene') {
+    return createTimesheetHygieneMessage(users, timeSheetDateToCheckFrom, timeSheetDateToCheckTo);
+  }
+
+  return undefined;
+}
+
+/**
+ * Sends Slack notifications to users with missing timesheet entries
+ *
+ * Posts to SLACK_CHANNEL, or to each user's project channels when
+ * ROUTE_REMINDERS_TO_PROJECT_CHANNELS is enabled.
+ *
+ * @param {Array} usersToNotify - Array of users who need notification
+ * @param {string} timeSheetDateToCheckFrom - Start date in YYYY-MM-DD format
+ * @param {string} timeSheetDateToCheckTo - End date in YYYY-MM-DD format
+ * @param {string} notificationType - 'daily', 'weekly', 'monthly', 'unsubmitted', 'running-timers',
+ *   'billable', 'late-logging', 'expenses' or 'hygiene'
+ * @returns {Promise<void>}
+ * @throws {Error} If Slack API request fails
+ */
+async function slackNotify(usersToNotify, timeSheetDateToCheckFrom, timeSheetDateToCheckTo, notificationType) {
+  Logger.functionEntry('slackNotify', {
+    usersToNotifyCount: usersToNotify?.length || 0,
+    timeSheetDateToCheckFrom,
+    timeSheetDateToCheckTo,
+    notificationType,
+  });
+
+  try {
+    // Only proceed if there are users to notify
+    if (usersToNotify && usersToNotify.length) {
+      // Match Harvest users with Slack users and format notification text
+      let usersWithSlackMentions;
+      if (isSlackEmailMatchingEnabled()) {
+        Logger.info('Looking up Slack users by email for notification matching');
+        usersWithSlackMentions = await matchUsersWithSlackByEmail(usersToNotify, process.env.SLACK_TOKEN);
+      } else {
+        Logger.info('Fetching Slack users for notification matching');
+        const slackUsers = await getSlackUsers(process.env.SLACK_TOKEN);
+        Logger.debug('Slack users retrieved', { count: slackUsers?.length || 0 });
+        usersWithSlackMentions = matchUsersWithSlack(usersToNotify, slackUsers);
+      }
+      Logger.debug('Users matched with Slack', {
+        matchedCount: usersWithSlackMentions?.length || 0,
+        slackUsers: usersWithSlackMentions?.map((user) => user.slackUser) || [],
+      });
+
+      // Optionally send each project channel only the reminders of its own members
+      const routes =
+        process.env.ROUTE_REMINDERS_TO_PROJECT_CHANNELS === 'true'
+          ? await routeUsersToProjectChannels(usersWithSlackMentions)
+          : [{ channel: process.env.SLACK_CHANNEL, users: usersWithSlackMentions }];
+
+      for (const route of routes) {
+        // Create Slack message blocks using appropriate template
+        Logger.info('Creating Slack message');
+        const slackBlocks = createNotificationBlocks(
+          route.users,
+          timeSheetDateToCheckFrom,
+          timeSheetDateToCheckTo,
+          notificationType
+        );
+
+        // Send message to Slack
+        Logger.info('Sending Slack notification', { channel: route.channel });
+        await postSlackMessage(route.channel, slackBlocks);
+
+        Logger.notificationSent(notificationType, route.users.length, route.channel);
+      }
+    } else {
+      Logger.info('No users to notify, skipping Slack notification');
+    }
+
+    Logger.functionExit('slackNotify');
+  } catch (error) {
+    Logger.error('Error in slackNotify', { error: error.message });
+    Logger.functionExit('slackNotify', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Gets the number of consecutive missed checks after which a user is escalated
+ *
+ * @returns {number} ESCALATION_THRESHOLD (default: 3)
+ */
+function getEscalationThreshold() {
+  const threshold = parseInt(process.env.ESCALATION_THRESHOLD, 10);
+  return threshold > 0 ? threshold : 3;
+}
+
+/**
+ * Updates the miss streaks of a notification type and finds the users to escalate
+ *
+ * Streaks are kept per notification type, so daily misses do not add up with
+ * weekly ones. Users who were not flagged by this check lose their streak.
+ * Users are escalated when their streak reaches the threshold and again every
+ * time it grows by the threshold after that.
+ *
+ * @param {Array} usersToNotify - Users flagged by this check
+ * @param {string} timeSheetDateToCheckFrom - Start date in YYYY-MM-DD format
+ * @param {string} timeSheetDateToCheckTo - End date in YYYY-MM-DD format
+ * @param {string} notificationType - 'daily', 'weekly' or 'monthly'
+ * @returns {Promise<Array>} Users to escalate as { user, streak, misses }
+ * @throws {Error} If the state file cannot be read or written
+ */
+async function updateMissStreaks(
+  usersToNotify,
+  timeSheetDateToCheckFrom,
+  timeSheetDateToCheckTo,
+  notificationType
+) {
+  const stateNamespace = getAccountStateNamespace('missStreaks');
+  const missStreaks = await readState(stateNamespace);
+  const previousStreaks = missStreaks[notificationType] || {};
+  const threshold = getEscalationThreshold();
+  const streaks = {};
+  const repeatOffenders = [];
+
+  (usersToNotify || []).forEach((user) => {
+    const previous = previousStreaks[user.id] || { streak: 0, misses: [] };
+    const lastMiss = previous.misses[previous.misses.length - 1];
+
+    // Running the same check twice must not grow the streak
+    if (lastMiss && lastMiss.from === timeSheetDateToCheckFrom && lastMiss.to === timeSheetDateToCheckTo) {
+      streaks[user.id] = previous;
+      return;
+    }
+
+    const streak = previous.streak + 1;
+    const misses = [
+      ...previous.misses,
+      { from: timeSheetDateToCheckFrom, to: timeSheetDateToCheckTo, totalHours: user.totalHours },
+    ].slice(-MAX_MISS_HISTORY);
+    streaks[user.id] = { streak, misses };
+
+    if (streak % threshold === 0) {
+      repeatOffenders.push({ user, streak, misses: misses.slice(-streak) });
+    }
+  });
+
+  await writeState(stateNamespace, { ...missStreaks, [notificationType]: streaks });
+
+  Logger.info('Miss streaks updated', {
+    notificationType,
+    streaksCount: Object.keys(streaks).length,
+    repeatOffendersCount: repeatOffenders.length,
+  });
+
+  return repeatOffenders;
+}
+
+/**
+ * Escalates users who keep missing their hours to their project managers
+ *
+ * Sends each project manager one direct message listing the repeat offenders
+ * on their projects with the history of their missed checks.
+ *
+ * @param {Array} usersToNotify - Users flagged by this check
+ * @param {string} timeSheetDateToCheckFrom - Start date in YYYY-MM-DD format
+ * @param {string} timeSheetDateToCheckTo - End date in YYYY-MM-DD format
+ * @param {string} notificationType - 'daily', 'weekly' or 'monthly'
+ * @returns {Promise<void>}
+ * @throws {Error} If API requests fail or the state file cannot be read or written
+ */
+async function escalateRepeatOffenders(
+  usersToNotify,
+  timeSheetDateToCheckFrom,
+  timeSheetDateToCheckTo,
+  notificationType
+) {
+  Logger.functionEntry('escalateRepeatOffenders', {
+    usersToNotifyCount: usersToNotify?.length || 0,
+    timeSheetDateToCheckFrom,
+    timeSheetDateToCheckTo,
+    notificationType,
+  });
+
+  try {
+    const repeatOffenders = await updateMissStreaks(
+      usersToNotify,
+      timeSheetDateToCheckFrom,
+      timeSheetDateToCheckTo,
+      notificationType
+    );
+
+    if (!repeatOffenders.length) {
+      Logger.info('No repeat offenders to escalate');
+      Logger.functionExit('escalateRepeatOffenders', { escalatedCount: 0 });
+      return;
+    }
+
+    Logger.info('Fetching Harvest user assignments for escalation');
+    const userAssignments =
+      (await getHarvestUserAssignments(getHarvestAccount().accountId, getHarvestAccount().token, {
+        is_active: true,
+      })) || [];
+
+    // Project managers may be excluded from reminders, so look them up among all users
+    const harvestUsers =
+      (await getHarvestUsers(getHarvestAccount().accountId, getHarvestAccount().token)) || [];
+
+    const escalationsByManager = new Map();
+    repeatOffenders.forEach(({ user, streak, misses }) => {
+      const projects = userAssignments
+        .filter((assignment) => assignment.user?.id === user.id)
+        .map((assignment) => assignment.project);
+      const projectIds = projects.map((project) => project?.id);
+      const managerIds = new Set(
+        userAssignments
+          .filter(
+            (assignment) =>
+              assignment.is_project_manager &&
+              assignment.user?.id !== user.id &&
+              projectIds.includes(assignment.project?.id)
+          )
+          .map((assignment) => assignment.user.id)
+      );
+
+      if (!managerIds.size) {
+        Logger.warn('No project managers to escalate to', {
+          userId: user.id,
+          userName: `${user.first_name} ${user.last_name}`,
+        });
+        return;
+      }
+
+      managerIds.forEach((managerId) => {
+        const escalations = escalationsByManager.get(managerId) || [];
+        escalations.push({
+          user,
+          notificationType,
+          streak,
+          misses,
+          projects: projects.map((project) => project?.name).filter(Boolean),
+        });
+        escalationsByManager.set(managerId, escalations);
+      });
+    });
+
+    const managers = harvestUsers.filter((harvestUser) => escalationsByManager.has(harvestUser.id));
+    const managerSlackUsers = await findSlackUsersOfHarvestUsers(managers);
+
+    let escalatedCount = 0;
+    for (const [managerId, escalations] of escalationsByManager) {
+      const slackUser = managerSlackUsers.get(managerId);
+
+      if (!slackUser) {
+        Logger.warn('Project manager not found in Slack, escalation skipped', { managerId });
+        continue;
+      }
+
+      Logger.info('Sending escalation to project manager', {
+        managerId,
+        usersCount: escalations.length,
+      });
+      await postSlackMessage(slackUser.id, createEscalationMessage(escalations));
+      Logger.notificationSent('escalation', escalations.length, slackUser.id);
+      escalatedCount++;
+    }
+
+    Logger.functionExit('escalateRepeatOffenders', { escalatedCount });
+  } catch (error) {
+    Logger.error('Error in escalateRepeatOffenders', { error: error.message });
+    Logger.functionExit('escalateRepeatOffenders', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Determines which notifications should run based on the current date
+ *
+ * @returns {Array} Array of notification types that should run today
+ */
+function determineNotificationsToRun() {
+  const currentDate = moment();
+  const weekday = currentDate.format('dddd');
+  const isLastDayOfMonth = currentDate.format('YYYY-MM-DD') === currentDate.endOf('month').format('YYYY-MM-DD');
+  
+  const notificationsToRun = [];
+  
+  // Daily notifications run on weekdays
+  if (!['Saturday', 'Sunday'].includes(weekday)) {
+    notificationsToRun.push('daily');
+  }
+  
+  // Weekly notifications run on Fridays
+  if (weekday === 'Friday') {
+    notificationsToRun.push('weekly');
+  }
+  
+  // Monthly notifications run on the last day of the month
+  if (isLastDayOfMonth) {
+    notificationsToRun.push('monthly');
+  }
+
+  // Unsubmitted timesheet checks run on Mondays, once the previous week has closed
+  if (weekday === 'Monday' && process.env.UNSUBMITTED_TIMESHEETS_ENABLED === 'true') {
+    notificationsToRun.push('unsubmitted');
+  }
+
+  // Running timer checks run on weekdays
+  if (!['Saturday', 'Sunday'].includes(weekday) && process.env.RUNNING_TIMERS_ENABLED === 'true') {
+    notificationsToRun.push('running-timers');
+  }
+
+  // The uninvoiced report for finance runs alongside the monthly notification
+  if (isLastDayOfMonth && process.env.UNINVOICED_REPORT_ENABLED === 'true') {
+    notificationsToRun.push('uninvoiced');
+  }
+
+  // Project budget checks run on weekdays
+  if (!['Saturday', 'Sunday'].includes(weekday) && process.env.BUDGET_ALERTS_ENABLED === 'true') {
+    notificationsToRun.push('budget');
+  }
+  
+  return notificationsToRun;
+}
+
+/**
+ * Refuses to run features that depend on earlier runs without an explicit state file
+ *
+ * Budget alerts and escalations remember what earlier runs found. With the default
+ * state file on an ephemeral filesystem that memory is lost, so projects would be
+ * alerted again and miss streaks would never grow past one.
+ *
+ * @param {Array<string>} notificationsToRun - Notification types to run
+ * @returns {void}
+ * @throws {Error} If a feature that needs state is enabled and STATE_FILE_PATH is not set
+ */
+function validateStateStore(notificationsToRun) {
+  if (isStateStoreConfigured()) {
+    return;
+  }
+
+  const featuresNeedingState = [];
+  if (notificationsToRun.includes('budget')) {
+    featuresNeedingState.push('BUDGET_ALERTS_ENABLED');
+  }
+  if (
+    process.env.ESCALATION_ENABLED === 'true' &&
+    notificationsToRun.some((notificationType) => ['daily', 'weekly', 'monthly'].includes(notificationType))
+  ) {
+    featuresNeedingState.push('ESCALATION_ENABLED');
+  }
+
+  if (featuresNeedingState.length) {
+    throw new Error(
+      `${featuresNeedingState.join(' and ')} require STATE_FILE_PATH to point at a file that is kept between runs`
+    );
+  }
+}
+
+/**
+ * Gets the date range for a specific notification type
+ *
+ * @param {string} notificationType - 'daily', 'weekly', 'monthly', 'unsubmitted', 'running-timers', 'budget' or 'uninvoiced'
+ * @returns {Object} Object with from and to dates in YYYY-MM-DD format
+ */
+function getDateRangeForNotification(notificationType) {
+  const currentDate = moment();
+  
+  if (notificationType === 'daily') {
+    const weekday = currentDate.format('dddd');
+    let dateToCheck;
+    
+    if (['Tuesday', 'Wednesday', 'Thursday', 'Friday'].includes(weekday)) {
+      // Check previous day
+      dateToCheck = currentDate.clone().subtract(1, 'days').format('YYYY-MM-DD');
+    } else {
+      // Monday: check Friday (3 days back)
+      dateToCheck = currentDate.clone().subtract(3, 'days').format('YYYY-MM-DD');
+    }
     
     return { from: dateToCheck, to: dateToCheck };
   } else if (notificationType === 'weekly') {
-    // Check the entire week (Monday to Friday)
-    const from = currentDate.clone().startOf('week').add(1, 'days').format('YYYY-MM-DD');
+    // Check the week so far, from the company's week start day
+    const from = getWeekStart(currentDate).format('YYYY-MM-DD');
     const to = currentDate.clone().format('YYYY-MM-DD');
     return { from, to };
-  } else if (notificationType === 'monthly') {
+  } else if (notificationType === 'monthly' || notificationType === 'uninvoiced') {
     // Check the entire month
     const from = currentDate.clone().startOf('month').format('YYYY-MM-DD');
     const to = currentDate.clone().endOf('month').format('YYYY-MM-DD');
     return { from, to };
+  } else if (notificationType === 'unsubmitted') {
+    // Check the entire previous week, from the company's week start day
+    const weekStart = getWeekStart(currentDate).subtract(1, 'weeks');
+    const from = weekStart.format('YYYY-MM-DD');
+    const to = weekStart.clone().add(6, 'days').format('YYYY-MM-DD');
+    return { from, to };
+  } else if (notificationType === 'running-timers' || notificationType === 'budget') {
+    // Running timers and project budgets are checked as of today
+    const today = currentDate.format('YYYY-MM-DD');
+    return { from: today, to: today };
   }
   
   throw new Error(`Unknown notification type: ${notificationType}`);
@@ -417,7 +2334,7 @@ function getDateRangeForNotification(notificationType) {
 /**
  * Runs a specific notification type
  *
- * @param {string} notificationType - 'daily', 'weekly', or 'monthly'
+ * @param {string} notificationType - 'daily', 'weekly', 'monthly', 'unsubmitted', 'running-timers', 'budget' or 'uninvoiced'
  * @returns {Promise<void>}
  */
 async function runNotification(notificationType) {
@@ -425,12 +2342,39 @@ async function runNotification(notificationType) {
   
   const dateRange = getDateRangeForNotification(notificationType);
   Logger.info(`${notificationType} date range`, dateRange);
+
+  // Budget alerts and the uninvoiced report go to channels rather than mentioning users
+  if (notificationType === 'budget') {
+    const budgetAlerts = await analyzeProjectBudgets();
+    await budgetNotify(budgetAlerts);
+    Logger.info(`${notificationType} notification completed`);
+    return;
+  } else if (notificationType === 'uninvoiced') {
+    const uninvoicedClients = await analyzeUninvoiced(dateRange.from, dateRange.to);
+    await uninvoicedNotify(uninvoicedClients, dateRange.from, dateRange.to);
+    Logger.info(`${notificationType} notification completed`);
+    return;
+  }
   
-  const usersToNotify = await analyzeHarvestData(
-    dateRange.from, 
-    dateRange.to, 
-    notificationType
-  );
+  // The hygiene audit needs the period's time entries, fetch them once and share them
+  let periodTimeEntries = null;
+  if (isHygieneAuditEnabled(notificationType)) {
+    periodTimeEntries = await getHarvestTimeEntries(
+      getHarvestAccount().accountId,
+      getHarvestAccount().token,
+      dateRange.from,
+      dateRange.to
+    );
+  }
+
+  let usersToNotify;
+  if (notificationType === 'unsubmitted') {
+    usersToNotify = await analyzeUnsubmittedTimesheets(dateRange.from, dateRange.to);
+  } else if (notificationType === 'running-timers') {
+    usersToNotify = await analyzeRunningTimers();
+  } else {
+    usersToNotify = await analyzeHarvestData(dateRange.from, dateRange.to, notificationType, periodTimeEntries);
+  }
   
   await slackNotify(
     usersToNotify, 
@@ -438,20 +2382,214 @@ async function runNotification(notificationType) {
     dateRange.to, 
     notificationType
   );
+
+  // Repeat offenders are optionally escalated to the project managers of their projects
+  if (['daily', 'weekly', 'monthly'].includes(notificationType) && process.env.ESCALATION_ENABLED === 'true') {
+    await escalateRepeatOffenders(usersToNotify, dateRange.from, dateRange.to, notificationType);
+  }
+
+  // Weekly and monthly runs optionally nudge users below their billable target
+  if (['weekly', 'monthly'].includes(notificationType) && process.env.BILLABLE_TARGETS_ENABLED === 'true') {
+    const usersBelowTarget = await analyzeBillableUtilisation(dateRange.from, dateRange.to, notificationType);
+    await slackNotify(usersBelowTarget, dateRange.from, dateRange.to, 'billable');
+  }
+
+  // Weekly and monthly runs optionally report users who log their time late
+  if (['weekly', 'monthly'].includes(notificationType) && process.env.LATE_LOGGING_ENABLED === 'true') {
+    const lateLoggers = await analyzeLateLogging(dateRange.from, dateRange.to, notificationType);
+    await slackNotify(lateLoggers, dateRange.from, dateRange.to, 'late-logging');
+  }
+
+  // Weekly and monthly runs optionally flag bad timesheet data
+  if (isHygieneAuditEnabled(notificationType)) {
+    const usersWithAnomalies = await analyzeTimesheetHygiene(
+      dateRange.from,
+      dateRange.to,
+      notificationType,
+      periodTimeEntries
+    );
+    await slackNotify(usersWithAnomalies, dateRange.from, dateRange.to, 'hygiene');
+  }
+
+  // Monthly runs optionally remind users to submit their expenses before month-end close
+  if (notificationType === 'monthly' && process.env.EXPENSE_REMINDERS_ENABLED === 'true') {
+    const usersWithExpenses = await analyzeExpenses(dateRange.from, dateRange.to);
+    await slackNotify(usersWithExpenses, dateRange.from, dateRange.to, 'expenses');
+  }
   
   Logger.info(`${notificationType} notification completed`);
 }
 
+/**
+ * Suggests how to resolve a failed Harvest API request based on its status
+ *
+ * @param {HarvestApiError} error - The Harvest API error
+ * @returns {string} Actionable hint for the operator
+ */
+function getHarvestErrorHint(error) {
+  if (/oauth2\/token$/.test(error.endpoint) && error.status !== null) {
+    return 'Harvest ID rejected the OAuth2 credentials. Check HARVEST_OAUTH_CLIENT_ID and HARVEST_OAUTH_CLIENT_SECRET, or run `npm run authorize` again.';
+  } else if (error.status === null) {
+    return 'Harvest did not respond in time. Check HARVEST_BASE_URL or increase HARVEST_TIMEOUT_MS.';
+  } else if (error.status === 401 && !getHarvestAccount().token && isHarvestOAuthConfigured()) {
+    return 'Harvest rejected the OAuth2 access token, even after refreshing it. Check that the authorizing user still has access to the account, or run `npm run authorize` again.';
+  } else if (error.status === 401) {
+    return 'Harvest rejected the token. Check that HARVEST_TOKEN is valid and has not been revoked.';
+  } else if (error.status === 403) {
+    return 'The Harvest token lacks permission. Team reports require administrator or manager access.';
+  } else if (error.status === 404) {
+    return 'Harvest could not find the resource. Check that HARVEST_ACCOUNT_ID is correct.';
+  } else if (error.status === 429) {
+    return 'Harvest rate limit still exceeded after retries. Try again later.';
+  } else if (error.status >= 500) {
+    return 'Harvest is unavailable after retries. Try again later.';
+  }
+
+  return 'Unexpected response from Harvest.';
+}
+
+/**
+ * Verifies the Harvest token, account and permissions before any analysis
+ *
+ * Fetches the token's user to check it has administrator or manager access,
+ * which team reports require, and loads the company settings, which checks
+ * the account ID.
+ *
+ * @returns {Promise<Object>} The Harvest user the token belongs to
+ * @throws {HarvestApiError} If the token or account is invalid, or the user lacks access
+ */
+async function verifyHarvestAccess() {
+  Logger.info('Verifying Harvest access');
+  const currentUser = await getHarvestCurrentUser(
+    getHarvestAccount().accountId,
+    getHarvestAccount().token
+  );
+
+  const accessRoles = currentUser?.access_roles || [];
+  if (!accessRoles.some((role) => ['administrator', 'manager'].includes(role))) {
+    throw new HarvestApiError(
+      `Harvest user ${currentUser?.email || currentUser?.id} has ${
+        accessRoles.join(', ') || 'no'
+      } access, administrator or manager access is required`,
+      { status: 403, endpoint: 'GET /v2/users/me', body: { access_roles: accessRoles } }
+    );
+  }
+
+  // Week boundaries and hour formatting follow the Harvest company settings
+  await loadCompanySettings(getHarvestAccount().accountId, getHarvestAccount().token);
+
+  Logger.info('Harvest access verified', {
+    userId: currentUser.id,
+    accessRoles,
+  });
+
+  return currentUser;
+}
+
+/**
+ * Alerts the admin Slack channel that a Harvest API request failed
+ *
+ * Does nothing unless ADMIN_SLACK_CHANNEL is set. A failure to send the alert
+ * is logged and not rethrown, so it does not hide the original error.
+ *
+ * @param {HarvestApiError} error - The Harvest API error
+ * @param {Object} [run] - The stopped run, see createHarvestErrorAlertMessage
+ * @returns {Promise<void>}
+ */
+async function alertAdminChannel(error, run) {
+  if (!process.env.ADMIN_SLACK_CHANNEL) {
+    return;
+  }
+
+  try {
+    const slackBlocks = createHarvestErrorAlertMessage(error, getHarvestErrorHint(error), run);
+    await postSlackMessage(process.env.ADMIN_SLACK_CHANNEL, slackBlocks);
+    Logger.notificationSent('harvest-error', 0, process.env.ADMIN_SLACK_CHANNEL);
+  } catch (alertError) {
+    Logger.error('Unable to alert the admin Slack channel', { error: alertError.message });
+  }
+}
+
+/**
+ * Logs a failed run and alerts the admin channel when a Harvest API request failed
+ *
+ * @param {Error} error - The error that stopped the run
+ * @param {Object} [run] - The stopped run, see createHarvestErrorAlertMessage
+ * @returns {Promise<void>}
+ */
+async function reportAppError(error, run) {
+  if (error instanceof HarvestApiError) {
+    Logger.error('Harvest API request failed, the remaining notifications were skipped', {
+      status: error.status,
+      endpoint: error.endpoint,
+      details: error.body,
+      hint: getHarvestErrorHint(error),
+      ...run,
+    });
+    await alertAdminChannel(error, run);
+  }
+  Logger.error('Error in app', { error: error.message });
+}
+
+/**
+ * Runs the notifications for each Harvest account
+ *
+ * An account that fails is reported and does not stop the other accounts from
+ * being checked.
+ *
+ * @param {Array<string>} notificationsToRun - Notification types to run
+ * @returns {Promise<Array>} Failed accounts as { account, error }
+ */
+async function runHarvestAccounts(notificationsToRun) {
+  const failedAccounts = [];
+
+  for (const harvestAccount of getHarvestAccounts()) {
+    useHarvestAccount(harvestAccount);
+    if (harvestAccount.name) {
+      Logger.info('Checking Harvest account', {
+        name: harvestAccount.name,
+        accountId: harvestAccount.accountId,
+      });
+    }
+
+    const sentNotifications = [];
+
+    try {
+      // Fail fast on a revoked token, wrong account or missing permissions
+      await verifyHarvestAccess();
+
+      // Run each notification in sequence
+      for (const notificationType of notificationsToRun) {
+        await runNotification(notificationType);
+        sentNotifications.push(notificationType);
+      }
+    } catch (error) {
+      await reportAppError(error, {
+        accountName: harvestAccount.name || `account ${harvestAccount.accountId}`,
+        sentNotifications,
+        skippedNotifications: notificationsToRun.slice(sentNotifications.length),
+      });
+      failedAccounts.push({ account: harvestAccount, error });
+    } finally {
+      useHarvestAccount(null);
+    }
+  }
+
+  return failedAccounts;
+}
+
 /**
  * Main application function
  *
  * Determines which notifications should run based on the current date
- * and executes them in sequence.
+ * and executes them in sequence for each Harvest account.
  *
  * @param {boolean} shouldExit - Whether to exit the process on completion (default: true)
  * @returns {Promise<void>}
  */
 async function app(shouldExit = true) {
+  let failedAccounts;
+
   try {
     const currentDate = moment().format('YYYY-MM-DD');
     const weekday = moment().format('dddd');
@@ -473,20 +2611,31 @@ async function app(shouldExit = true) {
     }
     
     Logger.info('Notifications to run today', { notificationsToRun });
-    
-    // Run each notification in sequence
-    for (const notificationType of notificationsToRun) {
-      await runNotification(notificationType);
-    }
-    
-    Logger.appEnd('unified', 'All notifications completed');
-    if (shouldExit) process.exit(0);
+    validateStateStore(notificationsToRun);
+
+    // Explicit Harvest-to-Slack mappings take precedence over automatic matching
+    await loadSlackUserMapping((slackUserId) => getSlackUserById(slackUserId, process.env.SLACK_TOKEN));
+
+    // Each Harvest account is checked and posted about separately
+    failedAccounts = await runHarvestAccounts(notificationsToRun);
   } catch (error) {
-    Logger.error('Error in app', { error: error.message });
+    await reportAppError(error);
     Logger.appEnd('unified', `Error: ${error.message}`);
     if (shouldExit) process.exit(1);
     throw error; // Re-throw the error for testing
   }
+
+  if (failedAccounts.length) {
+    Logger.error('Harvest accounts failed', {
+      failedAccounts: failedAccounts.map(({ account }) => account.name || account.accountId),
+    });
+    Logger.appEnd('unified', `Error: ${failedAccounts.length} Harvest account(s) failed`);
+    if (shouldExit) process.exit(1);
+    throw failedAccounts[0].error; // Re-throw the error for testing
+  }
+
+  Logger.appEnd('unified', 'All notifications completed');
+  if (shouldExit) process.exit(0);
 }
 
 // Execute the application only if this file is run directly
@@ -497,8 +2646,39 @@ if (import.meta.url === `file://${process.argv[1]}`) {
 // Export functions for testing
 export { 
   analyzeHarvestData, 
+  analyzeUnsubmittedTimesheets,
+  analyzeExpenses,
+  analyzeTimesheetHygiene,
+  isHygieneAuditEnabled,
+  getTimesheetHygieneRules,
+  findTimesheetAnomalies,
+  analyzeRunningTimers,
+  analyzeBillableUtilisation,
+  getBillableTarget,
+  analyzeLateLogging,
+  isTimeEntryLoggedOnTime,
+  isUserEligibleForNotification,
+  excludeUnassignedUsers,
+  isPerDayAnalysisEnabled,
+  analyzeProjectBudgets,
+  budgetNotify,
+  analyzeUninvoiced,
+  uninvoicedNotify,
+  getProjectChannel,
+  routeUsersToProjectChannels,
+  getBudgetAlertThresholds,
+  updateMissStreaks,
+  escalateRepeatOffenders,
+  getEscalationThreshold,
+  getWorkdaysInPeriod,
+  findShortWorkdays,
+  getProjectBreakdowns,
+  findForecastPerson,
+  calculateScheduledHours,
+  getForecastSchedules,
   slackNotify, 
-  determineNotificationsToRun, 
+  determineNotificationsToRun,
+  validateStateStore,
   getDateRangeForNotification, 
   runNotification, 
   app,
@@ -506,5 +2686,9 @@ export {
   calculatePersonalizedThreshold,
   workday_count,
   shouldIncludeInDailyNotifications,
-  shouldIncludeInNotifications
+  shouldIncludeInNotifications,
+  getHarvestErrorHint,
+  verifyHarvestAccess,
+  alertAdminChannel,
+  postSlackMessage
 };
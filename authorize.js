@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Harvest OAuth2 authorize command for Harvest Notifier
+ *
+ * One-time command (`npm run authorize`) that lets a Harvest user authorize the
+ * notifier. It prints the Harvest ID authorization URL, waits for the redirect
+ * on a local server and stores the resulting access and refresh tokens in the
+ * state store, from where the Harvest client refreshes them as needed.
+ *
+ * @author tiaan.swart@sleeq.global
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import dotenv from 'dotenv';
+import http from 'http';
+import { randomBytes } from 'crypto';
+import {
+  isHarvestOAuthConfigured,
+  getHarvestAuthorizeUrl,
+  exchangeHarvestAuthorizationCode,
+} from './utils/harvest-oauth.js';
+import Logger from './utils/logger.js';
+
+dotenv.config();
+
+const DEFAULT_REDIRECT_URI = 'http://localhost:3000/oauth/callback';
+
+/**
+ * Gets the redirect URI registered for the Harvest OAuth2 application
+ *
+ * @returns {URL} HARVEST_OAUTH_REDIRECT_URI or http://localhost:3000/oauth/callback
+ */
+function getRedirectUri() {
+  return new URL(process.env.HARVEST_OAUTH_REDIRECT_URI || DEFAULT_REDIRECT_URI);
+}
+
+/**
+ * Handles the Harvest ID redirect and stores the tokens it grants
+ *
+ * @param {URL} callbackUrl - URL Harvest ID redirected to
+ * @param {string} expectedState - State sent with the authorization URL
+ * @returns {Promise<Object>} Stored tokens and the authorized accounts as { tokens, scope }
+ * @throws {Error} If authorization was denied, the state does not match or no code was returned
+ * @throws {HarvestApiError} If Harvest ID rejects the code
+ */
+async function handleAuthorizationCallback(callbackUrl, expectedState) {
+  const { searchParams } = callbackUrl;
+
+  if (searchParams.get('error')) {
+    throw new Error(`Harvest authorization was denied: ${searchParams.get('error')}`);
+  }
+  if (searchParams.get('state') !== expectedState) {
+    throw new Error('Harvest authorization state does not match, please start again');
+  }
+  if (!searchParams.get('code')) {
+    throw new Error('Harvest authorization did not return a code');
+  }
+
+  const tokens = await exchangeHarvestAuthorizationCode(searchParams.get('code'));
+
+  // The scope lists the authorized accounts, e.g. "harvest:123 forecast:456"
+  const scope = searchParams.get('scope') || '';
+  Logger.info('Harvest Notifier authorized', { scope, expiresAt: tokens.expiresAt });
+
+  return { tokens, scope };
+}
+
+/**
+ * Runs the authorization-code flow on a local server
+ *
+ * @returns {Promise<Object>} Stored tokens and the authorized accounts as { tokens, scope }
+ * @throws {Error} If OAuth2 is not configured or authorization fails
+ */
+function authorize() {
+  if (!isHarvestOAuthConfigured()) {
+    return Promise.reject(
+      new Error('Set HARVEST_OAUTH_CLIENT_ID and HARVEST_OAUTH_CLIENT_SECRET before authorizing')
+    );
+  }
+
+  const redirectUri = getRedirectUri();
+  const state = randomBytes(16).toString('hex');
+
+  return new Promise((resolve, reject) => {
+    const server = http.createServer(async (req, res) => {
+      const callbackUrl = new URL(req.url, redirectUri.origin);
+      if (callbackUrl.pathname !== redirectUri.pathname) {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+
+      try {
+        const result = await handleAuthorizationCallback(callbackUrl, state);
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('Harvest Notifier is authorized, you can close this window.');
+        resolve(result);
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end(`Harvest Notifier authorization failed: ${error.message}`);
+        reject(error);
+      } finally {
+        server.close();
+      }
+    });
+
+    server.on('error', reject);
+    server.listen(redirectUri.port || 80, redirectUri.hostname, () => {
+      Logger.info('Open this URL to authorize Harvest Notifier', {
+        url: getHarvestAuthorizeUrl(state),
+        redirectUri: redirectUri.toString(),
+      });
+    });
+  });
+}
+
+// Execute the command only if this file is run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  authorize()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      Logger.error('Harvest authorization failed', { error: error.message });
+      process.exit(1);
+    });
+}
+
+export { authorize, handleAuthorizationCallback, getRedirectUri };
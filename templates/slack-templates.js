@@ -11,6 +11,74 @@
 
 import moment from 'moment';
 import Logger from '../utils/logger.js';
+import { formatHours } from '../utils/company-settings.js';
+
+// Maximum number of uninvoiced table rows per section, as section text is limited to 3000 characters
+const UNINVOICED_ROWS_PER_SECTION = 25;
+
+// Slack rejects section blocks with more than 3000 characters of text
+const SECTION_TEXT_LIMIT = 3000;
+
+/**
+ * Creates the sections of a bulleted list, split so no section exceeds Slack's text limit
+ *
+ * @param {Array<string>} items - List items in Slack mrkdwn, which may span several lines
+ * @returns {Array<Object>} One or more Slack section blocks
+ */
+function createListSections(items) {
+  const texts = [];
+  let text = '';
+
+  items.forEach((item) => {
+    // An item too long for a section of its own is split at its line breaks
+    const entry = `• ${item}`;
+    const lines = entry.length > SECTION_TEXT_LIMIT ? entry.split('\n') : [entry];
+
+    lines.forEach((line) => {
+      if (text && text.length + line.length + 1 > SECTION_TEXT_LIMIT) {
+        texts.push(text);
+        text = '';
+      }
+      text = text ? `${text}\n${line}` : line.slice(0, SECTION_TEXT_LIMIT);
+    });
+  });
+  texts.push(text || '• ');
+
+  return texts.map((sectionText) => ({
+    type: 'section',
+    text: {
+      type: 'mrkdwn',
+      text: sectionText,
+    },
+  }));
+}
+
+/**
+ * Formats a user's list entry followed by their short workdays and hours per project, if known
+ *
+ * @param {Object} user - User with slackUser and optional missingDays and projectBreakdown
+ * @returns {string} Slack mrkdwn text for the user
+ */
+function formatUserWithDetails(user) {
+  const detailLines = [];
+
+  if (user.missingDays?.length) {
+    const days = user.missingDays
+      .map((day) => `${moment(day.date).format('ddd MMM Do')} (${formatHours(day.hours)} hours)`)
+      .join(', ');
+    detailLines.push(`    ◦ Missing or short days: ${days}`);
+  }
+
+  (user.projectBreakdown || []).forEach((project) => {
+    detailLines.push(
+      `    ◦ ${project.clientName ? `${project.clientName} - ` : ''}${project.projectName}: ${formatHours(
+        project.hours
+      )} hours`
+    );
+  });
+
+  return [user.slackUser, ...detailLines].join('\n');
+}
 
 /**
  * Creates a daily timesheet reminder message
@@ -51,13 +119,7 @@ function createDailyReminderMessage(usersToNotify, timeSheetDateToCheck) {
         ).format('MMMM Do YYYY')}:`,
       },
     },
-    {
-      type: 'section',
-      text: {
-        type: 'mrkdwn',
-        text: `• ${usersList.map((user) => user.slackUser).join('\n• ')}`,
-      },
-    },
+    ...createListSections(usersList.map((user) => user.slackUser)),
     {
       type: 'section',
       text: {
@@ -99,7 +161,8 @@ function createDailyReminderMessage(usersToNotify, timeSheetDateToCheck) {
 /**
  * Creates a weekly timesheet reminder message
  *
- * @param {Array} usersToNotify - Array of users with their Slack mentions and hours
+ * @param {Array} usersToNotify - Array of users with their Slack mentions, hours and optional
+ *   missingDays ({ date, hours }) and projectBreakdown ({ projectName, clientName, hours })
  * @param {string} timeSheetDateToCheckFrom - Start date of week in YYYY-MM-DD format
  * @param {string} timeSheetDateToCheckTo - End date of week in YYYY-MM-DD format
  * @returns {Array} Slack blocks for the message
@@ -143,13 +206,7 @@ function createWeeklyReminderMessage(
         ).format('MMMM Do YYYY')} and ${moment(timeSheetDateToCheckTo).format('MMMM Do YYYY')}:`,
       },
     },
-    {
-      type: 'section',
-      text: {
-        type: 'mrkdwn',
-        text: `• ${usersList.map((user) => user.slackUser).join('\n• ')}`,
-      },
-    },
+    ...createListSections(usersList.map(formatUserWithDetails)),
     {
       type: 'section',
       text: {
@@ -191,7 +248,8 @@ function createWeeklyReminderMessage(
 /**
  * Creates a monthly timesheet reminder message
  *
- * @param {Array} usersToNotify - Array of users with their Slack mentions and hours
+ * @param {Array} usersToNotify - Array of users with their Slack mentions, hours and optional
+ *   missingDays ({ date, hours }) and projectBreakdown ({ projectName, clientName, hours })
  * @param {string} timeSheetDateToCheckFrom - Start date of month in YYYY-MM-DD format
  * @param {string} timeSheetDateToCheckTo - End date of month in YYYY-MM-DD format
  * @returns {Array} Slack blocks for the message
@@ -235,13 +293,7 @@ function createMonthlyReminderMessage(
         ).format('MMMM Do YYYY')} and ${moment(timeSheetDateToCheckTo).format('MMMM Do YYYY')}:`,
       },
     },
-    {
-      type: 'section',
-      text: {
-        type: 'mrkdwn',
-        text: `• ${usersList.map((user) => user.slackUser).join('\n• ')}`,
-      },
-    },
+    ...createListSections(usersList.map(formatUserWithDetails)),
     {
       type: 'section',
       text: {
@@ -280,4 +332,1074 @@ function createMonthlyReminderMessage(
   return messageBlocks;
 }
 
-export { createDailyReminderMessage, createWeeklyReminderMessage, createMonthlyReminderMessage };
+/**
+ * Creates an unsubmitted timesheet reminder message
+ *
+ * @param {Array} usersToNotify - Array of users with their Slack mentions and unsubmitted entries
+ * @param {string} timeSheetDateToCheckFrom - Start date of week in YYYY-MM-DD format
+ * @param {string} timeSheetDateToCheckTo - End date of week in YYYY-MM-DD format
+ * @returns {Array} Slack blocks for the message
+ */
+function createUnsubmittedTimesheetMessage(
+  usersToNotify,
+  timeSheetDateToCheckFrom,
+  timeSheetDateToCheckTo
+) {
+  Logger.functionEntry('createUnsubmittedTimesheetMessage', {
+    usersToNotifyCount: usersToNotify?.length || 0,
+    timeSheetDateToCheckFrom,
+    timeSheetDateToCheckTo,
+  });
+
+  Logger.info('Creating unsubmitted timesheet message', {
+    dateFrom: timeSheetDateToCheckFrom,
+    dateTo: timeSheetDateToCheckTo,
+    formattedDateFrom: moment(timeSheetDateToCheckFrom).format('MMMM Do YYYY'),
+    formattedDateTo: moment(timeSheetDateToCheckTo).format('MMMM Do YYYY'),
+    usersCount: usersToNotify?.length || 0,
+  });
+
+  // Handle case where usersToNotify is null or undefined
+  const usersList = usersToNotify && Array.isArray(usersToNotify) ? usersToNotify : [];
+
+  const messageBlocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: "*Hi there :sleeq: team! Here's a friendly reminder to submit your timesheets for approval in Harvest. Logged hours can only be approved once the week has been submitted.*",
+      },
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `We noticed that the following people haven't submitted their timesheet for ${moment(
+          timeSheetDateToCheckFrom
+        ).format('MMMM Do YYYY')} to ${moment(timeSheetDateToCheckTo).format('MMMM Do YYYY')}:`,
+      },
+    },
+    ...createListSections(
+      usersList.map(
+        (user) =>
+          `${user.slackMention} (Unsubmitted: ${user.unsubmittedEntries} entries, ${formatHours(
+            user.unsubmittedHours
+          )} hours)`
+      )
+    ),
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: 'Please take a moment to submit your timesheet for approval and react with :heavy_check_mark: once it is done. Thank you for your cooperation!',
+      },
+    },
+    {
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: {
+            type: 'plain_text',
+            text: ':outbox_tray: Submit Timesheet',
+            emoji: true,
+          },
+          value: 'submit_timesheet',
+          url: 'https://harvestapp.com/time/week',
+          action_id: 'button-action',
+          style: 'primary',
+        },
+      ],
+    },
+  ];
+
+  Logger.debug('Unsubmitted timesheet message blocks created', {
+    blocksCount: messageBlocks.length,
+    usersList: usersList.map((user) => user.slackMention),
+  });
+
+  Logger.functionExit('createUnsubmittedTimesheetMessage', {
+    blocksCount: messageBlocks.length,
+  });
+
+  return messageBlocks;
+}
+
+/**
+ * Creates a running timer reminder message
+ *
+ * @param {Array} usersToNotify - Array of users with their Slack mentions and running timers
+ * @returns {Array} Slack blocks for the message
+ */
+function createRunningTimerMessage(usersToNotify) {
+  Logger.functionEntry('createRunningTimerMessage', {
+    usersToNotifyCount: usersToNotify?.length || 0,
+  });
+
+  Logger.info('Creating running timer message', {
+    usersCount: usersToNotify?.length || 0,
+  });
+
+  // Handle case where usersToNotify is null or undefined
+  const usersList = usersToNotify && Array.isArray(usersToNotify) ? usersToNotify : [];
+
+  const timerLines = usersList.flatMap((user) =>
+    (user.runningTimers || []).map(
+      (timer) =>
+        `${user.slackMention} - ${timer.projectName} / ${timer.taskName} (running for ${formatHours(
+          timer.elapsedHours
+        )} hours since ${moment(timer.startedAt).format('MMMM Do YYYY h:mm A')})`
+    )
+  );
+
+  const messageBlocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: '*Hi there :sleeq: team! It looks like a few Harvest timers have been left running.*',
+      },
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: 'The following timers have been running for longer than expected:',
+      },
+    },
+    ...createListSections(timerLines),
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: 'Please stop your timer and correct the hours so our reports stay accurate. Thank you for your cooperation!',
+      },
+    },
+    {
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: {
+            type: 'plain_text',
+            text: ':stopwatch: Stop Timer',
+            emoji: true,
+          },
+          value: 'stop_timer',
+          url: 'https://harvestapp.com/time',
+          action_id: 'button-action',
+          style: 'primary',
+        },
+      ],
+    },
+  ];
+
+  Logger.debug('Running timer message blocks created', {
+    blocksCount: messageBlocks.length,
+    timersCount: timerLines.length,
+  });
+
+  Logger.functionExit('createRunningTimerMessage', {
+    blocksCount: messageBlocks.length,
+  });
+
+  return messageBlocks;
+}
+
+/**
+ * Creates a billable utilisation message for users below their billable target
+ *
+ * @param {Array} usersToNotify - Array of users with their Slack mentions and billable hours
+ * @param {string} timeSheetDateToCheckFrom - Start date of period in YYYY-MM-DD format
+ * @param {string} timeSheetDateToCheckTo - End date of period in YYYY-MM-DD format
+ * @returns {Array} Slack blocks for the message
+ */
+function createBillableUtilisationMessage(
+  usersToNotify,
+  timeSheetDateToCheckFrom,
+  timeSheetDateToCheckTo
+) {
+  Logger.functionEntry('createBillableUtilisationMessage', {
+    usersToNotifyCount: usersToNotify?.length || 0,
+    timeSheetDateToCheckFrom,
+    timeSheetDateToCheckTo,
+  });
+
+  Logger.info('Creating billable utilisation message', {
+    dateFrom: timeSheetDateToCheckFrom,
+    dateTo: timeSheetDateToCheckTo,
+    formattedDateFrom: moment(timeSheetDateToCheckFrom).format('MMMM Do YYYY'),
+    formattedDateTo: moment(timeSheetDateToCheckTo).format('MMMM Do YYYY'),
+    usersCount: usersToNotify?.length || 0,
+  });
+
+  // Handle case where usersToNotify is null or undefined
+  const usersList = usersToNotify && Array.isArray(usersToNotify) ? usersToNotify : [];
+
+  const messageBlocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: "*Hi there :sleeq: team! Here's a quick look at billable utilisation in Harvest.*",
+      },
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `The following people are below their billable target between ${moment(
+          timeSheetDateToCheckFrom
+        ).format('MMMM Do YYYY')} and ${moment(timeSheetDateToCheckTo).format('MMMM Do YYYY')}:`,
+      },
+    },
+    ...createListSections(
+      usersList.map(
+        (user) =>
+          `${user.slackMention} (Logged: ${formatHours(user.totalHours)} hours, Billable: ${formatHours(
+            user.billableHours
+          )} hours, ${user.billablePercentage}% of ${user.billableTarget}% target)`
+      )
+    ),
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: 'Please check that billable work is logged against the right projects and tasks, and reach out to your delivery lead if you need more billable work. Thank you!',
+      },
+    },
+    {
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: {
+            type: 'plain_text',
+            text: ':bar_chart: Review Time',
+            emoji: true,
+          },
+          value: 'review_time',
+          url: 'https://harvestapp.com/time',
+          action_id: 'button-action',
+          style: 'primary',
+        },
+      ],
+    },
+  ];
+
+  Logger.debug('Billable utilisation message blocks created', {
+    blocksCount: messageBlocks.length,
+    usersList: usersList.map((user) => user.slackMention),
+  });
+
+  Logger.functionExit('createBillableUtilisationMessage', {
+    blocksCount: messageBlocks.length,
+  });
+
+  return messageBlocks;
+}
+
+/**
+ * Creates a late logging message for users below the on-time logging target
+ *
+ * @param {Array} usersToNotify - Array of users with their Slack mentions and on-time entry counts
+ * @param {string} timeSheetDateToCheckFrom - Start date of period in YYYY-MM-DD format
+ * @param {string} timeSheetDateToCheckTo - End date of period in YYYY-MM-DD format
+ * @returns {Array} Slack blocks for the message
+ */
+function createLateLoggingMessage(
+  usersToNotify,
+  timeSheetDateToCheckFrom,
+  timeSheetDateToCheckTo
+) {
+  Logger.functionEntry('createLateLoggingMessage', {
+    usersToNotifyCount: usersToNotify?.length || 0,
+    timeSheetDateToCheckFrom,
+    timeSheetDateToCheckTo,
+  });
+
+  Logger.info('Creating late logging message', {
+    dateFrom: timeSheetDateToCheckFrom,
+    dateTo: timeSheetDateToCheckTo,
+    formattedDateFrom: moment(timeSheetDateToCheckFrom).format('MMMM Do YYYY'),
+    formattedDateTo: moment(timeSheetDateToCheckTo).format('MMMM Do YYYY'),
+    usersCount: usersToNotify?.length || 0,
+  });
+
+  // Handle case where usersToNotify is null or undefined
+  const usersList = usersToNotify && Array.isArray(usersToNotify) ? usersToNotify : [];
+
+  const messageBlocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: "*Hi there :sleeq: team! Here's a quick look at how promptly time is logged in Harvest.*",
+      },
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `The following people logged some of their time after the day it was spent between ${moment(
+          timeSheetDateToCheckFrom
+        ).format('MMMM Do YYYY')} and ${moment(timeSheetDateToCheckTo).format('MMMM Do YYYY')}:`,
+      },
+    },
+    ...createListSections(
+      usersList.map(
+        (user) =>
+          `${user.slackMention} (Logged on time: ${user.onTimeEntries} of ${user.totalEntries} entries, ${user.onTimePercentage}%)`
+      )
+    ),
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: 'Our policy is to log time on the day it is spent, while it is still fresh. A quick entry at the end of each day keeps our reports accurate. Thank you!',
+      },
+    },
+    {
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: {
+            type: 'plain_text',
+            text: ':clock5: Report Time',
+            emoji: true,
+          },
+          value: 'report_time',
+          url: 'https://harvestapp.com/time',
+          action_id: 'button-action',
+          style: 'primary',
+        },
+      ],
+    },
+  ];
+
+  Logger.debug('Late logging message blocks created', {
+    blocksCount: messageBlocks.length,
+    usersList: usersList.map((user) => user.slackMention),
+  });
+
+  Logger.functionExit('createLateLoggingMessage', {
+    blocksCount: messageBlocks.length,
+  });
+
+  return messageBlocks;
+}
+
+/**
+ * Creates a budget alert message for a project that passed a budget threshold
+ *
+ * @param {Object} budgetAlert - Project budget report result with budgetPercentage and threshold
+ * @returns {Array} Slack blocks for the message
+ */
+function createBudgetAlertMessage(budgetAlert) {
+  Logger.functionEntry('createBudgetAlertMessage', {
+    projectId: budgetAlert?.project_id,
+    threshold: budgetAlert?.threshold,
+  });
+
+  Logger.info('Creating budget alert message', {
+    projectName: budgetAlert.project_name,
+    clientName: budgetAlert.client_name,
+    budgetPercentage: budgetAlert.budgetPercentage,
+    threshold: budgetAlert.threshold,
+  });
+
+  // Project, task and person budgets are in hours, the others are amounts
+  const isHourBudget = ['project', 'task', 'person'].includes(budgetAlert.budget_by);
+  const unit = isHourBudget ? ' hours' : '';
+  const formatBudget = (value) =>
+    isHourBudget ? formatHours(value) : Math.round((value || 0) * 100) / 100;
+  const projectName = budgetAlert.client_name
+    ? `${budgetAlert.client_name} - ${budgetAlert.project_name}`
+    : budgetAlert.project_name;
+
+  const messageBlocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: '*Hi there :sleeq: team! A project budget in Harvest needs your attention.*',
+      },
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*${projectName}* has used ${budgetAlert.threshold}% of its ${
+          budgetAlert.budget_is_monthly ? 'monthly ' : ''
+        }budget:`,
+      },
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `• Spent: ${formatBudget(budgetAlert.budget_spent)} of ${formatBudget(budgetAlert.budget)}${unit} (${
+          budgetAlert.budgetPercentage
+        }%)\n• Remaining: ${formatBudget(budgetAlert.budget_remaining)}${unit}`,
+      },
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: 'Please review the remaining work and agree on next steps with the project manager before the budget runs out. Thank you!',
+      },
+    },
+    {
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: {
+            type: 'plain_text',
+            text: ':bar_chart: View Project',
+            emoji: true,
+          },
+          value: 'view_project',
+          url: `https://harvestapp.com/projects/${budgetAlert.project_id}`,
+          action_id: 'button-action',
+          style: 'primary',
+        },
+      ],
+    },
+  ];
+
+  Logger.debug('Budget alert message blocks created', {
+    blocksCount: messageBlocks.length,
+    projectId: budgetAlert.project_id,
+  });
+
+  Logger.functionExit('createBudgetAlertMessage', {
+    blocksCount: messageBlocks.length,
+  });
+
+  return messageBlocks;
+}
+
+/**
+ * Formats the expense issues of a user for the expense reminder list
+ *
+ * @param {Object} user - User with unsubmittedExpenses and missingReceipts counts
+ * @returns {string} Summary of the user's expense issues
+ */
+function formatExpenseIssues(user) {
+  const issues = [];
+  if (user.unsubmittedExpenses) {
+    issues.push(`Unsubmitted: ${user.unsubmittedExpenses} expenses`);
+  }
+  if (user.missingReceipts) {
+    issues.push(`Missing receipts: ${user.missingReceipts}`);
+  }
+  return issues.join(', ');
+}
+
+/**
+ * Creates an expense reminder message for users with unsubmitted or receipt-less expenses
+ *
+ * @param {Array} usersToNotify - Array of users with their Slack mentions and expense issue counts
+ * @param {string} timeSheetDateToCheckFrom - Start date of month in YYYY-MM-DD format
+ * @param {string} timeSheetDateToCheckTo - End date of month in YYYY-MM-DD format
+ * @returns {Array} Slack blocks for the message
+ */
+function createExpenseReminderMessage(
+  usersToNotify,
+  timeSheetDateToCheckFrom,
+  timeSheetDateToCheckTo
+) {
+  Logger.functionEntry('createExpenseReminderMessage', {
+    usersToNotifyCount: usersToNotify?.length || 0,
+    timeSheetDateToCheckFrom,
+    timeSheetDateToCheckTo,
+  });
+
+  Logger.info('Creating expense reminder message', {
+    dateFrom: timeSheetDateToCheckFrom,
+    dateTo: timeSheetDateToCheckTo,
+    formattedDateFrom: moment(timeSheetDateToCheckFrom).format('MMMM Do YYYY'),
+    formattedDateTo: moment(timeSheetDateToCheckTo).format('MMMM Do YYYY'),
+    usersCount: usersToNotify?.length || 0,
+  });
+
+  // Handle case where usersToNotify is null or undefined
+  const usersList = usersToNotify && Array.isArray(usersToNotify) ? usersToNotify : [];
+
+  const messageBlocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: "*Hi there :sleeq: team! Here's a friendly reminder to submit your expenses in Harvest before the month closes.*",
+      },
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `The following people have expenses between ${moment(timeSheetDateToCheckFrom).format(
+          'MMMM Do YYYY'
+        )} and ${moment(timeSheetDateToCheckTo).format(
+          'MMMM Do YYYY'
+        )} that are not submitted or are missing a receipt:`,
+      },
+    },
+    ...createListSections(
+      usersList.map((user) => `${user.slackMention} (${formatExpenseIssues(user)})`)
+    ),
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: 'Please attach your receipts and submit your expenses for approval so they can be included in this month\'s close. Thank you for your cooperation!',
+      },
+    },
+    {
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: {
+            type: 'plain_text',
+            text: ':receipt: Submit Expenses',
+            emoji: true,
+          },
+          value: 'submit_expenses',
+          url: 'https://harvestapp.com/expenses',
+          action_id: 'button-action',
+          style: 'primary',
+        },
+      ],
+    },
+  ];
+
+  Logger.debug('Expense reminder message blocks created', {
+    blocksCount: messageBlocks.length,
+    usersList: usersList.map((user) => user.slackMention),
+  });
+
+  Logger.functionExit('createExpenseReminderMessage', {
+    blocksCount: messageBlocks.length,
+  });
+
+  return messageBlocks;
+}
+
+/**
+ * Describes a timesheet anomaly for the timesheet hygiene list
+ *
+ * @param {Object} anomaly - Anomaly with type, date and optional hours, count and projectName
+ * @returns {string} Description of the anomaly
+ */
+function formatTimesheetAnomaly(anomaly) {
+  const date = moment(anomaly.date).format('ddd MMM Do');
+  const project = anomaly.projectName ? ` on ${anomaly.projectName}` : '';
+
+  if (anomaly.type === 'over-logging') {
+    return `${date}: ${formatHours(anomaly.hours)} hours logged in one day`;
+  } else if (anomaly.type === 'duplicate') {
+    return `${date}: ${anomaly.count} identical entries${project}`;
+  } else if (anomaly.type === 'future-date') {
+    return `${date}: entry dated in the future${project}`;
+  } else if (anomaly.type === 'missing-notes') {
+    return `${date}: entry without notes${project}`;
+  }
+
+  return `${date}: ${anomaly.type}`;
+}
+
+/**
+ * Lists a user's timesheet anomalies, one line each
+ *
+ * Entries without notes are grouped per project, as a project that requires
+ * notes can otherwise add a line for every entry in the period.
+ *
+ * @param {Array<Object>} anomalies - Anomalies from findTimesheetAnomalies
+ * @returns {Array<string>} Anomaly descriptions
+ */
+function formatTimesheetAnomalies(anomalies) {
+  const missingNotesByProject = new Map();
+  anomalies
+    .filter((anomaly) => anomaly.type === 'missing-notes')
+    .forEach((anomaly) => {
+      const projectAnomalies = missingNotesByProject.get(anomaly.projectName) || [];
+      missingNotesByProject.set(anomaly.projectName, [...projectAnomalies, anomaly]);
+    });
+
+  return anomalies
+    .map((anomaly) => {
+      const projectAnomalies = missingNotesByProject.get(anomaly.projectName);
+      if (anomaly.type !== 'missing-notes' || projectAnomalies.length === 1) {
+        return formatTimesheetAnomaly(anomaly);
+      }
+      if (projectAnomalies[0] !== anomaly) {
+        return null; // Listed with the first entry of the project
+      }
+
+      const project = anomaly.projectName ? ` on ${anomaly.projectName}` : '';
+      const from = moment(projectAnomalies[0].date).format('ddd MMM Do');
+      const to = moment(projectAnomalies[projectAnomalies.length - 1].date).format('ddd MMM Do');
+      return `${from} to ${to}: ${projectAnomalies.length} entries without notes${project}`;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Creates a timesheet hygiene message for users with timesheet anomalies
+ *
+ * @param {Array} usersToNotify - Array of users with their Slack mentions and anomalies
+ * @param {string} timeSheetDateToCheckFrom - Start date of period in YYYY-MM-DD format
+ * @param {string} timeSheetDateToCheckTo - End date of period in YYYY-MM-DD format
+ * @returns {Array} Slack blocks for the message
+ */
+function createTimesheetHygieneMessage(
+  usersToNotify,
+  timeSheetDateToCheckFrom,
+  timeSheetDateToCheckTo
+) {
+  Logger.functionEntry('createTimesheetHygieneMessage', {
+    usersToNotifyCount: usersToNotify?.length || 0,
+    timeSheetDateToCheckFrom,
+    timeSheetDateToCheckTo,
+  });
+
+  Logger.info('Creating timesheet hygiene message', {
+    dateFrom: timeSheetDateToCheckFrom,
+    dateTo: timeSheetDateToCheckTo,
+    formattedDateFrom: moment(timeSheetDateToCheckFrom).format('MMMM Do YYYY'),
+    formattedDateTo: moment(timeSheetDateToCheckTo).format('MMMM Do YYYY'),
+    usersCount: usersToNotify?.length || 0,
+  });
+
+  // Handle case where usersToNotify is null or undefined
+  const usersList = usersToNotify && Array.isArray(usersToNotify) ? usersToNotify : [];
+
+  const messageBlocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: "*Hi there :sleeq: team! Here's a quick timesheet hygiene check of your entries in Harvest.*",
+      },
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `We spotted entries that look off between ${moment(timeSheetDateToCheckFrom).format(
+          'MMMM Do YYYY'
+        )} and ${moment(timeSheetDateToCheckTo).format('MMMM Do YYYY')}:`,
+      },
+    },
+    ...createListSections(
+      usersList.map((user) =>
+        [
+          user.slackMention,
+          ...formatTimesheetAnomalies(user.anomalies || []).map((anomaly) => `    ◦ ${anomaly}`),
+        ].join('\n')
+      )
+    ),
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: 'Please take a moment to correct these entries so our reports stay accurate. Thank you for your cooperation!',
+      },
+    },
+    {
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: {
+            type: 'plain_text',
+            text: ':broom: Fix Entries',
+            emoji: true,
+          },
+          value: 'fix_entries',
+          url: 'https://harvestapp.com/time/week',
+          action_id: 'button-action',
+          style: 'primary',
+        },
+      ],
+    },
+  ];
+
+  Logger.debug('Timesheet hygiene message blocks created', {
+    blocksCount: messageBlocks.length,
+    usersList: usersList.map((user) => user.slackMention),
+  });
+
+  Logger.functionExit('createTimesheetHygieneMessage', {
+    blocksCount: messageBlocks.length,
+  });
+
+  return messageBlocks;
+}
+
+/**
+ * Formats a number with thousands separators and two decimals
+ *
+ * @param {number} value - Number to format
+ * @returns {string} Formatted number (e.g. 1,234.50)
+ */
+function formatAmount(value) {
+  return (value || 0).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+}
+
+/**
+ * Creates the uninvoiced report message for finance
+ *
+ * Renders uninvoiced hours, expenses and amounts per client as a monospaced
+ * table, split across sections for long client lists, followed by totals per currency.
+ *
+ * @param {Array} uninvoicedClients - Clients with clientName, currency, uninvoicedHours,
+ *   uninvoicedExpenses and uninvoicedAmount
+ * @param {string} timeSheetDateToCheckFrom - Start date of period in YYYY-MM-DD format
+ * @param {string} timeSheetDateToCheckTo - End date of period in YYYY-MM-DD format
+ * @returns {Array} Slack blocks for the message
+ */
+function createUninvoicedReportMessage(
+  uninvoicedClients,
+  timeSheetDateToCheckFrom,
+  timeSheetDateToCheckTo
+) {
+  Logger.functionEntry('createUninvoicedReportMessage', {
+    clientsCount: uninvoicedClients?.length || 0,
+    timeSheetDateToCheckFrom,
+    timeSheetDateToCheckTo,
+  });
+
+  Logger.info('Creating uninvoiced report message', {
+    dateFrom: timeSheetDateToCheckFrom,
+    dateTo: timeSheetDateToCheckTo,
+    formattedDateFrom: moment(timeSheetDateToCheckFrom).format('MMMM Do YYYY'),
+    formattedDateTo: moment(timeSheetDateToCheckTo).format('MMMM Do YYYY'),
+    clientsCount: uninvoicedClients?.length || 0,
+  });
+
+  // Handle case where uninvoicedClients is null or undefined
+  const clientsList =
+    uninvoicedClients && Array.isArray(uninvoicedClients) ? uninvoicedClients : [];
+
+  const header = ['Client', 'Hours', 'Expenses', 'Amount'];
+  const rows = clientsList.map((client) => [
+    client.clientName.length > 30 ? `${client.clientName.slice(0, 29)}…` : client.clientName,
+    formatHours(client.uninvoicedHours),
+    formatAmount(client.uninvoicedExpenses),
+    `${formatAmount(client.uninvoicedAmount)} ${client.currency}`,
+  ]);
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...rows.map((row) => row[column].length))
+  );
+  // Left-align the client name and right-align the numbers
+  const formatRow = (row) =>
+    row
+      .map((cell, column) => (column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])))
+      .join('  ');
+
+  const tableSections = [];
+  for (let i = 0; i < rows.length; i += UNINVOICED_ROWS_PER_SECTION) {
+    const tableRows = rows.slice(i, i + UNINVOICED_ROWS_PER_SECTION).map(formatRow);
+    tableSections.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `\`\`\`${[formatRow(header), ...tableRows].join('\n')}\`\`\``,
+      },
+    });
+  }
+
+  const totals = {};
+  clientsList.forEach((client) => {
+    totals[client.currency] = (totals[client.currency] || 0) + client.uninvoicedAmount;
+  });
+
+  const messageBlocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: "*Hi finance team! Here's the uninvoiced billable time and expenses in Harvest.*",
+      },
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `Uninvoiced work per client between ${moment(timeSheetDateToCheckFrom).format(
+          'MMMM Do YYYY'
+        )} and ${moment(timeSheetDateToCheckTo).format('MMMM Do YYYY')}:`,
+      },
+    },
+    ...tableSections,
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*Total uninvoiced:* ${Object.entries(totals)
+          .map(([currency, amount]) => `${formatAmount(amount)} ${currency}`)
+          .join(', ')}`,
+      },
+    },
+    {
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: {
+            type: 'plain_text',
+            text: ':money_with_wings: Create Invoices',
+            emoji: true,
+          },
+          value: 'create_invoices',
+          url: 'https://harvestapp.com/reports/uninvoiced',
+          action_id: 'button-action',
+          style: 'primary',
+        },
+      ],
+    },
+  ];
+
+  Logger.debug('Uninvoiced report message blocks created', {
+    blocksCount: messageBlocks.length,
+    clientsList: clientsList.map((client) => client.clientName),
+  });
+
+  Logger.functionExit('createUninvoicedReportMessage', {
+    blocksCount: messageBlocks.length,
+  });
+
+  return messageBlocks;
+}
+
+/**
+ * Formats a missed check for the escalation history
+ *
+ * @param {Object} miss - Missed check with from, to and totalHours
+ * @returns {string} Description of the missed check (e.g. Mon Jan 15th: 3 hours logged)
+ */
+function formatMissedCheck(miss) {
+  const period =
+    miss.from === miss.to
+      ? moment(miss.from).format('ddd MMM Do')
+      : `${moment(miss.from).format('MMM Do')} - ${moment(miss.to).format('MMM Do')}`;
+
+  return `${period}: ${formatHours(miss.totalHours)} hours logged`;
+}
+
+/**
+ * Creates an escalation message for a project manager about repeat offenders
+ *
+ * @param {Array} escalations - Escalations as { user, notificationType, streak, misses, projects }
+ * @returns {Array} Slack blocks for the message
+ */
+function createEscalationMessage(escalations) {
+  Logger.functionEntry('createEscalationMessage', {
+    escalationsCount: escalations?.length || 0,
+  });
+
+  Logger.info('Creating escalation message', {
+    escalationsCount: escalations?.length || 0,
+  });
+
+  // Handle case where escalations is null or undefined
+  const escalationsList = escalations && Array.isArray(escalations) ? escalations : [];
+
+  const messageBlocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: '*Hi there! Some people on your projects keep missing their hours in Harvest.*',
+      },
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: 'The following people have missed several timesheet checks in a row:',
+      },
+    },
+    ...createListSections(
+      escalationsList.map((escalation) =>
+        [
+          `*${escalation.user.first_name} ${escalation.user.last_name}* missed ${escalation.streak} ${
+            escalation.notificationType
+          } checks in a row${escalation.projects?.length ? ` (${escalation.projects.join(', ')})` : ''}`,
+          ...(escalation.misses || []).map((miss) => `    ◦ ${formatMissedCheck(miss)}`),
+        ].join('\n')
+      )
+    ),
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: 'Please check in with them so their timesheets are up to date. Thank you for your help!',
+      },
+    },
+    {
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: {
+            type: 'plain_text',
+            text: ':busts_in_silhouette: View Team',
+            emoji: true,
+          },
+          value: 'view_team',
+          url: 'https://harvestapp.com/team',
+          action_id: 'button-action',
+          style: 'primary',
+        },
+      ],
+    },
+  ];
+
+  Logger.debug('Escalation message blocks created', {
+    blocksCount: messageBlocks.length,
+    usersList: escalationsList.map((escalation) => escalation.user.id),
+  });
+
+  Logger.functionExit('createEscalationMessage', {
+    blocksCount: messageBlocks.length,
+  });
+
+  return messageBlocks;
+}
+
+/**
+ * Creates an alert for the admin channel when a Harvest API request fails
+ *
+ * @param {Object} error - Harvest API error with message, status and endpoint
+ * @param {string} hint - Suggestion on how to resolve the error
+ * @param {Object} [run] - The run that was stopped
+ * @param {string} [run.accountName] - Name or ID of the Harvest account being checked
+ * @param {Array<string>} [run.sentNotifications] - Notifications sent before the error
+ * @param {Array<string>} [run.skippedNotifications] - Notifications that were not sent
+ * @returns {Array} Slack blocks for the message
+ */
+function createHarvestErrorAlertMessage(error, hint, run = {}) {
+  Logger.functionEntry('createHarvestErrorAlertMessage', {
+    status: error?.status,
+    endpoint: error?.endpoint,
+    accountName: run.accountName,
+  });
+
+  Logger.info('Creating Harvest error alert message', {
+    status: error?.status,
+    endpoint: error?.endpoint,
+  });
+
+  const { accountName, sentNotifications = [], skippedNotifications = [] } = run;
+  const summaryLines = [
+    accountName
+      ? `*:rotating_light: Harvest Notifier stopped while checking ${accountName}.*`
+      : '*:rotating_light: Harvest Notifier could not run.*',
+  ];
+  if (skippedNotifications.length) {
+    summaryLines.push(`• Not sent: ${skippedNotifications.join(', ')}`);
+  }
+  if (sentNotifications.length) {
+    summaryLines.push(`• Already sent: ${sentNotifications.join(', ')}`);
+  }
+
+  const messageBlocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: summaryLines.join('\n'),
+      },
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `• Error: ${error?.message}\n• Endpoint: ${error?.endpoint || 'unknown'}\n• Status: ${
+          error?.status ?? 'no response'
+        }`,
+      },
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: hint,
+      },
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: 'Please check the Harvest token and account settings of the notifier before the next run.',
+      },
+    },
+    {
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: {
+            type: 'plain_text',
+            text: ':key: Manage Tokens',
+            emoji: true,
+          },
+          value: 'manage_tokens',
+          url: 'https://id.getharvest.com/developers',
+          action_id: 'button-action',
+          style: 'primary',
+        },
+      ],
+    },
+  ];
+
+  Logger.functionExit('createHarvestErrorAlertMessage', {
+    blocksCount: messageBlocks.length,
+  });
+
+  return messageBlocks;
+}
+
+/**
+ * Creates a context block naming the Harvest account a message is about
+ *
+ * @param {string} accountName - Name of the Harvest account
+ * @returns {Object} Slack context block
+ */
+function createAccountContextBlock(accountName) {
+  return {
+    type: 'context',
+    elements: [
+      {
+        type: 'mrkdwn',
+        text: `:office: Harvest account: *${accountName}*`,
+      },
+    ],
+  };
+}
+
+export {
+  createDailyReminderMessage,
+  createWeeklyReminderMessage,
+  createMonthlyReminderMessage,
+  createUnsubmittedTimesheetMessage,
+  createRunningTimerMessage,
+  createBillableUtilisationMessage,
+  createLateLoggingMessage,
+  createBudgetAlertMessage,
+  createExpenseReminderMessage,
+  createUninvoicedReportMessage,
+  createTimesheetHygieneMessage,
+  createEscalationMessage,
+  createHarvestErrorAlertMessage,
+  createAccountContextBlock,
+};
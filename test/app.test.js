@@ -11,14 +11,85 @@
 
 import { describe, test, expect, beforeEach, afterEach, afterAll, vi } from 'vitest';
 import moment from 'moment';
-import { getHarvestUsers, getHarvestTeamTimeReport } from '../utils/harvest-api.js';
-import { getSlackUsers, sendSlackMessage, matchUsersWithSlack } from '../utils/slack-api.js';
-import { createDailyReminderMessage, createWeeklyReminderMessage, createMonthlyReminderMessage } from '../templates/slack-templates.js';
+import {
+  getHarvestCompany,
+  getHarvestCurrentUser,
+  getHarvestUsers,
+  getHarvestTeamTimeReport,
+  getHarvestTimeEntries,
+  getHarvestRunningTimeEntries,
+  getHarvestUserAssignments,
+  getHarvestProjectBudgetReport,
+  getHarvestExpenses,
+  getHarvestUninvoicedReport,
+  HarvestApiError,
+} from '../utils/harvest-api.js';
+import {
+  getSlackUsers,
+  sendSlackMessage,
+  matchUsersWithSlack,
+  matchUsersWithSlackByEmail,
+  findSlackUser,
+  findSlackUsersByEmail,
+  getSlackUserById,
+} from '../utils/slack-api.js';
+import {
+  createDailyReminderMessage,
+  createWeeklyReminderMessage,
+  createMonthlyReminderMessage,
+  createUnsubmittedTimesheetMessage,
+  createRunningTimerMessage,
+  createBillableUtilisationMessage,
+  createLateLoggingMessage,
+  createBudgetAlertMessage,
+  createExpenseReminderMessage,
+  createUninvoicedReportMessage,
+  createTimesheetHygieneMessage,
+  createEscalationMessage,
+  createHarvestErrorAlertMessage,
+  createAccountContextBlock,
+} from '../templates/slack-templates.js';
+import {
+  getForecastPeople,
+  getForecastProjects,
+  getForecastAssignments,
+} from '../utils/forecast-api.js';
+import { readState, writeState, isStateStoreConfigured } from '../utils/state-store.js';
+import { loadCompanySettings, resetCompanySettings } from '../utils/company-settings.js';
+import { loadSlackUserMapping } from '../utils/slack-user-mapping.js';
 import Logger from '../utils/logger.js';
 import { 
   analyzeHarvestData, 
+  analyzeUnsubmittedTimesheets,
+  analyzeExpenses,
+  analyzeTimesheetHygiene,
+  getTimesheetHygieneRules,
+  findTimesheetAnomalies,
+  analyzeRunningTimers,
+  analyzeBillableUtilisation,
+  getBillableTarget,
+  analyzeLateLogging,
+  isTimeEntryLoggedOnTime,
+  isUserEligibleForNotification,
+  excludeUnassignedUsers,
+  getWorkdaysInPeriod,
+  findShortWorkdays,
+  getProjectBreakdowns,
+  findForecastPerson,
+  calculateScheduledHours,
+  analyzeProjectBudgets,
+  budgetNotify,
+  analyzeUninvoiced,
+  uninvoicedNotify,
+  getProjectChannel,
+  routeUsersToProjectChannels,
+  getBudgetAlertThresholds,
+  updateMissStreaks,
+  escalateRepeatOffenders,
+  getEscalationThreshold,
   slackNotify, 
   determineNotificationsToRun, 
+  validateStateStore,
   getDateRangeForNotification, 
   runNotification, 
   app,
@@ -26,13 +97,33 @@ import {
   calculatePersonalizedThreshold,
   workday_count,
   shouldIncludeInDailyNotifications,
-  shouldIncludeInNotifications
+  shouldIncludeInNotifications,
+  getHarvestErrorHint,
+  verifyHarvestAccess,
 } from '../app.js';
 
-// Mock dependencies
-vi.mock('../utils/harvest-api.js');
+// Mock dependencies (keeping the real error class so instanceof checks work)
+vi.mock('../utils/harvest-api.js', async (importOriginal) => {
+  const { HarvestApiError } = await importOriginal();
+  return {
+    getHarvestCompany: vi.fn(),
+    getHarvestCurrentUser: vi.fn(),
+    getHarvestUsers: vi.fn(),
+    getHarvestTeamTimeReport: vi.fn(),
+    getHarvestTimeEntries: vi.fn(),
+    getHarvestRunningTimeEntries: vi.fn(),
+    getHarvestUserAssignments: vi.fn(),
+    getHarvestProjectBudgetReport: vi.fn(),
+    getHarvestExpenses: vi.fn(),
+    getHarvestUninvoicedReport: vi.fn(),
+    HarvestApiError,
+  };
+});
 vi.mock('../utils/slack-api.js');
 vi.mock('../templates/slack-templates.js');
+vi.mock('../utils/forecast-api.js');
+vi.mock('../utils/state-store.js');
+vi.mock('../utils/slack-user-mapping.js');
 vi.mock('../utils/logger.js');
 
 // Mock process.exit
@@ -84,6 +175,135 @@ describe('Unified Harvest Notifier Application', () => {
     },
   ];
 
+  const mockTimeEntries = [
+    { id: 101, user: { id: 1 }, hours: 8, approval_status: 'unsubmitted' },
+    { id: 102, user: { id: 1 }, hours: 7.5, approval_status: 'unsubmitted' },
+    { id: 103, user: { id: 2 }, hours: 8, approval_status: 'submitted' },
+    { id: 104, user: { id: 3 }, hours: 8, approval_status: 'approved' },
+    { id: 105, user: { id: 3 }, hours: 2.25, approval_status: 'unsubmitted' },
+  ];
+
+  const mockRunningEntries = [
+    {
+      id: 201,
+      user: { id: 1 },
+      project: { name: 'Website' },
+      task: { name: 'Development' },
+      spent_date: '2024-01-15',
+      timer_started_at: '2024-01-15T17:00:00Z', // 16 hours before the mocked now
+      hours: 16,
+    },
+    {
+      id: 202,
+      user: { id: 2 },
+      project: { name: 'Internal' },
+      task: { name: 'Meetings' },
+      spent_date: '2024-01-16',
+      timer_started_at: '2024-01-16T07:00:00Z', // 2 hours before the mocked now
+      hours: 2,
+    },
+  ];
+
+  const mockProjectHours = [
+    { projectId: 11, projectName: 'Website', clientName: 'Acme', hours: 4 },
+    { projectId: 12, projectName: 'Internal', clientName: null, hours: 1.5 },
+  ];
+
+  const mockUserAssignments = [
+    {
+      id: 401,
+      user: { id: 1 },
+      project: { id: 11 },
+      is_active: true,
+      created_at: '2023-06-01T09:00:00Z',
+    },
+    {
+      id: 402,
+      user: { id: 3 },
+      project: { id: 11 },
+      is_active: true,
+      created_at: '2024-02-01T09:00:00Z', // Assigned after the checked period
+    },
+  ];
+
+  const mockExpenses = [
+    { id: 301, user: { id: 1 }, approval_status: 'unsubmitted', receipt: { url: 'r1.pdf' } },
+    { id: 302, user: { id: 1 }, approval_status: 'submitted', receipt: null },
+    { id: 303, user: { id: 2 }, approval_status: 'approved', receipt: { url: 'r2.pdf' } },
+    { id: 304, user: { id: 3 }, approval_status: 'unsubmitted', receipt: null },
+  ];
+
+  const mockUninvoicedReport = [
+    {
+      client_id: 1,
+      client_name: 'Acme',
+      project_id: 11,
+      currency: 'USD',
+      uninvoiced_hours: 10.5,
+      uninvoiced_expenses: 100,
+      uninvoiced_amount: 1150,
+    },
+    {
+      client_id: 1,
+      client_name: 'Acme',
+      project_id: 12,
+      currency: 'USD',
+      uninvoiced_hours: 4,
+      uninvoiced_expenses: 0,
+      uninvoiced_amount: 400,
+    },
+    {
+      client_id: 2,
+      client_name: 'Globex',
+      project_id: 21,
+      currency: 'EUR',
+      uninvoiced_hours: 20,
+      uninvoiced_expenses: 0,
+      uninvoiced_amount: 2000,
+    },
+    {
+      client_id: 3,
+      client_name: 'Initech',
+      project_id: 31,
+      currency: 'USD',
+      uninvoiced_hours: 0,
+      uninvoiced_expenses: 0,
+      uninvoiced_amount: 0,
+    },
+  ];
+
+  const mockProjectBudgets = [
+    {
+      project_id: 11,
+      project_name: 'Website',
+      client_name: 'Acme',
+      budget_by: 'project',
+      budget_is_monthly: false,
+      budget: 100,
+      budget_spent: 92,
+      budget_remaining: 8,
+    },
+    {
+      project_id: 12,
+      project_name: 'Retainer',
+      client_name: 'Globex',
+      budget_by: 'project_cost',
+      budget_is_monthly: true,
+      budget: 5000,
+      budget_spent: 1000,
+      budget_remaining: 4000,
+    },
+    {
+      project_id: 13,
+      project_name: 'Internal',
+      client_name: 'Sleeq',
+      budget_by: 'none',
+      budget: null,
+      budget_spent: 40,
+      budget_remaining: null,
+    },
+  ];
+
   const mockSlackUsers = [
     {
       id: 'U123456',
@@ -124,6 +344,7 @@ describe('Unified Harvest Notifier Application', () => {
   beforeEach(() => {
     // Clear all mocks
     vi.clearAllMocks();
+    resetCompanySettings();
 
     // Reset environment variables
     process.env.HARVEST_ACCOUNT_ID = 'test-account-id';
@@ -132,10 +353,54 @@ describe('Unified Harvest Notifier Application', () => {
     process.env.SLACK_CHANNEL = '#general';
     process.env.MISSING_HOURS_THRESHOLD = '8';
     process.env.EMAILS_WHITELIST = 'admin@example.com';
+    delete process.env.PER_DAY_ANALYSIS_ENABLED;
+    delete process.env.SKIP_UNASSIGNED_USERS;
+    delete process.env.UNSUBMITTED_TIMESHEETS_ENABLED;
+    delete process.env.RUNNING_TIMERS_ENABLED;
+    delete process.env.RUNNING_TIMER_MAX_HOURS;
+    delete process.env.BILLABLE_TARGETS_ENABLED;
+    delete process.env.BILLABLE_TARGETS;
+    delete process.env.BILLABLE_TARGET_PERCENTAGE;
+    delete process.env.LATE_LOGGING_ENABLED;
+    delete process.env.BUDGET_ALERTS_ENABLED;
+    delete process.env.EXPENSE_REMINDERS_ENABLED;
+    delete process.env.UNINVOICED_REPORT_ENABLED;
+    delete process.env.TIMESHEET_HYGIENE_ENABLED;
+    delete process.env.HYGIENE_MAX_DAILY_HOURS;
+    delete process.env.HYGIENE_FLAG_DUPLICATES;
+    delete process.env.HYGIENE_FLAG_FUTURE_ENTRIES;
+    delete process.env.HYGIENE_NOTES_REQUIRED_PROJECTS;
+    delete process.env.UNINVOICED_REPORT_CHANNEL;
+    delete process.env.BUDGET_ALERT_THRESHOLDS;
+    delete process.env.BUDGET_ALERTS_CHANNEL;
+    delete process.env.PROJECT_CHANNELS;
+    delete process.env.ROUTE_REMINDERS_TO_PROJECT_CHANNELS;
+    delete process.env.LATE_LOGGING_ALLOWANCE_HOURS;
+    delete process.env.LATE_LOGGING_TARGET_PERCENTAGE;
+    delete process.env.LATE_LOGGING_TIME_ZONE;
+    delete process.env.ESCALATION_ENABLED;
+    delete process.env.ESCALATION_THRESHOLD;
+    delete process.env.FORECAST_ENABLED;
+    delete process.env.ADMIN_SLACK_CHANNEL;
+    delete process.env.FORECAST_ACCOUNT_ID;
+    delete process.env.FORECAST_TOKEN;
+    delete process.env.HARVEST_ACCOUNTS;
+    delete process.env.HARVEST_OAUTH_CLIENT_ID;
+    delete process.env.HARVEST_OAUTH_CLIENT_SECRET;
+    delete process.env.SLACK_USER_MATCHING;
 
     // Setup default mocks
+    getHarvestCompany.mockResolvedValue({ week_start_day: 'Monday', time_format: 'decimal' });
+    getHarvestCurrentUser.mockResolvedValue({
+      id: 99,
+      email: 'admin@example.com',
+      access_roles: ['administrator'],
+    });
     getHarvestUsers.mockResolvedValue(mockHarvestUsers);
     getHarvestTeamTimeReport.mockResolvedValue(mockTimeReports);
+    getHarvestTimeEntries.mockResolvedValue(mockTimeEntries);
+    getHarvestRunningTimeEntries.mockResolvedValue(mockRunningEntries);
+    getHarvestUserAssignments.mockResolvedValue(mockUserAssignments);
     getSlackUsers.mockResolvedValue(mockSlackUsers);
     sendSlackMessage.mockResolvedValue({ ok: true });
     matchUsersWithSlack.mockReturnValue([
@@ -145,6 +410,22 @@ describe('Unified Harvest Notifier Application', () => {
     createDailyReminderMessage.mockReturnValue(mockSlackBlocks);
     createWeeklyReminderMessage.mockReturnValue(mockSlackBlocks);
     createMonthlyReminderMessage.mockReturnValue(mockSlackBlocks);
+    createUnsubmittedTimesheetMessage.mockReturnValue(mockSlackBlocks);
+    createRunningTimerMessage.mockReturnValue(mockSlackBlocks);
+    createBillableUtilisationMessage.mockReturnValue(mockSlackBlocks);
+    createLateLoggingMessage.mockReturnValue(mockSlackBlocks);
+    createBudgetAlertMessage.mockReturnValue(mockSlackBlocks);
+    createExpenseReminderMessage.mockReturnValue(mockSlackBlocks);
+    createUninvoicedReportMessage.mockReturnValue(mockSlackBlocks);
+    createTimesheetHygieneMessage.mockReturnValue(mockSlackBlocks);
+    createEscalationMessage.mockReturnValue(mockSlackBlocks);
+    createHarvestErrorAlertMessage.mockReturnValue(mockSlackBlocks);
+    getHarvestUninvoicedReport.mockResolvedValue(mockUninvoicedReport);
+    getHarvestExpenses.mockResolvedValue(mockExpenses);
+    getHarvestProjectBudgetReport.mockResolvedValue(mockProjectBudgets);
+    readState.mockResolvedValue({});
+    writeState.mockResolvedValue();
+    isStateStoreConfigured.mockReturnValue(true);
 
     // No spies - let the real functions run
   });
@@ -192,6 +473,68 @@ describe('Unified Harvest Notifier Application', () => {
       Date.now = originalNow;
     });
 
+    test('should add unsubmitted check on Monday when enabled', () => {
+      process.env.UNSUBMITTED_TIMESHEETS_ENABLED = 'true';
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-15').getTime(); // Monday
+
+      const result = determineNotificationsToRun();
+      expect(result).toEqual(['daily', 'unsubmitted']);
+
+      Date.now = originalNow;
+    });
+
+    test('should not add unsubmitted check on other weekdays', () => {
+      process.env.UNSUBMITTED_TIMESHEETS_ENABLED = 'true';
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-16').getTime(); // Tuesday
+
+      const result = determineNotificationsToRun();
+      expect(result).toEqual(['daily']);
+
+      Date.now = originalNow;
+    });
+
+    test('should add running timer check on weekdays when enabled', () => {
+      process.env.RUNNING_TIMERS_ENABLED = 'true';
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-16').getTime(); // Tuesday
+
+      const result = determineNotificationsToRun();
+      expect(result).toEqual(['daily', 'running-timers']);
+
+      Date.now = () => new Date('2024-01-20').getTime(); // Saturday
+      expect(determineNotificationsToRun()).toEqual([]);
+
+      Date.now = originalNow;
+    });
+
+    test('should add budget check on weekdays when enabled', () => {
+      process.env.BUDGET_ALERTS_ENABLED = 'true';
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-16').getTime(); // Tuesday
+
+      expect(determineNotificationsToRun()).toEqual(['daily', 'budget']);
+
+      Date.now = () => new Date('2024-01-20').getTime(); // Saturday
+      expect(determineNotificationsToRun()).toEqual([]);
+
+      Date.now = originalNow;
+    });
+
+    test('should add uninvoiced report on the last day of the month when enabled', () => {
+      process.env.UNINVOICED_REPORT_ENABLED = 'true';
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-31').getTime(); // Wednesday, last day of month
+
+      expect(determineNotificationsToRun()).toEqual(['daily', 'monthly', 'uninvoiced']);
+
+      Date.now = () => new Date('2024-01-30').getTime();
+      expect(determineNotificationsToRun()).toEqual(['daily']);
+
+      Date.now = originalNow;
+    });
+
     test('should return no notifications on Saturday', () => {
       // Mock Saturday
       const originalNow = Date.now;
@@ -215,6 +558,42 @@ describe('Unified Harvest Notifier Application', () => {
     });
   });
 
+  describe('validateStateStore', () => {
+    test('should refuse budget alerts and escalations without a state file', () => {
+      isStateStoreConfigured.mockReturnValue(false);
+      process.env.ESCALATION_ENABLED = 'true';
+
+      expect(() => validateStateStore(['daily', 'budget'])).toThrow(
+        'BUDGET_ALERTS_ENABLED and ESCALATION_ENABLED require STATE_FILE_PATH to point at a file that is kept between runs'
+      );
+    });
+
+    test('should allow notifications that keep no state without a state file', () => {
+      isStateStoreConfigured.mockReturnValue(false);
+
+      expect(() => validateStateStore(['daily', 'weekly', 'uninvoiced'])).not.toThrow();
+    });
+
+    test('should allow every feature with a state file', () => {
+      process.env.ESCALATION_ENABLED = 'true';
+
+      expect(() => validateStateStore(['daily', 'budget'])).not.toThrow();
+    });
+
+    test('should stop the run before any account is checked', async () => {
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-15').getTime(); // Monday
+      isStateStoreConfigured.mockReturnValue(false);
+      process.env.BUDGET_ALERTS_ENABLED = 'true';
+
+      await expect(app(false)).rejects.toThrow('BUDGET_ALERTS_ENABLED require STATE_FILE_PATH');
+      expect(getHarvestUsers).not.toHaveBeenCalled();
+      expect(sendSlackMessage).not.toHaveBeenCalled();
+
+      Date.now = originalNow;
+    });
+  });
+
   describe('getDateRangeForNotification', () => {
     test('should return correct date range for daily notification on Tuesday', () => {
       // Mock Tuesday
@@ -249,6 +628,23 @@ describe('Unified Harvest Notifier Application', () => {
       Date.now = originalNow;
     });
 
+    test('should start weeks on the company week start day', async () => {
+      getHarvestCompany.mockResolvedValue({ week_start_day: 'Sunday', time_format: 'decimal' });
+      await loadCompanySettings('test-account-id', 'test-harvest-token');
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-19').getTime(); // Friday
+
+      expect(getDateRangeForNotification('weekly')).toEqual({ from: '2024-01-14', to: '2024-01-19' });
+
+      Date.now = () => new Date('2024-01-22').getTime(); // Monday
+      expect(getDateRangeForNotification('unsubmitted')).toEqual({
+        from: '2024-01-14',
+        to: '2024-01-20',
+      });
+
+      Date.now = originalNow;
+    });
+
     test('should return correct date range for monthly notification', () => {
       // Mock last day of month
       const originalNow = Date.now;
@@ -260,6 +656,27 @@ describe('Unified Harvest Notifier Application', () => {
       Date.now = originalNow;
     });
 
+    test('should return the previous week for unsubmitted notification', () => {
+      // Mock Monday
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-15').getTime(); // Monday
+
+      const result = getDateRangeForNotification('unsubmitted');
+      expect(result).toEqual({ from: '2024-01-08', to: '2024-01-14' }); // Previous Monday to Sunday
+
+      Date.now = originalNow;
+    });
+
+    test('should return today for running timer notification', () => {
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-16').getTime(); // Tuesday
+
+      const result = getDateRangeForNotification('running-timers');
+      expect(result).toEqual({ from: '2024-01-16', to: '2024-01-16' });
+
+      Date.now = originalNow;
+    });
+
     test('should throw error for unknown notification type', () => {
       expect(() => getDateRangeForNotification('unknown')).toThrow('Unknown notification type: unknown');
     });
@@ -328,6 +745,45 @@ describe('Unified Harvest Notifier Application', () => {
       expect(result).toHaveLength(3);
     });
 
+    test('should attach project breakdowns to flagged users on weekly runs', async () => {
+      getHarvestTimeEntries.mockResolvedValue([
+        { user: { id: 1 }, project: { id: 12, name: 'Internal' }, client: { name: null }, hours: 1.5 },
+        { user: { id: 1 }, project: { id: 11, name: 'Website' }, client: { name: 'Acme' }, hours: 4 },
+        { user: { id: 3 }, project: { id: 11, name: 'Website' }, client: { name: 'Acme' }, hours: 2 },
+      ]);
+
+      const result = await analyzeHarvestData('2024-01-15', '2024-01-19', 'weekly');
+
+      // One request for the whole team rather than one per flagged user
+      expect(getHarvestTimeEntries).toHaveBeenCalledTimes(1);
+      expect(getHarvestTimeEntries).toHaveBeenCalledWith(
+        'test-account-id',
+        'test-harvest-token',
+        '2024-01-15',
+        '2024-01-19'
+      );
+      expect(result[0].projectBreakdown).toEqual(mockProjectHours);
+      expect(result.find((user) => user.id === 2).projectBreakdown).toEqual([]);
+    });
+
+    test('should build project breakdowns from time entries fetched already', async () => {
+      const periodTimeEntries = [
+        { user: { id: 1 }, project: { id: 11, name: 'Website' }, client: { name: 'Acme' }, hours: 4 },
+      ];
+
+      const result = await analyzeHarvestData('2024-01-15', '2024-01-19', 'weekly', periodTimeEntries);
+
+      expect(getHarvestTimeEntries).not.toHaveBeenCalled();
+      expect(result[0].projectBreakdown).toEqual([mockProjectHours[0]]);
+    });
+
+    test('should not fetch project breakdowns on daily runs', async () => {
+      const result = await analyzeHarvestData('2024-01-15', '2024-01-15', 'daily');
+
+      expect(getHarvestTimeEntries).not.toHaveBeenCalled();
+      expect(result[0].projectBreakdown).toBeUndefined();
+    });
+
     test('should handle empty harvest users', async () => {
       getHarvestUsers.mockResolvedValue([]);
 
@@ -351,124 +807,1610 @@ describe('Unified Harvest Notifier Application', () => {
     });
   });
 
-  describe('slackNotify', () => {
-    test('should send daily notification correctly', async () => {
-      const usersToNotify = [
-        { ...mockHarvestUsers[0], totalHours: 5.5 },
-        { ...mockHarvestUsers[1], totalHours: 2.0 },
-      ];
+  describe('analyzeHarvestData (unassigned users)', () => {
+    test('should skip users without active project assignments when enabled', async () => {
+      process.env.SKIP_UNASSIGNED_USERS = 'true';
 
-      await slackNotify(usersToNotify, '2024-01-15', '2024-01-15', 'daily');
+      const result = await analyzeHarvestData('2024-01-15', '2024-01-15', 'daily');
 
-      expect(getSlackUsers).toHaveBeenCalledWith('test-slack-token');
-      expect(matchUsersWithSlack).toHaveBeenCalledWith(usersToNotify, mockSlackUsers);
-      expect(createDailyReminderMessage).toHaveBeenCalled();
-      expect(sendSlackMessage).toHaveBeenCalledWith('#general', mockSlackBlocks, 'test-slack-token');
+      expect(getHarvestUserAssignments).toHaveBeenCalledWith(
+        'test-account-id',
+        'test-harvest-token',
+        { is_active: true }
+      );
+      expect(result.map((user) => user.id)).toEqual([1]);
+      expect(Logger.userAnalysis).toHaveBeenCalledWith('daily', 3, 1, result);
     });
 
-    test('should send weekly notification correctly', async () => {
-      const usersToNotify = [
-        { ...mockHarvestUsers[0], totalHours: 5.5 },
-        { ...mockHarvestUsers[1], totalHours: 2.0 },
-      ];
-
-      await slackNotify(usersToNotify, '2024-01-15', '2024-01-19', 'weekly');
+    test('should check every user when disabled', async () => {
+      const result = await analyzeHarvestData('2024-01-15', '2024-01-15', 'daily');
 
-      expect(getSlackUsers).toHaveBeenCalledWith('test-slack-token');
-      expect(matchUsersWithSlack).toHaveBeenCalledWith(usersToNotify, mockSlackUsers);
-      expect(createWeeklyReminderMessage).toHaveBeenCalled();
-      expect(sendSlackMessage).toHaveBeenCalledWith('#general', mockSlackBlocks, 'test-slack-token');
+      expect(getHarvestUserAssignments).not.toHaveBeenCalled();
+      expect(result).toHaveLength(2);
     });
+  });
 
-    test('should send monthly notification correctly', async () => {
-      const usersToNotify = [
-        { ...mockHarvestUsers[0], totalHours: 5.5 },
-        { ...mockHarvestUsers[1], totalHours: 2.0 },
-      ];
+  describe('excludeUnassignedUsers', () => {
+    test('should log why each user was skipped', async () => {
+      const result = await excludeUnassignedUsers(mockHarvestUsers, '2024-01-15');
+
+      expect(result.map((user) => user.id)).toEqual([1]);
+      expect(Logger.info).toHaveBeenCalledWith('User skipped, no active project assignments', {
+        userId: 2,
+        userName: 'Jane Smith',
+        reason: 'No active project assignments',
+      });
+      expect(Logger.info).toHaveBeenCalledWith('User skipped, no active project assignments', {
+        userId: 3,
+        userName: 'Bob Wilson',
+        reason: 'Project assignments start after the checked period',
+      });
+    });
 
-      await slackNotify(usersToNotify, '2024-01-01', '2024-01-31', 'monthly');
+    test('should count assignments created before the end of the period', async () => {
+      const result = await excludeUnassignedUsers(mockHarvestUsers, '2024-02-29');
 
-      expect(getSlackUsers).toHaveBeenCalledWith('test-slack-token');
-      expect(matchUsersWithSlack).toHaveBeenCalledWith(usersToNotify, mockSlackUsers);
-      expect(createMonthlyReminderMessage).toHaveBeenCalled();
-      expect(sendSlackMessage).toHaveBeenCalledWith('#general', mockSlackBlocks, 'test-slack-token');
+      expect(result.map((user) => user.id)).toEqual([1, 3]);
     });
+  });
 
-    test('should handle empty users list', async () => {
-      await slackNotify([], '2024-01-15', '2024-01-15', 'daily');
+  describe('analyzeHarvestData (per-day analysis)', () => {
+    const entry = (userId, spentDate, hours) => ({ user: { id: userId }, spent_date: spentDate, hours });
+
+    const mockDailyEntries = [
+      // John logged the whole week on Friday
+      entry(1, '2024-01-19', 40),
+      // Jane works three days a week
+      entry(2, '2024-01-15', 8),
+      entry(2, '2024-01-16', 8),
+      entry(2, '2024-01-17', 8),
+      // Bob was short on Friday
+      entry(3, '2024-01-15', 8),
+      entry(3, '2024-01-16', 8),
+      entry(3, '2024-01-17', 8),
+      entry(3, '2024-01-18', 8),
+      entry(3, '2024-01-19', 2.5),
+      entry(3, '2024-01-19', 1.5),
+    ];
 
-      expect(getSlackUsers).not.toHaveBeenCalled();
-      expect(sendSlackMessage).not.toHaveBeenCalled();
+    beforeEach(() => {
+      process.env.PER_DAY_ANALYSIS_ENABLED = 'true';
+      getHarvestTimeEntries.mockResolvedValue(mockDailyEntries);
     });
 
-    test('should handle API errors', async () => {
-      const usersToNotify = [
-        { ...mockHarvestUsers[0], totalHours: 5.5 },
-      ];
+    test('should flag users with empty workdays even when the period total is met', async () => {
+      const result = await analyzeHarvestData('2024-01-15', '2024-01-19', 'weekly');
 
-      getSlackUsers.mockRejectedValue(new Error('Slack API Error'));
+      expect(getHarvestTimeEntries).toHaveBeenCalledWith(
+        'test-account-id',
+        'test-harvest-token',
+        '2024-01-15',
+        '2024-01-19'
+      );
+      expect(getHarvestTeamTimeReport).not.toHaveBeenCalled();
+      expect(result.map((user) => user.id)).toEqual([1, 3]);
+      expect(result[0].totalHours).toBe(40);
+      expect(result[0].missingDays).toEqual([
+        { date: '2024-01-15', hours: 0 },
+        { date: '2024-01-16', hours: 0 },
+        { date: '2024-01-17', hours: 0 },
+        { date: '2024-01-18', hours: 0 },
+      ]);
+      expect(result[1].missingDays).toEqual([{ date: '2024-01-19', hours: 4 }]);
+    });
 
-      await expect(slackNotify(usersToNotify, '2024-01-15', '2024-01-15', 'daily')).rejects.toThrow('Slack API Error');
+    test('should allow part-time users their days off', async () => {
+      const result = await analyzeHarvestData('2024-01-15', '2024-01-19', 'weekly');
+
+      expect(result.find((user) => user.id === 2)).toBeUndefined();
     });
-  });
 
-  describe('runNotification', () => {
-    test('should run daily notification successfully', async () => {
-      // Mock Monday
+    test('should not expect hours for the run day or later', async () => {
+      getHarvestTimeEntries.mockResolvedValue([
+        entry(3, '2024-01-15', 8),
+        entry(3, '2024-01-16', 8),
+        entry(3, '2024-01-17', 8),
+        entry(3, '2024-01-18', 8),
+      ]);
       const originalNow = Date.now;
-      Date.now = () => new Date('2024-01-15').getTime(); // Monday
+      Date.now = () => new Date('2024-01-19T09:00:00Z').getTime(); // Friday morning
 
-      await runNotification('daily');
+      const dateRange = getDateRangeForNotification('weekly');
+      const result = await analyzeHarvestData(dateRange.from, dateRange.to, 'weekly');
 
-      expect(getHarvestUsers).toHaveBeenCalled();
-      expect(getHarvestTeamTimeReport).toHaveBeenCalled();
-      expect(getSlackUsers).toHaveBeenCalled();
-      expect(sendSlackMessage).toHaveBeenCalled();
+      expect(dateRange).toEqual({ from: '2024-01-15', to: '2024-01-19' });
+      expect(result.find((user) => user.id === 3)).toBeUndefined();
+      expect(result.find((user) => user.id === 1).missingDays.map((day) => day.date)).toEqual([
+        '2024-01-15',
+        '2024-01-16',
+        '2024-01-17',
+        '2024-01-18',
+      ]);
 
       Date.now = originalNow;
     });
 
-    test('should run weekly notification successfully', async () => {
-      // Mock Friday
-      const originalNow = Date.now;
-      Date.now = () => new Date('2024-01-19').getTime(); // Friday
-
-      await runNotification('weekly');
+    test('should flag a 37.5 hour user with one empty day in a month', async () => {
+      process.env.MISSING_HOURS_THRESHOLD = '7.5';
+      getHarvestUsers.mockResolvedValue([{ ...mockHarvestUsers[2], weekly_capacity: 135000 }]);
+      // Every workday in January 2024 but the 10th
+      getHarvestTimeEntries.mockResolvedValue(
+        getWorkdaysInPeriod('2024-01-01', '2024-01-31')
+          .filter((date) => date !== '2024-01-10')
+          .map((date) => entry(3, date, 7.5))
+      );
 
-      expect(getHarvestUsers).toHaveBeenCalled();
-      expect(getHarvestTeamTimeReport).toHaveBeenCalled();
-      expect(getSlackUsers).toHaveBeenCalled();
-      expect(sendSlackMessage).toHaveBeenCalled();
+      const result = await analyzeHarvestData('2024-01-01', '2024-01-31', 'monthly');
 
-      Date.now = originalNow;
+      expect(result).toHaveLength(1);
+      expect(result[0].missingDays).toEqual([{ date: '2024-01-10', hours: 0 }]);
     });
 
-    test('should run monthly notification successfully', async () => {
-      // Mock last day of month
-      const originalNow = Date.now;
-      Date.now = () => new Date('2024-01-31').getTime(); // Last day of month
+    test('should keep using period totals for daily runs', async () => {
+      await analyzeHarvestData('2024-01-15', '2024-01-15', 'daily');
 
-      await runNotification('monthly');
-
-      expect(getHarvestUsers).toHaveBeenCalled();
       expect(getHarvestTeamTimeReport).toHaveBeenCalled();
-      expect(getSlackUsers).toHaveBeenCalled();
-      expect(sendSlackMessage).toHaveBeenCalled();
-
-      Date.now = originalNow;
+      expect(getHarvestTimeEntries).not.toHaveBeenCalled();
     });
   });
 
-  describe('app', () => {
-    test('should run daily notification on Monday', async () => {
-      // Mock Monday
-      const originalNow = Date.now;
-      Date.now = () => new Date('2024-01-15').getTime(); // Monday
+  describe('analyzeHarvestData (Forecast schedules)', () => {
+    const mockForecastPeople = [
+      { id: 10, harvest_user_id: 1 },
+      { id: 20, harvest_user_id: null, email: 'JANE@example.com' },
+    ];
+    const mockForecastProjects = [
+      { id: 900, name: 'Time Off' },
+      { id: 901, name: 'Website' },
+    ];
+    const mockForecastAssignments = [
+      // John is scheduled half days
+      { person_id: 10, project_id: 901, start_date: '2024-01-15', end_date: '2024-01-19', allocation: 14400 },
+      // Jane is scheduled full days but is on leave on Wednesday
+      { person_id: 20, project_id: 901, start_date: '2024-01-15', end_date: '2024-01-19', allocation: 28800 },
+      { person_id: 20, project_id: 900, start_date: '2024-01-17', end_date: '2024-01-17', allocation: null },
+    ];
 
-      await app(false); // Don't exit for testing
+    beforeEach(() => {
+      process.env.FORECAST_ENABLED = 'true';
+      process.env.FORECAST_ACCOUNT_ID = 'test-forecast-account-id';
+      getForecastPeople.mockResolvedValue(mockForecastPeople);
+      getForecastProjects.mockResolvedValue(mockForecastProjects);
+      getForecastAssignments.mockResolvedValue(mockForecastAssignments);
+    });
 
-      expect(getHarvestUsers).toHaveBeenCalled();
-      expect(getHarvestTeamTimeReport).toHaveBeenCalled();
+    test('should expect scheduled hours and fall back to capacity without a schedule', async () => {
+      const result = await analyzeHarvestData('2024-01-15', '2024-01-19', 'weekly');
+
+      expect(getForecastAssignments).toHaveBeenCalledWith(
+        'test-forecast-account-id',
+        'test-harvest-token',
+        '2024-01-15',
+        '2024-01-19'
+      );
+      expect(result.map((user) => [user.id, user.expectedHours])).toEqual([
+        [1, 20],
+        [2, 32],
+        [3, 40],
+      ]);
+    });
+
+    test('should not flag people on leave for the checked day', async () => {
+      const result = await analyzeHarvestData('2024-01-17', '2024-01-17', 'daily');
+
+      expect(result.map((user) => user.id)).toEqual([]);
+    });
+
+    test('should check scheduled users against their schedule per day', async () => {
+      process.env.PER_DAY_ANALYSIS_ENABLED = 'true';
+      getHarvestTimeEntries.mockResolvedValue([
+        ...['2024-01-15', '2024-01-16', '2024-01-17', '2024-01-18', '2024-01-19'].map((date) => ({
+          user: { id: 1 },
+          spent_date: date,
+          hours: 4,
+        })),
+        ...['2024-01-15', '2024-01-16', '2024-01-18'].map((date) => ({
+          user: { id: 2 },
+          spent_date: date,
+          hours: 8,
+        })),
+      ]);
+
+      const result = await analyzeHarvestData('2024-01-15', '2024-01-19', 'weekly');
+
+      expect(result.find((user) => user.id === 1)).toBeUndefined();
+      expect(result.find((user) => user.id === 2).missingDays).toEqual([{ date: '2024-01-19', hours: 0 }]);
+    });
+
+    test('should not call Forecast when disabled', async () => {
+      delete process.env.FORECAST_ENABLED;
+
+      await analyzeHarvestData('2024-01-15', '2024-01-19', 'weekly');
+
+      expect(getForecastPeople).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findForecastPerson', () => {
+    test('should match by Harvest user ID before email', () => {
+      const people = [
+        { id: 10, email: 'john@example.com' },
+        { id: 11, harvest_user_id: 1 },
+      ];
+
+      expect(findForecastPerson(mockHarvestUsers[0], people).id).toBe(11);
+      expect(findForecastPerson(mockHarvestUsers[0], [people[0]]).id).toBe(10);
+      expect(findForecastPerson(mockHarvestUsers[1], people)).toBeUndefined();
+    });
+  });
+
+  describe('calculateScheduledHours', () => {
+    test('should subtract partial time off and skip days outside assignments', () => {
+      const assignments = [
+        { project_id: 1, start_date: '2024-01-15', end_date: '2024-01-16', allocation: 28800 },
+        { project_id: 9, start_date: '2024-01-16', end_date: '2024-01-16', allocation: 10800 },
+      ];
+
+      expect(
+        calculateScheduledHours(assignments, ['2024-01-15', '2024-01-16', '2024-01-17'], [9], 8)
+      ).toEqual({ '2024-01-15': 8, '2024-01-16': 5, '2024-01-17': 0 });
+    });
+  });
+
+  describe('getWorkdaysInPeriod', () => {
+    test('should list weekdays and skip weekends', () => {
+      expect(getWorkdaysInPeriod('2024-01-19', '2024-01-23')).toEqual([
+        '2024-01-19',
+        '2024-01-22',
+        '2024-01-23',
+      ]);
+    });
+  });
+
+  describe('findShortWorkdays', () => {
+    test('should sum entries per day and return days below the threshold', () => {
+      const entries = [
+        { spent_date: '2024-01-15', hours: 4 },
+        { spent_date: '2024-01-15', hours: 4 },
+        { spent_date: '2024-01-16', hours: 3.333 },
+      ];
+
+      expect(findShortWorkdays(entries, ['2024-01-15', '2024-01-16', '2024-01-17'], 8)).toEqual([
+        { date: '2024-01-16', hours: 3.33 },
+        { date: '2024-01-17', hours: 0 },
+      ]);
+    });
+
+    test('should compare each day with its own expected hours', () => {
+      const entries = [{ spent_date: '2024-01-15', hours: 4 }];
+
+      expect(
+        findShortWorkdays(entries, ['2024-01-15', '2024-01-16'], { '2024-01-15': 4, '2024-01-16': 0 })
+      ).toEqual([]);
+    });
+  });
+
+  describe('getProjectBreakdowns', () => {
+    test("should total each user's hours by project, most hours first", () => {
+      const entries = [
+        { user: { id: 42 }, project: { id: 1, name: 'Website' }, client: { name: 'Acme' }, hours: 2.5 },
+        { user: { id: 42 }, project: { id: 2, name: 'Internal' }, client: { name: 'Sleeq' }, hours: 1 },
+        { user: { id: 42 }, project: { id: 1, name: 'Website' }, client: { name: 'Acme' }, hours: 4.25 },
+        { user: { id: 7 }, project: { id: 2, name: 'Internal' }, client: { name: 'Sleeq' }, hours: 3 },
+      ];
+
+      const breakdowns = getProjectBreakdowns(entries);
+
+      expect(breakdowns.get(42)).toEqual([
+        { projectId: 1, projectName: 'Website', clientName: 'Acme', hours: 6.75 },
+        { projectId: 2, projectName: 'Internal', clientName: 'Sleeq', hours: 1 },
+      ]);
+      expect(breakdowns.get(7)).toEqual([
+        { projectId: 2, projectName: 'Internal', clientName: 'Sleeq', hours: 3 },
+      ]);
+    });
+  });
+
+  describe('analyzeUnsubmittedTimesheets', () => {
+    test('should flag users with unsubmitted time entries', async () => {
+      const result = await analyzeUnsubmittedTimesheets('2024-01-08', '2024-01-14');
+
+      expect(getHarvestUsers).toHaveBeenCalledWith(
+        'test-account-id',
+        'test-harvest-token',
+        'admin@example.com'
+      );
+      expect(getHarvestTimeEntries).toHaveBeenCalledWith(
+        'test-account-id',
+        'test-harvest-token',
+        '2024-01-08',
+        '2024-01-14'
+      );
+
+      expect(result).toHaveLength(2);
+      expect(result[0]).toMatchObject({ id: 1, unsubmittedEntries: 2, unsubmittedHours: 15.5 });
+      expect(result[1]).toMatchObject({
+        id: 3,
+        totalHours: 10.25,
+        unsubmittedEntries: 1,
+        unsubmittedHours: 2.25,
+      });
+      expect(Logger.userAnalysis).toHaveBeenCalledWith('unsubmitted', 3, 2, result);
+    });
+
+    test('should apply the shared user filtering', async () => {
+      getHarvestUsers.mockResolvedValue([
+        { ...mockHarvestUsers[0], weekly_capacity: 0 },
+        mockHarvestUsers[2],
+      ]);
+
+      const result = await analyzeUnsubmittedTimesheets('2024-01-08', '2024-01-14');
+
+      expect(result.map((user) => user.id)).toEqual([3]);
+    });
+
+    test('should handle null harvest users', async () => {
+      getHarvestUsers.mockResolvedValue(null);
+
+      const result = await analyzeUnsubmittedTimesheets('2024-01-08', '2024-01-14');
+
+      expect(result).toEqual([]);
+      expect(getHarvestTimeEntries).not.toHaveBeenCalled();
+    });
+
+    test('should handle API errors', async () => {
+      getHarvestTimeEntries.mockRejectedValue(new Error('API Error'));
+
+      await expect(analyzeUnsubmittedTimesheets('2024-01-08', '2024-01-14')).rejects.toThrow(
+        'API Error'
+      );
+    });
+  });
+
+  describe('analyzeRunningTimers', () => {
+    let originalNow;
+
+    beforeEach(() => {
+      originalNow = Date.now;
+      Date.now = () => new Date('2024-01-16T09:00:00Z').getTime();
+    });
+
+    afterEach(() => {
+      Date.now = originalNow;
+    });
+
+    test('should flag timers running longer than the cut-off', async () => {
+      const result = await analyzeRunningTimers();
+
+      expect(getHarvestRunningTimeEntries).toHaveBeenCalledWith(
+        'test-account-id',
+        'test-harvest-token'
+      );
+      expect(result).toHaveLength(1);
+      expect(result[0].id).toBe(1);
+      expect(result[0].runningTimers).toEqual([
+        {
+          id: 201,
+          projectName: 'Website',
+          clientName: undefined,
+          taskName: 'Development',
+          spentDate: '2024-01-15',
+          startedAt: '2024-01-15T17:00:00Z',
+          elapsedHours: 16,
+        },
+      ]);
+      expect(Logger.userAnalysis).toHaveBeenCalledWith('running-timers', 3, 1, result);
+    });
+
+    test('should use RUNNING_TIMER_MAX_HOURS as the cut-off', async () => {
+      process.env.RUNNING_TIMER_MAX_HOURS = '1.5';
+
+      const result = await analyzeRunningTimers();
+
+      expect(result.map((user) => user.id)).toEqual([1, 2]);
+    });
+
+    test('should flag timers started on a previous day even if below the cut-off', async () => {
+      process.env.RUNNING_TIMER_MAX_HOURS = '24';
+
+      const result = await analyzeRunningTimers();
+
+      expect(result.map((user) => user.id)).toEqual([1]);
+    });
+
+    test('should handle null harvest users', async () => {
+      getHarvestUsers.mockResolvedValue(null);
+
+      const result = await analyzeRunningTimers();
+
+      expect(result).toEqual([]);
+      expect(getHarvestRunningTimeEntries).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getBillableTarget', () => {
+    const user = { id: 1, email: 'John@Example.com', roles: ['Developer', 'Lead'] };
+
+    test('should return null when no target is configured', () => {
+      expect(getBillableTarget(user)).toBeNull();
+    });
+
+    test('should fall back to BILLABLE_TARGET_PERCENTAGE', () => {
+      process.env.BILLABLE_TARGET_PERCENTAGE = '70';
+      expect(getBillableTarget(user)).toBe(70);
+    });
+
+    test('should prefer user ID and email over roles', () => {
+      process.env.BILLABLE_TARGETS = JSON.stringify({ developer: 80, 'john@example.com': 60 });
+      expect(getBillableTarget(user)).toBe(60);
+
+      process.env.BILLABLE_TARGETS = JSON.stringify({ 1: 50, 'john@example.com': 60 });
+      expect(getBillableTarget(user)).toBe(50);
+    });
+
+    test('should match roles case-insensitively', () => {
+      process.env.BILLABLE_TARGET_PERCENTAGE = '70';
+      process.env.BILLABLE_TARGETS = JSON.stringify({ lead: 40 });
+      expect(getBillableTarget(user)).toBe(40);
+    });
+
+    test('should reject invalid JSON', () => {
+      process.env.BILLABLE_TARGETS = '{not json';
+      expect(() => getBillableTarget(user)).toThrow('BILLABLE_TARGETS is not valid JSON');
+    });
+  });
+
+  describe('getTimesheetHygieneRules', () => {
+    test('should enable every rule except required notes by default', () => {
+      expect(getTimesheetHygieneRules()).toEqual({
+        maxDailyHours: 16,
+        flagDuplicates: true,
+        flagFutureEntries: true,
+        notesRequiredProjects: [],
+      });
+    });
+
+    test('should read each rule from the environment', () => {
+      process.env.HYGIENE_MAX_DAILY_HOURS = '0';
+      process.env.HYGIENE_FLAG_DUPLICATES = 'false';
+      process.env.HYGIENE_FLAG_FUTURE_ENTRIES = 'false';
+      process.env.HYGIENE_NOTES_REQUIRED_PROJECTS = '11, Website';
+
+      expect(getTimesheetHygieneRules()).toEqual({
+        maxDailyHours: 0,
+        flagDuplicates: false,
+        flagFutureEntries: false,
+        notesRequiredProjects: ['11', 'website'],
+      });
+    });
+  });
+
+  describe('findTimesheetAnomalies', () => {
+    const rules = {
+      maxDailyHours: 16,
+      flagDuplicates: true,
+      flagFutureEntries: true,
+      notesRequiredProjects: ['website'],
+    };
+    const entry = (spentDate, hours, notes = 'Work', projectId = 11, projectName = 'Website') => ({
+      spent_date: spentDate,
+      hours,
+      notes,
+      project: { id: projectId, name: projectName },
+      task: { id: 1 },
+    });
+
+    test('should flag days with more hours than the daily maximum', () => {
+      const anomalies = findTimesheetAnomalies(
+        [entry('2024-01-15', 20), entry('2024-01-15', 4)],
+        rules,
+        '2024-01-19'
+      );
+
+      expect(anomalies).toEqual([{ type: 'over-logging', date: '2024-01-15', hours: 24 }]);
+    });
+
+    test('should flag identical entries on the same day', () => {
+      const anomalies = findTimesheetAnomalies(
+        [entry('2024-01-15', 2), entry('2024-01-15', 2), entry('2024-01-16', 2)],
+        rules,
+        '2024-01-19'
+      );
+
+      expect(anomalies).toEqual([
+        { type: 'duplicate', date: '2024-01-15', count: 2, projectName: 'Website' },
+      ]);
+    });
+
+    test('should flag future dates and missing notes on projects that require them', () => {
+      const anomalies = findTimesheetAnomalies(
+        [
+          entry('2024-01-22', 8),
+          entry('2024-01-15', 1, ''),
+          entry('2024-01-16', 1, null, 12, 'Internal'),
+        ],
+        rules,
+        '2024-01-19'
+      );
+
+      expect(anomalies).toEqual([
+        { type: 'missing-notes', date: '2024-01-15', projectName: 'Website' },
+        { type: 'future-date', date: '2024-01-22', projectName: 'Website' },
+      ]);
+    });
+
+    test('should skip disabled rules', () => {
+      const anomalies = findTimesheetAnomalies(
+        [entry('2024-01-22', 20, ''), entry('2024-01-22', 20, '')],
+        { maxDailyHours: 0, flagDuplicates: false, flagFutureEntries: false, notesRequiredProjects: [] },
+        '2024-01-19'
+      );
+
+      expect(anomalies).toEqual([]);
+    });
+  });
+
+  describe('analyzeTimesheetHygiene', () => {
+    const hygieneEntries = [
+      { user: { id: 1 }, spent_date: '2024-01-15', hours: 24, project: { id: 11 }, task: { id: 1 } },
+      { user: { id: 2 }, spent_date: '2024-01-15', hours: 8, project: { id: 11 }, task: { id: 1 } },
+    ];
+    const futureEntries = [
+      { user: { id: 3 }, spent_date: '2024-02-01', hours: 8, project: { id: 11, name: 'Website' } },
+    ];
+
+    test('should flag users with anomalies in the period and future-dated entries', async () => {
+      getHarvestTimeEntries.mockResolvedValueOnce(hygieneEntries).mockResolvedValueOnce(futureEntries);
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-19').getTime();
+
+      const result = await analyzeTimesheetHygiene('2024-01-15', '2024-01-19', 'weekly');
+
+      expect(getHarvestTimeEntries).toHaveBeenNthCalledWith(
+        1,
+        'test-account-id',
+        'test-harvest-token',
+        '2024-01-15',
+        '2024-01-19'
+      );
+      expect(getHarvestTimeEntries).toHaveBeenNthCalledWith(
+        2,
+        'test-account-id',
+        'test-harvest-token',
+        '2024-01-20'
+      );
+      expect(result.map((user) => user.id)).toEqual([1, 3]);
+      expect(result[0].anomalies).toEqual([{ type: 'over-logging', date: '2024-01-15', hours: 24 }]);
+      expect(result[1].anomalies).toEqual([
+        { type: 'future-date', date: '2024-02-01', projectName: 'Website' },
+      ]);
+      expect(Logger.userAnalysis).toHaveBeenCalledWith('weekly-hygiene', 3, 2, result);
+
+      Date.now = originalNow;
+    });
+
+    test('should reuse time entries that were already fetched', async () => {
+      process.env.HYGIENE_FLAG_FUTURE_ENTRIES = 'false';
+
+      const result = await analyzeTimesheetHygiene('2024-01-15', '2024-01-19', 'weekly', hygieneEntries);
+
+      expect(getHarvestTimeEntries).not.toHaveBeenCalled();
+      expect(result.map((user) => user.id)).toEqual([1]);
+    });
+  });
+
+  describe('analyzeExpenses', () => {
+    test('should flag users with unsubmitted or receipt-less expenses', async () => {
+      const result = await analyzeExpenses('2024-01-01', '2024-01-31');
+
+      expect(getHarvestExpenses).toHaveBeenCalledWith(
+        'test-account-id',
+        'test-harvest-token',
+        '2024-01-01',
+        '2024-01-31'
+      );
+      expect(result.map((user) => user.id)).toEqual([1, 3]);
+      expect(result[0]).toMatchObject({ unsubmittedExpenses: 1, missingReceipts: 1 });
+      expect(result[1]).toMatchObject({ unsubmittedExpenses: 1, missingReceipts: 1 });
+      expect(Logger.userAnalysis).toHaveBeenCalledWith('expenses', 3, 2, result);
+    });
+
+    test('should return no users when every expense is submitted with a receipt', async () => {
+      getHarvestExpenses.mockResolvedValue([mockExpenses[2]]);
+
+      const result = await analyzeExpenses('2024-01-01', '2024-01-31');
+
+      expect(result).toEqual([]);
+    });
+
+    test('should not expect receipts for unit-priced expenses', async () => {
+      getHarvestExpenses.mockResolvedValue([
+        {
+          id: 305,
+          user: { id: 2 },
+          approval_status: 'submitted',
+          receipt: null,
+          expense_category: { id: 7, name: 'Mileage', unit_name: 'mile' },
+        },
+        {
+          id: 306,
+          user: { id: 2 },
+          approval_status: 'submitted',
+          receipt: null,
+          expense_category: { id: 8, name: 'Travel', unit_name: null },
+        },
+      ]);
+
+      const result = await analyzeExpenses('2024-01-01', '2024-01-31');
+
+      expect(result).toHaveLength(1);
+      expect(result[0]).toMatchObject({ id: 2, unsubmittedExpenses: 0, missingReceipts: 1 });
+    });
+
+    test('should handle null harvest users', async () => {
+      getHarvestUsers.mockResolvedValue(null);
+
+      const result = await analyzeExpenses('2024-01-01', '2024-01-31');
+
+      expect(result).toEqual([]);
+      expect(getHarvestExpenses).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('analyzeBillableUtilisation', () => {
+    const billableReports = [
+      { user_id: 1, total_hours: 40, billable_hours: 20 },
+      { user_id: 2, total_hours: 24, billable_hours: 22 },
+      { user_id: 3, total_hours: 30, billable_hours: 27 },
+    ];
+
+    test('should list users below their billable target', async () => {
+      process.env.BILLABLE_TARGET_PERCENTAGE = '75';
+      process.env.BILLABLE_TARGETS = JSON.stringify({ 'bob@example.com': 95 });
+      getHarvestTeamTimeReport.mockResolvedValue(billableReports);
+
+      const result = await analyzeBillableUtilisation('2024-01-15', '2024-01-19', 'weekly');
+
+      expect(result.map((user) => user.id)).toEqual([1, 3]);
+      expect(result[0]).toMatchObject({
+        totalHours: 40,
+        billableHours: 20,
+        billablePercentage: 50,
+        billableTarget: 75,
+      });
+      expect(result[1]).toMatchObject({ billablePercentage: 90, billableTarget: 95 });
+      expect(Logger.userAnalysis).toHaveBeenCalledWith('weekly-billable', 3, 2, result);
+    });
+
+    test('should skip users without a billable target', async () => {
+      process.env.BILLABLE_TARGETS = JSON.stringify({ 'john@example.com': 80 });
+      getHarvestTeamTimeReport.mockResolvedValue(billableReports);
+
+      const result = await analyzeBillableUtilisation('2024-01-01', '2024-01-31', 'monthly');
+
+      expect(result.map((user) => user.id)).toEqual([1]);
+    });
+
+    test('should compare targets with the unrounded billable share', async () => {
+      process.env.BILLABLE_TARGET_PERCENTAGE = '80';
+      getHarvestTeamTimeReport.mockResolvedValue([
+        { user_id: 1, total_hours: 100, billable_hours: 79.6 },
+        { user_id: 2, total_hours: 100, billable_hours: 80 },
+        { user_id: 3, total_hours: 100, billable_hours: 90 },
+      ]);
+
+      const result = await analyzeBillableUtilisation('2024-01-15', '2024-01-19', 'weekly');
+
+      // 79.6% is shown as 80% but is below the 80% target
+      expect(result.map((user) => user.id)).toEqual([1]);
+      expect(result[0]).toMatchObject({ billablePercentage: 80, billableTarget: 80 });
+    });
+
+    test('should treat users without logged hours as 0% billable', async () => {
+      process.env.BILLABLE_TARGET_PERCENTAGE = '50';
+      getHarvestTeamTimeReport.mockResolvedValue([]);
+
+      const result = await analyzeBillableUtilisation('2024-01-15', '2024-01-19', 'weekly');
+
+      expect(result).toHaveLength(3);
+      expect(result[0].billablePercentage).toBe(0);
+    });
+  });
+
+  describe('isTimeEntryLoggedOnTime', () => {
+    beforeEach(() => {
+      process.env.LATE_LOGGING_TIME_ZONE = 'America/New_York';
+    });
+
+    test('should accept entries created on the day they were spent in the time zone', () => {
+      // 5 PM in New York is already the next day in UTC
+      expect(
+        isTimeEntryLoggedOnTime({ spent_date: '2024-01-15', created_at: '2024-01-15T22:00:00Z' })
+      ).toBe(true);
+      expect(
+        isTimeEntryLoggedOnTime({ spent_date: '2024-01-15', created_at: '2024-01-16T01:00:00Z' })
+      ).toBe(true);
+    });
+
+    test('should reject entries created after the day they were spent in the time zone', () => {
+      expect(
+        isTimeEntryLoggedOnTime({ spent_date: '2024-01-15', created_at: '2024-01-16T14:00:00Z' })
+      ).toBe(false);
+
+      process.env.LATE_LOGGING_TIME_ZONE = 'UTC';
+      expect(
+        isTimeEntryLoggedOnTime({ spent_date: '2024-01-15', created_at: '2024-01-16T01:00:00Z' })
+      ).toBe(false);
+    });
+
+    test('should apply the lateness allowance', () => {
+      process.env.LATE_LOGGING_ALLOWANCE_HOURS = '12';
+
+      // Midnight in New York plus 12 hours is 5 PM UTC
+      expect(
+        isTimeEntryLoggedOnTime({ spent_date: '2024-01-15', created_at: '2024-01-16T16:59:00Z' })
+      ).toBe(true);
+      expect(
+        isTimeEntryLoggedOnTime({ spent_date: '2024-01-15', created_at: '2024-01-16T17:01:00Z' })
+      ).toBe(false);
+    });
+  });
+
+  describe('analyzeLateLogging', () => {
+    const entry = (userId, spentDate, createdAt) => ({
+      user: { id: userId },
+      spent_date: spentDate,
+      created_at: createdAt,
+      hours: 4,
+    });
+
+    const lateLoggingEntries = [
+      // John filled in Monday and Tuesday on Friday
+      entry(1, '2024-01-15', '2024-01-19T16:00:00Z'),
+      entry(1, '2024-01-16', '2024-01-19T16:05:00Z'),
+      entry(1, '2024-01-17', '2024-01-17T17:00:00Z'),
+      entry(1, '2024-01-18', '2024-01-18T17:00:00Z'),
+      // Jane logs every day
+      entry(2, '2024-01-15', '2024-01-15T17:00:00Z'),
+      entry(2, '2024-01-16', '2024-01-16T17:00:00Z'),
+    ];
+
+    beforeEach(() => {
+      process.env.LATE_LOGGING_TIME_ZONE = 'UTC';
+      getHarvestTimeEntries.mockResolvedValue(lateLoggingEntries);
+    });
+
+    test('should report the share of entries logged on time', async () => {
+      const result = await analyzeLateLogging('2024-01-15', '2024-01-19', 'weekly');
+
+      expect(getHarvestTimeEntries).toHaveBeenCalledWith(
+        'test-account-id',
+        'test-harvest-token',
+        '2024-01-15',
+        '2024-01-19'
+      );
+      expect(result).toHaveLength(1);
+      expect(result[0]).toMatchObject({
+        id: 1,
+        totalHours: 16,
+        totalEntries: 4,
+        onTimeEntries: 2,
+        onTimePercentage: 50,
+      });
+      expect(Logger.info).toHaveBeenCalledWith('Late logging compliance', {
+        onTimeTarget: 100,
+        users: [
+          { userId: 1, userName: 'John Doe', entries: 4, onTimeEntries: 2, onTimePercentage: 50 },
+          { userId: 2, userName: 'Jane Smith', entries: 2, onTimeEntries: 2, onTimePercentage: 100 },
+        ],
+      });
+      expect(Logger.userAnalysis).toHaveBeenCalledWith('weekly-late-logging', 3, 1, result);
+    });
+
+    test('should only flag users below the on-time target', async () => {
+      process.env.LATE_LOGGING_TARGET_PERCENTAGE = '50';
+
+      const result = await analyzeLateLogging('2024-01-15', '2024-01-19', 'weekly');
+
+      expect(result).toEqual([]);
+    });
+
+    test('should accept an on-time target of 0', async () => {
+      process.env.LATE_LOGGING_TARGET_PERCENTAGE = '0';
+
+      const result = await analyzeLateLogging('2024-01-15', '2024-01-19', 'weekly');
+
+      expect(result).toEqual([]);
+      expect(Logger.info).toHaveBeenCalledWith(
+        'Late logging compliance',
+        expect.objectContaining({ onTimeTarget: 0 })
+      );
+    });
+  });
+
+  describe('getProjectChannel', () => {
+    test('should match project IDs, project names and client names case-insensitively', () => {
+      process.env.PROJECT_CHANNELS = JSON.stringify({ 11: '#acme-website', globex: '#globex' });
+
+      expect(getProjectChannel(mockProjectBudgets[0])).toBe('#acme-website');
+      expect(getProjectChannel(mockProjectBudgets[1])).toBe('#globex');
+    });
+
+    test('should fall back to the budget alerts channel and then the default channel', () => {
+      expect(getProjectChannel(mockProjectBudgets[2])).toBe('#general');
+
+      process.env.BUDGET_ALERTS_CHANNEL = '#budgets';
+      expect(getProjectChannel(mockProjectBudgets[2])).toBe('#budgets');
+    });
+
+    test('should reject invalid JSON', () => {
+      process.env.PROJECT_CHANNELS = '{invalid';
+
+      expect(() => getProjectChannel(mockProjectBudgets[0])).toThrow(
+        'PROJECT_CHANNELS is not valid JSON'
+      );
+    });
+  });
+
+  describe('getBudgetAlertThresholds', () => {
+    test('should default to 75, 90 and 100 percent', () => {
+      expect(getBudgetAlertThresholds()).toEqual([75, 90, 100]);
+    });
+
+    test('should parse and sort configured thresholds', () => {
+      process.env.BUDGET_ALERT_THRESHOLDS = '100, 50,80';
+
+      expect(getBudgetAlertThresholds()).toEqual([50, 80, 100]);
+    });
+  });
+
+  describe('analyzeProjectBudgets', () => {
+    test('should alert the highest threshold a project has passed', async () => {
+      const result = await analyzeProjectBudgets();
+
+      expect(getHarvestProjectBudgetReport).toHaveBeenCalledWith(
+        'test-account-id',
+        'test-harvest-token'
+      );
+      expect(readState).toHaveBeenCalledWith('budgetAlerts');
+      expect(result).toHaveLength(1);
+      expect(result[0]).toMatchObject({
+        project_id: 11,
+        budgetPercentage: 92,
+        threshold: 90,
+        alertKey: '11',
+        channel: '#general',
+      });
+    });
+
+    test('should not repeat thresholds that were already alerted', async () => {
+      readState.mockResolvedValue({ 11: 90 });
+
+      const result = await analyzeProjectBudgets();
+
+      expect(result).toEqual([]);
+    });
+
+    test('should compare thresholds with the unrounded share spent', async () => {
+      getHarvestProjectBudgetReport.mockResolvedValue([
+        { project_id: 21, project_name: 'Almost', budget: 1000, budget_spent: 745, budget_is_monthly: false },
+        { project_id: 22, project_name: 'Exactly', budget: 1000, budget_spent: 750, budget_is_monthly: false },
+      ]);
+
+      const result = await analyzeProjectBudgets();
+
+      // 74.5% is shown as 75% but has not passed the 75% threshold
+      expect(result).toHaveLength(1);
+      expect(result[0]).toMatchObject({ project_id: 22, budgetPercentage: 75, threshold: 75 });
+    });
+
+    test('should track monthly budgets per month', async () => {
+      process.env.BUDGET_ALERT_THRESHOLDS = '20';
+      readState.mockResolvedValue({ '12:2023-12': 20 });
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-16').getTime();
+
+      const result = await analyzeProjectBudgets();
+
+      expect(result.map((alert) => alert.alertKey)).toEqual(['11', '12:2024-01']);
+
+      Date.now = originalNow;
+    });
+  });
+
+  describe('analyzeUninvoiced', () => {
+    test('should total uninvoiced work per client and currency', async () => {
+      const result = await analyzeUninvoiced('2024-01-01', '2024-01-31');
+
+      expect(getHarvestUninvoicedReport).toHaveBeenCalledWith(
+        'test-account-id',
+        'test-harvest-token',
+        '2024-01-01',
+        '2024-01-31'
+      );
+      expect(result).toEqual([
+        {
+          clientId: 2,
+          clientName: 'Globex',
+          currency: 'EUR',
+          uninvoicedHours: 20,
+          uninvoicedExpenses: 0,
+          uninvoicedAmount: 2000,
+        },
+        {
+          clientId: 1,
+          clientName: 'Acme',
+          currency: 'USD',
+          uninvoicedHours: 14.5,
+          uninvoicedExpenses: 100,
+          uninvoicedAmount: 1550,
+        },
+      ]);
+    });
+  });
+
+  describe('uninvoicedNotify', () => {
+    test('should send the report to the uninvoiced report channel', async () => {
+      process.env.UNINVOICED_REPORT_CHANNEL = '#finance';
+      const clients = [{ clientName: 'Acme', currency: 'USD', uninvoicedAmount: 10 }];
+
+      await uninvoicedNotify(clients, '2024-01-01', '2024-01-31');
+
+      expect(createUninvoicedReportMessage).toHaveBeenCalledWith(clients, '2024-01-01', '2024-01-31');
+      expect(sendSlackMessage).toHaveBeenCalledWith('#finance', mockSlackBlocks, 'test-slack-token');
+    });
+
+    test('should skip sending when nothing is uninvoiced', async () => {
+      await uninvoicedNotify([], '2024-01-01', '2024-01-31');
+
+      expect(sendSlackMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('budgetNotify', () => {
+    test('should send each alert to its channel and remember it', async () => {
+      readState.mockResolvedValue({ 99: 75 });
+      const budgetAlerts = [
+        { ...mockProjectBudgets[0], threshold: 90, alertKey: '11', channel: '#acme' },
+      ];
+
+      await budgetNotify(budgetAlerts);
+
+      expect(createBudgetAlertMessage).toHaveBeenCalledWith(budgetAlerts[0]);
+      expect(sendSlackMessage).toHaveBeenCalledWith('#acme', mockSlackBlocks, 'test-slack-token');
+      expect(writeState).toHaveBeenCalledWith('budgetAlerts', { 99: 75, 11: 90 });
+    });
+
+    test('should keep the sent alerts of each Harvest account apart', async () => {
+      process.env.HARVEST_ACCOUNTS = JSON.stringify([{ name: 'Sleeq UK', accountId: 1, token: 'uk' }]);
+      createAccountContextBlock.mockReturnValue(mockSlackBlocks[0]);
+
+      await budgetNotify([{ ...mockProjectBudgets[0], threshold: 90, alertKey: '11', channel: '#acme' }]);
+
+      expect(readState).toHaveBeenCalledWith('budgetAlerts:1');
+      expect(writeState).toHaveBeenCalledWith('budgetAlerts:1', { 11: 90 });
+    });
+
+    test('should not record alerts that failed to send', async () => {
+      sendSlackMessage.mockRejectedValue(new Error('channel_not_found'));
+
+      await expect(
+        budgetNotify([{ ...mockProjectBudgets[0], threshold: 90, alertKey: '11', channel: '#x' }])
+      ).rejects.toThrow('channel_not_found');
+      expect(writeState).not.toHaveBeenCalled();
+    });
+
+    test('should not record alerts that Slack rejected', async () => {
+      sendSlackMessage.mockResolvedValue({ ok: false, error: 'not_in_channel' });
+
+      await expect(
+        budgetNotify([{ ...mockProjectBudgets[0], threshold: 90, alertKey: '11', channel: '#x' }])
+      ).rejects.toThrow('Budget alert could not be sent: not_in_channel');
+      expect(writeState).not.toHaveBeenCalled();
+    });
+
+    test('should skip sending when there are no alerts', async () => {
+      await budgetNotify([]);
+
+      expect(sendSlackMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getEscalationThreshold', () => {
+    test('should default to three consecutive misses', () => {
+      expect(getEscalationThreshold()).toBe(3);
+    });
+
+    test('should ignore invalid thresholds', () => {
+      process.env.ESCALATION_THRESHOLD = '0';
+
+      expect(getEscalationThreshold()).toBe(3);
+    });
+  });
+
+  describe('updateMissStreaks', () => {
+    const previousMisses = [
+      { from: '2024-01-11', to: '2024-01-11', totalHours: 0 },
+      { from: '2024-01-12', to: '2024-01-12', totalHours: 2 },
+    ];
+
+    test('should grow streaks of flagged users and reset everyone else', async () => {
+      readState.mockResolvedValue({
+        daily: {
+          1: { streak: 2, misses: previousMisses },
+          3: { streak: 1, misses: [previousMisses[1]] },
+        },
+        weekly: { 2: { streak: 1, misses: [] } },
+      });
+      const flaggedUsers = [
+        { ...mockHarvestUsers[0], totalHours: 5.5 },
+        { ...mockHarvestUsers[1], totalHours: 2 },
+      ];
+
+      const result = await updateMissStreaks(flaggedUsers, '2024-01-15', '2024-01-15', 'daily');
+
+      const johnMisses = [...previousMisses, { from: '2024-01-15', to: '2024-01-15', totalHours: 5.5 }];
+      expect(result).toEqual([{ user: flaggedUsers[0], streak: 3, misses: johnMisses }]);
+      expect(writeState).toHaveBeenCalledWith('missStreaks', {
+        daily: {
+          1: { streak: 3, misses: johnMisses },
+          2: { streak: 1, misses: [{ from: '2024-01-15', to: '2024-01-15', totalHours: 2 }] },
+        },
+        weekly: { 2: { streak: 1, misses: [] } },
+      });
+    });
+
+    test('should not grow streaks when the same check runs again', async () => {
+      readState.mockResolvedValue({
+        daily: { 1: { streak: 2, misses: previousMisses } },
+      });
+
+      const result = await updateMissStreaks([mockHarvestUsers[0]], '2024-01-12', '2024-01-12', 'daily');
+
+      expect(result).toEqual([]);
+      expect(writeState).toHaveBeenCalledWith('missStreaks', {
+        daily: { 1: { streak: 2, misses: previousMisses } },
+      });
+    });
+  });
+
+  describe('escalateRepeatOffenders', () => {
+    beforeEach(() => {
+      readState.mockResolvedValue({
+        daily: { 1: { streak: 2, misses: [] } },
+      });
+      getHarvestUserAssignments.mockResolvedValue([
+        { user: { id: 1 }, project: { id: 11, name: 'Website' }, is_project_manager: false },
+        { user: { id: 2 }, project: { id: 11, name: 'Website' }, is_project_manager: true },
+        { user: { id: 3 }, project: { id: 12, name: 'Internal' }, is_project_manager: true },
+      ]);
+      findSlackUser.mockImplementation((user, slackUsers) =>
+        slackUsers.find((slackUser) => slackUser.profile.email === user.email)
+      );
+    });
+
+    test('should send project managers a direct message about repeat offenders', async () => {
+      const flaggedUsers = [{ ...mockHarvestUsers[0], totalHours: 5.5 }];
+
+      await escalateRepeatOffenders(flaggedUsers, '2024-01-15', '2024-01-15', 'daily');
+
+      expect(getHarvestUsers).toHaveBeenCalledWith('test-account-id', 'test-harvest-token');
+      expect(createEscalationMessage).toHaveBeenCalledWith([
+        {
+          user: flaggedUsers[0],
+          notificationType: 'daily',
+          streak: 3,
+          misses: [{ from: '2024-01-15', to: '2024-01-15', totalHours: 5.5 }],
+          projects: ['Website'],
+        },
+      ]);
+      expect(sendSlackMessage).toHaveBeenCalledTimes(1);
+      expect(sendSlackMessage).toHaveBeenCalledWith('U789012', mockSlackBlocks, 'test-slack-token');
+    });
+
+    test('should look up project managers by email when email matching is enabled', async () => {
+      process.env.SLACK_USER_MATCHING = 'email';
+      findSlackUsersByEmail.mockResolvedValue(new Map([[2, { id: 'U789012' }]]));
+
+      await escalateRepeatOffenders([mockHarvestUsers[0]], '2024-01-15', '2024-01-15', 'daily');
+
+      expect(findSlackUsersByEmail).toHaveBeenCalledWith([mockHarvestUsers[1]], 'test-slack-token');
+      expect(getSlackUsers).not.toHaveBeenCalled();
+      expect(sendSlackMessage).toHaveBeenCalledWith('U789012', mockSlackBlocks, 'test-slack-token');
+    });
+
+    test('should skip users whose projects have no project manager', async () => {
+      getHarvestUserAssignments.mockResolvedValue([
+        { user: { id: 1 }, project: { id: 11, name: 'Website' }, is_project_manager: true },
+      ]);
+
+      await escalateRepeatOffenders([mockHarvestUsers[0]], '2024-01-15', '2024-01-15', 'daily');
+
+      expect(Logger.warn).toHaveBeenCalledWith('No project managers to escalate to', {
+        userId: 1,
+        userName: 'John Doe',
+      });
+      expect(sendSlackMessage).not.toHaveBeenCalled();
+    });
+
+    test('should not look up project managers when nobody reached the threshold', async () => {
+      readState.mockResolvedValue({});
+
+      await escalateRepeatOffenders([mockHarvestUsers[0]], '2024-01-15', '2024-01-15', 'daily');
+
+      expect(getHarvestUserAssignments).not.toHaveBeenCalled();
+      expect(sendSlackMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('isUserEligibleForNotification', () => {
+    test('should exclude users without capacity for every notification type', () => {
+      const user = { ...mockHarvestUsers[0], weekly_capacity: 0 };
+
+      expect(isUserEligibleForNotification(user, 'daily')).toBe(false);
+      expect(isUserEligibleForNotification(user, 'unsubmitted')).toBe(false);
+    });
+
+    test('should only apply the daily capacity threshold to daily notifications', () => {
+      process.env.DAILY_NOTIFICATION_WEEKLY_CAPACITY_THRESHOLD = '30';
+
+      expect(isUserEligibleForNotification(mockHarvestUsers[1], 'daily')).toBe(false);
+      expect(isUserEligibleForNotification(mockHarvestUsers[1], 'weekly')).toBe(true);
+
+      delete process.env.DAILY_NOTIFICATION_WEEKLY_CAPACITY_THRESHOLD;
+    });
+  });
+
+  describe('routeUsersToProjectChannels', () => {
+    const users = [mockHarvestUsers[0], mockHarvestUsers[1], mockHarvestUsers[2]];
+
+    test('should group users by the channels of their assigned projects', async () => {
+      process.env.PROJECT_CHANNELS = JSON.stringify({ 11: '#acme', Intranet: '#intranet' });
+      getHarvestUserAssignments.mockResolvedValue([
+        { user: { id: 1 }, project: { id: 11, name: 'Website' } },
+        { user: { id: 1 }, project: { id: 12, name: 'Intranet' } },
+        { user: { id: 2 }, project: { id: 13, name: 'Unmapped' } },
+        { user: { id: 3 }, project: { id: 11, name: 'Website' } },
+      ]);
+
+      const routes = await routeUsersToProjectChannels(users);
+
+      expect(getHarvestUserAssignments).toHaveBeenCalledWith(
+        'test-account-id',
+        'test-harvest-token',
+        { is_active: true }
+      );
+      expect(routes).toEqual([
+        { channel: '#acme', users: [users[0], users[2]] },
+        { channel: '#intranet', users: [users[0]] },
+        { channel: '#general', users: [users[1]] },
+      ]);
+    });
+  });
+
+  describe('slackNotify (project channel routing)', () => {
+    test('should send each project channel only its own members', async () => {
+      process.env.ROUTE_REMINDERS_TO_PROJECT_CHANNELS = 'true';
+      process.env.PROJECT_CHANNELS = JSON.stringify({ 11: '#acme' });
+
+      await slackNotify([mockHarvestUsers[0], mockHarvestUsers[1]], '2024-01-15', '2024-01-15', 'daily');
+
+      expect(createDailyReminderMessage).toHaveBeenCalledTimes(2);
+      expect(createDailyReminderMessage).toHaveBeenNthCalledWith(
+        1,
+        [expect.objectContaining({ id: 1 })],
+        '2024-01-15'
+      );
+      expect(createDailyReminderMessage).toHaveBeenNthCalledWith(
+        2,
+        [expect.objectContaining({ id: 2 })],
+        '2024-01-15'
+      );
+      expect(sendSlackMessage).toHaveBeenCalledWith('#acme', mockSlackBlocks, 'test-slack-token');
+      expect(sendSlackMessage).toHaveBeenCalledWith('#general', mockSlackBlocks, 'test-slack-token');
+      expect(Logger.notificationSent).toHaveBeenCalledWith('daily', 1, '#acme');
+    });
+
+    test('should post to the default channel when routing is disabled', async () => {
+      process.env.PROJECT_CHANNELS = JSON.stringify({ 11: '#acme' });
+
+      await slackNotify([mockHarvestUsers[0]], '2024-01-15', '2024-01-15', 'daily');
+
+      expect(getHarvestUserAssignments).not.toHaveBeenCalled();
+      expect(sendSlackMessage).toHaveBeenCalledTimes(1);
+      expect(sendSlackMessage).toHaveBeenCalledWith('#general', mockSlackBlocks, 'test-slack-token');
+    });
+  });
+
+  describe('slackNotify', () => {
+    test('should send daily notification correctly', async () => {
+      const usersToNotify = [
+        { ...mockHarvestUsers[0], totalHours: 5.5 },
+        { ...mockHarvestUsers[1], totalHours: 2.0 },
+      ];
+
+      await slackNotify(usersToNotify, '2024-01-15', '2024-01-15', 'daily');
+
+      expect(getSlackUsers).toHaveBeenCalledWith('test-slack-token');
+      expect(matchUsersWithSlack).toHaveBeenCalledWith(usersToNotify, mockSlackUsers);
+      expect(createDailyReminderMessage).toHaveBeenCalled();
+      expect(sendSlackMessage).toHaveBeenCalledWith('#general', mockSlackBlocks, 'test-slack-token');
+    });
+
+    test('should look up Slack users by email when email matching is enabled', async () => {
+      process.env.SLACK_USER_MATCHING = 'email';
+      const usersToNotify = [{ ...mockHarvestUsers[0], totalHours: 5.5 }];
+      const matchedUsers = [{ ...usersToNotify[0], slackUser: '<@U123456> (Hours logged: 5.5)' }];
+      matchUsersWithSlackByEmail.mockResolvedValue(matchedUsers);
+
+      await slackNotify(usersToNotify, '2024-01-15', '2024-01-15', 'daily');
+
+      expect(matchUsersWithSlackByEmail).toHaveBeenCalledWith(usersToNotify, 'test-slack-token');
+      expect(getSlackUsers).not.toHaveBeenCalled();
+      expect(matchUsersWithSlack).not.toHaveBeenCalled();
+      expect(createDailyReminderMessage).toHaveBeenCalledWith(matchedUsers, '2024-01-15');
+    });
+
+    test('should send weekly notification correctly', async () => {
+      const usersToNotify = [
+        { ...mockHarvestUsers[0], totalHours: 5.5 },
+        { ...mockHarvestUsers[1], totalHours: 2.0 },
+      ];
+
+      await slackNotify(usersToNotify, '2024-01-15', '2024-01-19', 'weekly');
+
+      expect(getSlackUsers).toHaveBeenCalledWith('test-slack-token');
+      expect(matchUsersWithSlack).toHaveBeenCalledWith(usersToNotify, mockSlackUsers);
+      expect(createWeeklyReminderMessage).toHaveBeenCalled();
+      expect(sendSlackMessage).toHaveBeenCalledWith('#general', mockSlackBlocks, 'test-slack-token');
+    });
+
+    test('should send monthly notification correctly', async () => {
+      const usersToNotify = [
+        { ...mockHarvestUsers[0], totalHours: 5.5 },
+        { ...mockHarvestUsers[1], totalHours: 2.0 },
+      ];
+
+      await slackNotify(usersToNotify, '2024-01-01', '2024-01-31', 'monthly');
+
+      expect(getSlackUsers).toHaveBeenCalledWith('test-slack-token');
+      expect(matchUsersWithSlack).toHaveBeenCalledWith(usersToNotify, mockSlackUsers);
+      expect(createMonthlyReminderMessage).toHaveBeenCalled();
+      expect(sendSlackMessage).toHaveBeenCalledWith('#general', mockSlackBlocks, 'test-slack-token');
+    });
+
+    test('should send unsubmitted timesheet notification correctly', async () => {
+      const usersToNotify = [{ ...mockHarvestUsers[0], unsubmittedEntries: 2, unsubmittedHours: 15.5 }];
+
+      await slackNotify(usersToNotify, '2024-01-08', '2024-01-14', 'unsubmitted');
+
+      expect(createUnsubmittedTimesheetMessage).toHaveBeenCalledWith(
+        expect.any(Array),
+        '2024-01-08',
+        '2024-01-14'
+      );
+      expect(sendSlackMessage).toHaveBeenCalledWith('#general', mockSlackBlocks, 'test-slack-token');
+    });
+
+    test('should handle empty users list', async () => {
+      await slackNotify([], '2024-01-15', '2024-01-15', 'daily');
+
+      expect(getSlackUsers).not.toHaveBeenCalled();
+      expect(sendSlackMessage).not.toHaveBeenCalled();
+    });
+
+    test('should handle API errors', async () => {
+      const usersToNotify = [
+        { ...mockHarvestUsers[0], totalHours: 5.5 },
+      ];
+
+      getSlackUsers.mockRejectedValue(new Error('Slack API Error'));
+
+      await expect(slackNotify(usersToNotify, '2024-01-15', '2024-01-15', 'daily')).rejects.toThrow('Slack API Error');
+    });
+  });
+
+  describe('runNotification', () => {
+    test('should run daily notification successfully', async () => {
+      // Mock Monday
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-15').getTime(); // Monday
+
+      await runNotification('daily');
+
+      expect(getHarvestUsers).toHaveBeenCalled();
+      expect(getHarvestTeamTimeReport).toHaveBeenCalled();
+      expect(getSlackUsers).toHaveBeenCalled();
+      expect(sendSlackMessage).toHaveBeenCalled();
+
+      Date.now = originalNow;
+    });
+
+    test('should run weekly notification successfully', async () => {
+      // Mock Friday
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-19').getTime(); // Friday
+
+      await runNotification('weekly');
+
+      expect(getHarvestUsers).toHaveBeenCalled();
+      expect(getHarvestTeamTimeReport).toHaveBeenCalled();
+      expect(getSlackUsers).toHaveBeenCalled();
+      expect(sendSlackMessage).toHaveBeenCalled();
+
+      Date.now = originalNow;
+    });
+
+    test('should run monthly notification successfully', async () => {
+      // Mock last day of month
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-31').getTime(); // Last day of month
+
+      await runNotification('monthly');
+
+      expect(getHarvestUsers).toHaveBeenCalled();
+      expect(getHarvestTeamTimeReport).toHaveBeenCalled();
+      expect(getSlackUsers).toHaveBeenCalled();
+      expect(sendSlackMessage).toHaveBeenCalled();
+
+      Date.now = originalNow;
+    });
+  });
+
+  describe('runNotification (billable targets)', () => {
+    test('should send a billable utilisation message after the weekly reminder when enabled', async () => {
+      process.env.BILLABLE_TARGETS_ENABLED = 'true';
+      process.env.BILLABLE_TARGET_PERCENTAGE = '75';
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-19').getTime(); // Friday
+
+      await runNotification('weekly');
+
+      expect(getHarvestTeamTimeReport).toHaveBeenCalledTimes(2);
+      expect(createWeeklyReminderMessage).toHaveBeenCalled();
+      expect(createBillableUtilisationMessage).toHaveBeenCalledWith(
+        expect.any(Array),
+        '2024-01-15',
+        '2024-01-19'
+      );
+      expect(sendSlackMessage).toHaveBeenCalledTimes(2);
+
+      Date.now = originalNow;
+    });
+
+    test('should not check billable targets on daily runs', async () => {
+      process.env.BILLABLE_TARGETS_ENABLED = 'true';
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-16').getTime(); // Tuesday
+
+      await runNotification('daily');
+
+      expect(getHarvestTeamTimeReport).toHaveBeenCalledTimes(1);
+      expect(createBillableUtilisationMessage).not.toHaveBeenCalled();
+
+      Date.now = originalNow;
+    });
+  });
+
+  describe('runNotification (late logging)', () => {
+    test('should send a late logging message after the monthly reminder when enabled', async () => {
+      process.env.LATE_LOGGING_ENABLED = 'true';
+      getHarvestTimeEntries.mockResolvedValue([
+        { user: { id: 1 }, spent_date: '2024-01-02', created_at: '2024-01-30T09:00:00Z', hours: 8 },
+      ]);
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-31').getTime(); // Last day of month
+
+      await runNotification('monthly');
+
+      expect(createMonthlyReminderMessage).toHaveBeenCalled();
+      expect(createLateLoggingMessage).toHaveBeenCalledWith(
+        expect.any(Array),
+        '2024-01-01',
+        '2024-01-31'
+      );
+      expect(sendSlackMessage).toHaveBeenCalledTimes(2);
+
+      Date.now = originalNow;
+    });
+
+    test('should not check late logging on daily runs', async () => {
+      process.env.LATE_LOGGING_ENABLED = 'true';
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-16').getTime(); // Tuesday
+
+      await runNotification('daily');
+
+      expect(getHarvestTimeEntries).not.toHaveBeenCalled();
+      expect(createLateLoggingMessage).not.toHaveBeenCalled();
+
+      Date.now = originalNow;
+    });
+  });
+
+  describe('runNotification (escalation)', () => {
+    test('should track miss streaks after the daily reminder when enabled', async () => {
+      process.env.ESCALATION_ENABLED = 'true';
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-16').getTime(); // Tuesday
+
+      await runNotification('daily');
+
+      expect(writeState).toHaveBeenCalledWith('missStreaks', {
+        daily: expect.any(Object),
+      });
+
+      Date.now = originalNow;
+    });
+
+    test('should not track miss streaks when disabled', async () => {
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-16').getTime(); // Tuesday
+
+      await runNotification('daily');
+
+      expect(readState).not.toHaveBeenCalled();
+      expect(writeState).not.toHaveBeenCalled();
+
+      Date.now = originalNow;
+    });
+  });
+
+  describe('runNotification (expenses)', () => {
+    test('should send an expense reminder after the monthly reminder when enabled', async () => {
+      process.env.EXPENSE_REMINDERS_ENABLED = 'true';
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-31').getTime(); // Last day of month
+
+      await runNotification('monthly');
+
+      expect(getHarvestExpenses).toHaveBeenCalled();
+      expect(createExpenseReminderMessage).toHaveBeenCalledWith(
+        expect.any(Array),
+        '2024-01-01',
+        '2024-01-31'
+      );
+      expect(sendSlackMessage).toHaveBeenCalledTimes(2);
+
+      Date.now = originalNow;
+    });
+
+    test('should not check expenses on weekly runs', async () => {
+      process.env.EXPENSE_REMINDERS_ENABLED = 'true';
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-19').getTime(); // Friday
+
+      await runNotification('weekly');
+
+      expect(getHarvestExpenses).not.toHaveBeenCalled();
+
+      Date.now = originalNow;
+    });
+  });
+
+  describe('runNotification (timesheet hygiene)', () => {
+    test('should fetch time entries once and share them with per-day analysis', async () => {
+      process.env.TIMESHEET_HYGIENE_ENABLED = 'true';
+      process.env.HYGIENE_FLAG_FUTURE_ENTRIES = 'false';
+      process.env.PER_DAY_ANALYSIS_ENABLED = 'true';
+      getHarvestTimeEntries.mockResolvedValue([
+        { user: { id: 1 }, spent_date: '2024-01-15', hours: 30, project: { id: 11 }, task: { id: 1 } },
+      ]);
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-19').getTime(); // Friday
+
+      await runNotification('weekly');
+
+      expect(getHarvestTimeEntries).toHaveBeenCalledTimes(1);
+      expect(createWeeklyReminderMessage).toHaveBeenCalled();
+      expect(createTimesheetHygieneMessage).toHaveBeenCalledWith(
+        expect.any(Array),
+        '2024-01-15',
+        '2024-01-19'
+      );
+      expect(sendSlackMessage).toHaveBeenCalledTimes(2);
+
+      Date.now = originalNow;
+    });
+
+    test('should not audit timesheets on daily runs', async () => {
+      process.env.TIMESHEET_HYGIENE_ENABLED = 'true';
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-16').getTime(); // Tuesday
+
+      await runNotification('daily');
+
+      expect(getHarvestTimeEntries).not.toHaveBeenCalled();
+      expect(createTimesheetHygieneMessage).not.toHaveBeenCalled();
+
+      Date.now = originalNow;
+    });
+  });
+
+  describe('runNotification (uninvoiced)', () => {
+    test('should report the whole month to the default channel', async () => {
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-31').getTime(); // Last day of month
+
+      await runNotification('uninvoiced');
+
+      expect(getHarvestUninvoicedReport).toHaveBeenCalledWith(
+        'test-account-id',
+        'test-harvest-token',
+        '2024-01-01',
+        '2024-01-31'
+      );
+      expect(getHarvestUsers).not.toHaveBeenCalled();
+      expect(sendSlackMessage).toHaveBeenCalledWith('#general', mockSlackBlocks, 'test-slack-token');
+
+      Date.now = originalNow;
+    });
+  });
+
+  describe('runNotification (budget)', () => {
+    test('should check project budgets and alert project channels', async () => {
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-16').getTime(); // Tuesday
+
+      await runNotification('budget');
+
+      expect(getHarvestProjectBudgetReport).toHaveBeenCalled();
+      expect(getHarvestUsers).not.toHaveBeenCalled();
+      expect(getSlackUsers).not.toHaveBeenCalled();
+      expect(sendSlackMessage).toHaveBeenCalledWith('#general', mockSlackBlocks, 'test-slack-token');
+
+      Date.now = originalNow;
+    });
+  });
+
+  describe('runNotification (running-timers)', () => {
+    test('should check running timers and send a reminder', async () => {
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-16T09:00:00Z').getTime(); // Tuesday
+
+      await runNotification('running-timers');
+
+      expect(getHarvestRunningTimeEntries).toHaveBeenCalled();
+      expect(getHarvestTeamTimeReport).not.toHaveBeenCalled();
+      expect(createRunningTimerMessage).toHaveBeenCalledWith(expect.any(Array));
+      expect(sendSlackMessage).toHaveBeenCalledWith('#general', mockSlackBlocks, 'test-slack-token');
+
+      Date.now = originalNow;
+    });
+  });
+
+  describe('runNotification (unsubmitted)', () => {
+    test('should run unsubmitted timesheet check for the previous week', async () => {
+      // Mock Monday
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-15').getTime(); // Monday
+
+      await runNotification('unsubmitted');
+
+      expect(getHarvestTimeEntries).toHaveBeenCalledWith(
+        'test-account-id',
+        'test-harvest-token',
+        '2024-01-08',
+        '2024-01-14'
+      );
+      expect(getHarvestTeamTimeReport).not.toHaveBeenCalled();
+      expect(createUnsubmittedTimesheetMessage).toHaveBeenCalled();
+      expect(sendSlackMessage).toHaveBeenCalled();
+
+      Date.now = originalNow;
+    });
+  });
+
+  describe('app', () => {
+    test('should run daily notification on Monday', async () => {
+      // Mock Monday
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-15').getTime(); // Monday
+
+      await app(false); // Don't exit for testing
+
+      expect(getHarvestUsers).toHaveBeenCalled();
+      expect(getHarvestTeamTimeReport).toHaveBeenCalled();
       expect(getSlackUsers).toHaveBeenCalled();
       expect(sendSlackMessage).toHaveBeenCalled();
 
@@ -482,6 +2424,7 @@ describe('Unified Harvest Notifier Application', () => {
 
       await app(false); // Don't exit for testing
 
+      expect(getHarvestCompany).toHaveBeenCalledTimes(1);
       expect(getHarvestUsers).toHaveBeenCalledTimes(2);
       expect(getHarvestTeamTimeReport).toHaveBeenCalledTimes(2);
       expect(getSlackUsers).toHaveBeenCalledTimes(2);
@@ -516,6 +2459,264 @@ describe('Unified Harvest Notifier Application', () => {
 
       Date.now = originalNow;
     });
+
+    test('should report Harvest API failures clearly and exit with an error', async () => {
+      // Mock Monday
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-15').getTime(); // Monday
+
+      getHarvestUsers.mockRejectedValue(
+        new HarvestApiError('Harvest API request GET /v2/users failed with status 401', {
+          status: 401,
+          endpoint: 'GET /v2/users',
+          body: { error: 'invalid_token' },
+        })
+      );
+
+      await expect(app()).rejects.toThrow(HarvestApiError);
+
+      expect(Logger.error).toHaveBeenCalledWith(
+        'Harvest API request failed, the remaining notifications were skipped',
+        {
+          status: 401,
+          endpoint: 'GET /v2/users',
+          details: { error: 'invalid_token' },
+          hint: expect.stringContaining('HARVEST_TOKEN'),
+          accountName: 'account test-account-id',
+          sentNotifications: [],
+          skippedNotifications: ['daily'],
+        }
+      );
+      expect(sendSlackMessage).not.toHaveBeenCalled();
+      expect(mockExit).toHaveBeenCalledWith(1);
+
+      Date.now = originalNow;
+    });
+
+    test('should load the Slack user mapping, validating mapped users with Slack', async () => {
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-15').getTime(); // Monday
+
+      await app(false);
+
+      expect(loadSlackUserMapping).toHaveBeenCalledTimes(1);
+      const getMappedSlackUser = loadSlackUserMapping.mock.calls[0][0];
+      await getMappedSlackUser('U123456');
+      expect(getSlackUserById).toHaveBeenCalledWith('U123456', 'test-slack-token');
+
+      Date.now = originalNow;
+    });
+
+    test('should verify Harvest access before any analysis', async () => {
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-15').getTime(); // Monday
+      getHarvestCurrentUser.mockResolvedValue({ id: 99, access_roles: ['member'] });
+
+      await expect(app(false)).rejects.toThrow(
+        'Harvest user 99 has member access, administrator or manager access is required'
+      );
+
+      expect(getHarvestUsers).not.toHaveBeenCalled();
+      expect(sendSlackMessage).not.toHaveBeenCalled();
+
+      Date.now = originalNow;
+    });
+
+    test('should alert the admin channel when Harvest access fails', async () => {
+      process.env.ADMIN_SLACK_CHANNEL = '#ops';
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-15').getTime(); // Monday
+      const error = new HarvestApiError('Harvest API request GET /v2/users/me failed with status 401', {
+        status: 401,
+        endpoint: 'GET /v2/users/me',
+        body: null,
+      });
+      getHarvestCurrentUser.mockRejectedValue(error);
+
+      await expect(app(false)).rejects.toThrow(error);
+
+      expect(createHarvestErrorAlertMessage).toHaveBeenCalledWith(
+        error,
+        expect.stringContaining('HARVEST_TOKEN'),
+        { accountName: 'account test-account-id', sentNotifications: [], skippedNotifications: ['daily'] }
+      );
+      expect(sendSlackMessage).toHaveBeenCalledWith('#ops', mockSlackBlocks, 'test-slack-token');
+
+      Date.now = originalNow;
+    });
+
+    test('should tell the admin channel which reminders were not sent', async () => {
+      process.env.ADMIN_SLACK_CHANNEL = '#ops';
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-19').getTime(); // Friday
+      const error = new HarvestApiError('failed', {
+        status: 500,
+        endpoint: 'GET /v2/reports/time/team',
+        body: null,
+      });
+      getHarvestTeamTimeReport.mockResolvedValueOnce(mockTimeReports).mockRejectedValueOnce(error);
+
+      await expect(app(false)).rejects.toThrow(error);
+
+      expect(createHarvestErrorAlertMessage).toHaveBeenCalledWith(error, expect.any(String), {
+        accountName: 'account test-account-id',
+        sentNotifications: ['daily'],
+        skippedNotifications: ['weekly'],
+      });
+
+      Date.now = originalNow;
+    });
+
+    test('should keep the Harvest error when the admin alert fails', async () => {
+      process.env.ADMIN_SLACK_CHANNEL = '#ops';
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-15').getTime(); // Monday
+      getHarvestCurrentUser.mockRejectedValue(
+        new HarvestApiError('failed', { status: 404, endpoint: 'GET /v2/users/me', body: null })
+      );
+      sendSlackMessage.mockRejectedValue(new Error('channel_not_found'));
+
+      await expect(app(false)).rejects.toThrow(HarvestApiError);
+
+      expect(Logger.error).toHaveBeenCalledWith('Unable to alert the admin Slack channel', {
+        error: 'channel_not_found',
+      });
+
+      Date.now = originalNow;
+    });
+  });
+
+  describe('multiple Harvest accounts', () => {
+    const contextBlock = { type: 'context', elements: [] };
+
+    beforeEach(() => {
+      process.env.HARVEST_ACCOUNTS = JSON.stringify([
+        { name: 'Sleeq UK', accountId: '111', token: 'uk-token' },
+        { name: 'Sleeq NZ', accountId: '222', token: 'nz-token' },
+      ]);
+      createAccountContextBlock.mockReturnValue(contextBlock);
+    });
+
+    test('should check each account and name it in its messages', async () => {
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-15').getTime(); // Monday
+
+      await app(false);
+
+      expect(getHarvestCurrentUser).toHaveBeenCalledWith('111', 'uk-token');
+      expect(getHarvestCurrentUser).toHaveBeenCalledWith('222', 'nz-token');
+      expect(getHarvestUsers).toHaveBeenCalledWith('111', 'uk-token', 'admin@example.com');
+      expect(getHarvestUsers).toHaveBeenCalledWith('222', 'nz-token', 'admin@example.com');
+      expect(createAccountContextBlock).toHaveBeenCalledWith('Sleeq UK');
+      expect(createAccountContextBlock).toHaveBeenCalledWith('Sleeq NZ');
+      expect(sendSlackMessage).toHaveBeenCalledTimes(2);
+      expect(sendSlackMessage).toHaveBeenCalledWith(
+        '#general',
+        [contextBlock, ...mockSlackBlocks],
+        'test-slack-token'
+      );
+
+      Date.now = originalNow;
+    });
+
+    test('should keep checking the other accounts when one fails and exit with an error', async () => {
+      process.env.ADMIN_SLACK_CHANNEL = '#ops';
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-15').getTime(); // Monday
+      getHarvestCurrentUser.mockResolvedValueOnce({ id: 99, access_roles: ['member'] });
+
+      await expect(app()).rejects.toThrow(HarvestApiError);
+
+      expect(getHarvestCurrentUser).toHaveBeenCalledTimes(2);
+      expect(getHarvestUsers).not.toHaveBeenCalledWith('111', 'uk-token', 'admin@example.com');
+      expect(getHarvestUsers).toHaveBeenCalledWith('222', 'nz-token', 'admin@example.com');
+      // The admin alert names the failed account, the reminder the account that passed
+      expect(createAccountContextBlock).toHaveBeenNthCalledWith(1, 'Sleeq UK');
+      expect(createAccountContextBlock).toHaveBeenNthCalledWith(2, 'Sleeq NZ');
+      expect(sendSlackMessage).toHaveBeenCalledWith(
+        '#ops',
+        [contextBlock, ...mockSlackBlocks],
+        'test-slack-token'
+      );
+      expect(sendSlackMessage).toHaveBeenCalledWith(
+        '#general',
+        [contextBlock, ...mockSlackBlocks],
+        'test-slack-token'
+      );
+      expect(Logger.error).toHaveBeenCalledWith('Harvest accounts failed', {
+        failedAccounts: ['Sleeq UK'],
+      });
+      expect(mockExit).toHaveBeenCalledWith(1);
+      expect(mockExit).not.toHaveBeenCalledWith(0);
+
+      Date.now = originalNow;
+    });
+
+    test('should reject invalid account lists', async () => {
+      const originalNow = Date.now;
+      Date.now = () => new Date('2024-01-15').getTime(); // Monday
+      process.env.HARVEST_ACCOUNTS = '[{"name": "Sleeq UK"}]';
+
+      await expect(app(false)).rejects.toThrow('HARVEST_ACCOUNTS entry 1 needs an accountId and a token');
+
+      Date.now = originalNow;
+    });
+  });
+
+  describe('verifyHarvestAccess', () => {
+    test('should accept manager access and load the company settings', async () => {
+      getHarvestCurrentUser.mockResolvedValue({ id: 99, access_roles: ['manager'] });
+
+      await expect(verifyHarvestAccess()).resolves.toEqual({ id: 99, access_roles: ['manager'] });
+      expect(getHarvestCompany).toHaveBeenCalledWith('test-account-id', 'test-harvest-token');
+    });
+
+    test('should reject users without administrator or manager access as forbidden', async () => {
+      getHarvestCurrentUser.mockResolvedValue({ id: 99, email: 'jo@example.com', access_roles: [] });
+
+      const error = await verifyHarvestAccess().catch((e) => e);
+
+      expect(error).toBeInstanceOf(HarvestApiError);
+      expect(error.status).toBe(403);
+      expect(getHarvestErrorHint(error)).toContain('administrator or manager');
+      expect(getHarvestCompany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getHarvestErrorHint', () => {
+    test.each([
+      [null, 'HARVEST_TIMEOUT_MS'],
+      [401, 'HARVEST_TOKEN'],
+      [403, 'administrator or manager'],
+      [404, 'HARVEST_ACCOUNT_ID'],
+      [429, 'rate limit'],
+      [503, 'unavailable'],
+      [418, 'Unexpected'],
+    ])('should describe status %s', (status, expected) => {
+      const error = new HarvestApiError('failed', { status, endpoint: 'GET /v2/users', body: null });
+      expect(getHarvestErrorHint(error)).toContain(expected);
+    });
+
+    test('should point failed OAuth2 token requests to the authorize command', () => {
+      const error = new HarvestApiError('failed', {
+        status: 400,
+        endpoint: 'POST /api/v2/oauth2/token',
+        body: { error: 'invalid_grant' },
+      });
+      expect(getHarvestErrorHint(error)).toContain('npm run authorize');
+    });
+
+    test('should not point OAuth2 users at HARVEST_TOKEN when a request is unauthorized', () => {
+      delete process.env.HARVEST_TOKEN;
+      process.env.HARVEST_OAUTH_CLIENT_ID = 'client-id';
+      process.env.HARVEST_OAUTH_CLIENT_SECRET = 'client-secret';
+      const error = new HarvestApiError('failed', { status: 401, endpoint: 'GET /v2/users', body: null });
+
+      const hint = getHarvestErrorHint(error);
+
+      expect(hint).toContain('npm run authorize');
+      expect(hint).not.toContain('HARVEST_TOKEN');
+    });
   });
 });
 
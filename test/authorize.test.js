@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Tests for the Harvest OAuth2 authorize command
+ *
+ * Tests handling of the Harvest ID redirect and the checks made before the
+ * local callback server starts.
+ *
+ * @author tiaan.swart@sleeq.global
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import {
+  isHarvestOAuthConfigured,
+  exchangeHarvestAuthorizationCode,
+} from '../utils/harvest-oauth.js';
+import { authorize, handleAuthorizationCallback, getRedirectUri } from '../authorize.js';
+
+vi.mock('../utils/harvest-oauth.js');
+vi.mock('../utils/logger.js');
+
+describe('Authorize command', () => {
+  const tokens = { accessToken: 'access', refreshToken: 'refresh', expiresAt: '2024-01-29T09:00:00.000Z' };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    delete process.env.HARVEST_OAUTH_REDIRECT_URI;
+    exchangeHarvestAuthorizationCode.mockResolvedValue(tokens);
+  });
+
+  test('should default to a local redirect URI', () => {
+    expect(getRedirectUri().toString()).toBe('http://localhost:3000/oauth/callback');
+  });
+
+  test('should refuse to start without OAuth2 client credentials', async () => {
+    isHarvestOAuthConfigured.mockReturnValue(false);
+
+    await expect(authorize()).rejects.toThrow('Set HARVEST_OAUTH_CLIENT_ID and HARVEST_OAUTH_CLIENT_SECRET');
+  });
+
+  describe('handleAuthorizationCallback', () => {
+    test('should exchange the code and report the authorized accounts', async () => {
+      const callbackUrl = new URL(
+        'http://localhost:3000/oauth/callback?code=the-code&state=abc&scope=harvest%3A123'
+      );
+
+      await expect(handleAuthorizationCallback(callbackUrl, 'abc')).resolves.toEqual({
+        tokens,
+        scope: 'harvest:123',
+      });
+      expect(exchangeHarvestAuthorizationCode).toHaveBeenCalledWith('the-code');
+    });
+
+    test.each([
+      ['?error=access_denied&state=abc', 'Harvest authorization was denied: access_denied'],
+      ['?code=the-code&state=forged', 'Harvest authorization state does not match'],
+      ['?state=abc', 'Harvest authorization did not return a code'],
+    ])('should reject the redirect %s', async (query, message) => {
+      const callbackUrl = new URL(`http://localhost:3000/oauth/callback${query}`);
+
+      await expect(handleAuthorizationCallback(callbackUrl, 'abc')).rejects.toThrow(message);
+      expect(exchangeHarvestAuthorizationCode).not.toHaveBeenCalled();
+    });
+  });
+});
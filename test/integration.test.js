@@ -11,7 +11,11 @@
 
 import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
 import moment from 'moment';
-import { getHarvestUsers, getHarvestTeamTimeReport } from '../utils/harvest-api.js';
+import {
+  getHarvestCurrentUser,
+  getHarvestUsers,
+  getHarvestTeamTimeReport,
+} from '../utils/harvest-api.js';
 import { getSlackUsers, sendSlackMessage, matchUsersWithSlack } from '../utils/slack-api.js';
 import { createDailyReminderMessage, createWeeklyReminderMessage, createMonthlyReminderMessage } from '../templates/slack-templates.js';
 import Logger from '../utils/logger.js';
@@ -122,6 +126,7 @@ describe('Integration Tests - Unified App', () => {
     process.env.EMAILS_WHITELIST = 'admin@example.com';
 
     // Setup default mocks
+    getHarvestCurrentUser.mockResolvedValue({ id: 99, access_roles: ['administrator'] });
     getHarvestUsers.mockResolvedValue(mockHarvestUsers);
     getHarvestTeamTimeReport.mockResolvedValue(mockTimeReports);
     getSlackUsers.mockResolvedValue(mockSlackUsers);
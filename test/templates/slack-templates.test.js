@@ -8,16 +8,30 @@
  * @license MIT
  */
 
-import { describe, test, expect, beforeEach, vi } from 'vitest';
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
 import moment from 'moment';
 import {
   createDailyReminderMessage,
   createWeeklyReminderMessage,
   createMonthlyReminderMessage,
+  createUnsubmittedTimesheetMessage,
+  createRunningTimerMessage,
+  createBillableUtilisationMessage,
+  createLateLoggingMessage,
+  createBudgetAlertMessage,
+  createExpenseReminderMessage,
+  createUninvoicedReportMessage,
+  createTimesheetHygieneMessage,
+  createEscalationMessage,
+  createHarvestErrorAlertMessage,
+  createAccountContextBlock,
 } from '../../templates/slack-templates.js';
+import { getHarvestCompany } from '../../utils/harvest-api.js';
+import { loadCompanySettings, resetCompanySettings } from '../../utils/company-settings.js';
 import Logger from '../../utils/logger.js';
 
 // Mock dependencies
+vi.mock('../../utils/harvest-api.js');
 vi.mock('../../utils/logger.js');
 
 describe('Slack Templates', () => {
@@ -455,6 +469,664 @@ describe('Slack Templates', () => {
     });
   });
 
+  describe('Project breakdown', () => {
+    const usersWithProjects = [
+      {
+        ...mockUsersToNotify[0],
+        projectBreakdown: [
+          { projectName: 'Website', clientName: 'Acme', hours: 4 },
+          { projectName: 'Internal', clientName: null, hours: 1 },
+        ],
+      },
+      { ...mockUsersToNotify[1], projectBreakdown: [] },
+    ];
+
+    test('should list hours per project under each user in weekly messages', () => {
+      const result = createWeeklyReminderMessage(usersWithProjects, '2024-01-15', '2024-01-19');
+
+      expect(result[2].text.text).toBe(
+        '• <@U123456> (Hours logged: 5)\n' +
+          '    ◦ Acme - Website: 4 hours\n' +
+          '    ◦ Internal: 1 hours\n' +
+          '• <@U789012> (Hours logged: 3)'
+      );
+    });
+
+    test('should list hours per project under each user in monthly messages', () => {
+      const result = createMonthlyReminderMessage(usersWithProjects, '2024-01-01', '2024-01-31');
+
+      expect(result[2].text.text).toContain('    ◦ Acme - Website: 4 hours');
+    });
+
+    test('should not add project breakdowns to daily messages', () => {
+      const result = createDailyReminderMessage(usersWithProjects, '2024-01-15');
+
+      expect(result[2].text.text).toBe('• <@U123456> (Hours logged: 5)\n• <@U789012> (Hours logged: 3)');
+    });
+  });
+
+  describe('Hour formatting', () => {
+    afterEach(() => {
+      resetCompanySettings();
+    });
+
+    test('should round hours in decimal format', () => {
+      const result = createWeeklyReminderMessage(
+        [{ ...mockUsersToNotify[0], projectBreakdown: [{ projectName: 'Website', hours: 7.499999 }] }],
+        '2024-01-15',
+        '2024-01-19'
+      );
+
+      expect(result[2].text.text).toContain('    ◦ Website: 7.5 hours');
+    });
+
+    test('should show hours and minutes when the company uses that format', async () => {
+      getHarvestCompany.mockResolvedValue({ time_format: 'hours_minutes' });
+      await loadCompanySettings('test-account-id', 'test-token');
+
+      const result = createWeeklyReminderMessage(
+        [{ ...mockUsersToNotify[0], projectBreakdown: [{ projectName: 'Website', hours: 7.5 }] }],
+        '2024-01-15',
+        '2024-01-19'
+      );
+
+      expect(result[2].text.text).toContain('    ◦ Website: 7:30 hours');
+    });
+  });
+
+  describe('Missing days', () => {
+    test('should list short workdays under each user in weekly messages', () => {
+      const users = [
+        {
+          ...mockUsersToNotify[0],
+          missingDays: [
+            { date: '2024-01-15', hours: 0 },
+            { date: '2024-01-19', hours: 4 },
+          ],
+          projectBreakdown: [{ projectName: 'Website', clientName: 'Acme', hours: 36 }],
+        },
+      ];
+
+      const result = createWeeklyReminderMessage(users, '2024-01-15', '2024-01-19');
+
+      expect(result[2].text.text).toBe(
+        '• <@U123456> (Hours logged: 5)\n' +
+          '    ◦ Missing or short days: Mon Jan 15th (0 hours), Fri Jan 19th (4 hours)\n' +
+          '    ◦ Acme - Website: 36 hours'
+      );
+    });
+  });
+
+  describe('Section text limit', () => {
+    const users = Array.from({ length: 12 }, (_, index) => ({
+      slackUser: `<@U${index}> (Hours logged: 40)`,
+      missingDays: Array.from({ length: 20 }, (__, day) => ({
+        date: moment('2024-01-01').add(day, 'days').format('YYYY-MM-DD'),
+        hours: 0,
+      })),
+      projectBreakdown: [
+        { projectName: 'Website', clientName: 'Acme', hours: 20 },
+        { projectName: 'Internal', clientName: 'Sleeq', hours: 20 },
+      ],
+    }));
+
+    test('should split long monthly user lists across sections', () => {
+      const result = createMonthlyReminderMessage(users, '2024-01-01', '2024-01-31');
+      const listSections = result.slice(2, -2);
+
+      expect(listSections.length).toBeGreaterThan(1);
+      listSections.forEach((block) => {
+        expect(block.type).toBe('section');
+        expect(block.text.text.length).toBeLessThanOrEqual(3000);
+        expect(block.text.text.startsWith('• <@U')).toBe(true);
+      });
+      // Every user is listed once, with their details in the same section
+      const lines = listSections.flatMap((block) => block.text.text.split('\n'));
+      expect(lines.filter((line) => line.startsWith('• '))).toHaveLength(12);
+      listSections.forEach((block) => {
+        expect(block.text.text.split('\n').length % 4).toBe(0);
+      });
+    });
+
+    test('should split every user list across sections', () => {
+      const people = Array.from({ length: 120 }, (_, index) => ({
+        id: index,
+        slackMention: `<@U0000${index}> Firstname Lastname`,
+        slackUser: `<@U0000${index}> (Hours logged: 5)`,
+        unsubmittedEntries: 12,
+        unsubmittedHours: 40,
+        totalHours: 40,
+        billableHours: 10,
+        billablePercentage: 25,
+        billableTarget: 80,
+        totalEntries: 20,
+        onTimeEntries: 10,
+        onTimePercentage: 50,
+        unsubmittedExpenses: 2,
+        missingReceipts: 1,
+        runningTimers: [
+          { projectName: 'Website', taskName: 'Development', elapsedHours: 16, startedAt: '2024-01-15T17:00:00Z' },
+        ],
+      }));
+      const messages = [
+        createDailyReminderMessage(people, '2024-01-15'),
+        createUnsubmittedTimesheetMessage(people, '2024-01-08', '2024-01-14'),
+        createRunningTimerMessage(people),
+        createBillableUtilisationMessage(people, '2024-01-15', '2024-01-19'),
+        createLateLoggingMessage(people, '2024-01-15', '2024-01-19'),
+        createExpenseReminderMessage(people, '2024-01-01', '2024-01-31'),
+        createEscalationMessage(
+          people.map((person) => ({
+            user: { id: person.id, first_name: 'Firstname', last_name: `Lastname ${person.id}` },
+            notificationType: 'daily',
+            streak: 3,
+            projects: ['Website'],
+            misses: [{ from: '2024-01-15', to: '2024-01-15', totalHours: 0 }],
+          }))
+        ),
+      ];
+
+      messages.forEach((blocks) => {
+        const listSections = blocks.filter((block) => block.text?.text.startsWith('• '));
+        expect(listSections.length).toBeGreaterThan(1);
+        listSections.forEach((block) => {
+          expect(block.text.text.length).toBeLessThanOrEqual(3000);
+        });
+      });
+    });
+
+    test('should split weekly user lists the same way', () => {
+      const result = createWeeklyReminderMessage(users, '2024-01-15', '2024-01-19');
+
+      result.forEach((block) => {
+        expect(block.text?.text?.length || 0).toBeLessThanOrEqual(3000);
+      });
+      expect(result.filter((block) => block.text?.text.startsWith('• ')).length).toBeGreaterThan(1);
+    });
+  });
+
+  describe('createUnsubmittedTimesheetMessage', () => {
+    const mockUnsubmittedUsers = [
+      {
+        id: 1,
+        first_name: 'John',
+        last_name: 'Doe',
+        slackMention: '<@U123456>',
+        unsubmittedEntries: 4,
+        unsubmittedHours: 30,
+      },
+      {
+        id: 2,
+        first_name: 'Jane',
+        last_name: 'Smith',
+        slackMention: 'Jane Smith',
+        unsubmittedEntries: 1,
+        unsubmittedHours: 7.5,
+      },
+    ];
+
+    test('should create unsubmitted timesheet message with users', () => {
+      const result = createUnsubmittedTimesheetMessage(
+        mockUnsubmittedUsers,
+        '2024-01-08',
+        '2024-01-14'
+      );
+
+      expect(result).toHaveLength(5);
+      expect(result[1].text.text).toBe(
+        "We noticed that the following people haven't submitted their timesheet for January 8th 2024 to January 14th 2024:"
+      );
+      expect(result[2].text.text).toBe(
+        '• <@U123456> (Unsubmitted: 4 entries, 30 hours)\n• Jane Smith (Unsubmitted: 1 entries, 7.5 hours)'
+      );
+      expect(result[4].elements[0].value).toBe('submit_timesheet');
+    });
+
+    test('should handle empty users array', () => {
+      const result = createUnsubmittedTimesheetMessage([], '2024-01-08', '2024-01-14');
+
+      expect(result).toHaveLength(5);
+      expect(result[2].text.text).toBe('• ');
+    });
+
+    test('should log function entry and exit', () => {
+      createUnsubmittedTimesheetMessage(mockUnsubmittedUsers, '2024-01-08', '2024-01-14');
+
+      expect(Logger.functionEntry).toHaveBeenCalledWith('createUnsubmittedTimesheetMessage', {
+        usersToNotifyCount: 2,
+        timeSheetDateToCheckFrom: '2024-01-08',
+        timeSheetDateToCheckTo: '2024-01-14',
+      });
+      expect(Logger.functionExit).toHaveBeenCalledWith('createUnsubmittedTimesheetMessage', {
+        blocksCount: 5,
+      });
+    });
+  });
+
+  describe('createRunningTimerMessage', () => {
+    const mockTimerUsers = [
+      {
+        id: 1,
+        slackMention: '<@U123456>',
+        runningTimers: [
+          {
+            projectName: 'Website',
+            taskName: 'Development',
+            startedAt: '2024-01-15T09:00:00',
+            elapsedHours: 24.5,
+          },
+          {
+            projectName: 'Internal',
+            taskName: 'Meetings',
+            startedAt: '2024-01-16T08:00:00',
+            elapsedHours: 11,
+          },
+        ],
+      },
+    ];
+
+    test('should list every flagged timer with project, task and elapsed time', () => {
+      const result = createRunningTimerMessage(mockTimerUsers);
+
+      expect(result).toHaveLength(5);
+      expect(result[2].text.text).toBe(
+        '• <@U123456> - Website / Development (running for 24.5 hours since January 15th 2024 9:00 AM)\n' +
+          '• <@U123456> - Internal / Meetings (running for 11 hours since January 16th 2024 8:00 AM)'
+      );
+      expect(result[4].elements[0].value).toBe('stop_timer');
+    });
+
+    test('should handle null users', () => {
+      const result = createRunningTimerMessage(null);
+
+      expect(result).toHaveLength(5);
+      expect(result[2].text.text).toBe('• ');
+    });
+
+    test('should log function entry and exit', () => {
+      createRunningTimerMessage(mockTimerUsers);
+
+      expect(Logger.functionEntry).toHaveBeenCalledWith('createRunningTimerMessage', {
+        usersToNotifyCount: 1,
+      });
+      expect(Logger.functionExit).toHaveBeenCalledWith('createRunningTimerMessage', {
+        blocksCount: 5,
+      });
+    });
+  });
+
+  describe('createBillableUtilisationMessage', () => {
+    const mockBillableUsers = [
+      {
+        id: 1,
+        slackMention: '<@U123456>',
+        totalHours: 40,
+        billableHours: 20,
+        billablePercentage: 50,
+        billableTarget: 80,
+      },
+    ];
+
+    test('should show logged vs billable hours against the target', () => {
+      const result = createBillableUtilisationMessage(mockBillableUsers, '2024-01-15', '2024-01-19');
+
+      expect(result).toHaveLength(5);
+      expect(result[1].text.text).toBe(
+        'The following people are below their billable target between January 15th 2024 and January 19th 2024:'
+      );
+      expect(result[2].text.text).toBe(
+        '• <@U123456> (Logged: 40 hours, Billable: 20 hours, 50% of 80% target)'
+      );
+    });
+
+    test('should log function entry and exit', () => {
+      createBillableUtilisationMessage(mockBillableUsers, '2024-01-15', '2024-01-19');
+
+      expect(Logger.functionEntry).toHaveBeenCalledWith('createBillableUtilisationMessage', {
+        usersToNotifyCount: 1,
+        timeSheetDateToCheckFrom: '2024-01-15',
+        timeSheetDateToCheckTo: '2024-01-19',
+      });
+      expect(Logger.functionExit).toHaveBeenCalledWith('createBillableUtilisationMessage', {
+        blocksCount: 5,
+      });
+    });
+  });
+
+  describe('createLateLoggingMessage', () => {
+    const mockLateUsers = [
+      { id: 1, slackMention: '<@U123456>', totalEntries: 4, onTimeEntries: 2, onTimePercentage: 50 },
+    ];
+
+    test('should show on-time entries per user', () => {
+      const result = createLateLoggingMessage(mockLateUsers, '2024-01-15', '2024-01-19');
+
+      expect(result).toHaveLength(5);
+      expect(result[1].text.text).toBe(
+        'The following people logged some of their time after the day it was spent between January 15th 2024 and January 19th 2024:'
+      );
+      expect(result[2].text.text).toBe('• <@U123456> (Logged on time: 2 of 4 entries, 50%)');
+      expect(result[4].elements[0].value).toBe('report_time');
+    });
+
+    test('should log function entry and exit', () => {
+      createLateLoggingMessage(mockLateUsers, '2024-01-15', '2024-01-19');
+
+      expect(Logger.functionEntry).toHaveBeenCalledWith('createLateLoggingMessage', {
+        usersToNotifyCount: 1,
+        timeSheetDateToCheckFrom: '2024-01-15',
+        timeSheetDateToCheckTo: '2024-01-19',
+      });
+      expect(Logger.functionExit).toHaveBeenCalledWith('createLateLoggingMessage', {
+        blocksCount: 5,
+      });
+    });
+  });
+
+  describe('createBudgetAlertMessage', () => {
+    const mockBudgetAlert = {
+      project_id: 11,
+      project_name: 'Website',
+      client_name: 'Acme',
+      budget_by: 'project',
+      budget_is_monthly: false,
+      budget: 100,
+      budget_spent: 92.456,
+      budget_remaining: 7.544,
+      budgetPercentage: 92,
+      threshold: 90,
+    };
+
+    test('should show hours spent and remaining for hour budgets', () => {
+      const result = createBudgetAlertMessage(mockBudgetAlert);
+
+      expect(result).toHaveLength(5);
+      expect(result[1].text.text).toBe('*Acme - Website* has used 90% of its budget:');
+      expect(result[2].text.text).toBe(
+        '• Spent: 92.46 of 100 hours (92%)\n• Remaining: 7.54 hours'
+      );
+      expect(result[4].elements[0].url).toBe('https://harvestapp.com/projects/11');
+    });
+
+    test('should show amounts for monthly cost budgets', () => {
+      const result = createBudgetAlertMessage({
+        ...mockBudgetAlert,
+        budget_by: 'project_cost',
+        budget_is_monthly: true,
+        budget: 5000,
+        budget_spent: 5000,
+        budget_remaining: 0,
+        budgetPercentage: 100,
+        threshold: 100,
+      });
+
+      expect(result[1].text.text).toBe('*Acme - Website* has used 100% of its monthly budget:');
+      expect(result[2].text.text).toBe('• Spent: 5000 of 5000 (100%)\n• Remaining: 0');
+    });
+  });
+
+  describe('createExpenseReminderMessage', () => {
+    const mockExpenseUsers = [
+      { id: 1, slackMention: '<@U123456>', unsubmittedExpenses: 2, missingReceipts: 1 },
+      { id: 2, slackMention: 'Jane Smith', unsubmittedExpenses: 0, missingReceipts: 3 },
+    ];
+
+    test('should list each user with their expense issues', () => {
+      const result = createExpenseReminderMessage(mockExpenseUsers, '2024-01-01', '2024-01-31');
+
+      expect(result).toHaveLength(5);
+      expect(result[1].text.text).toBe(
+        'The following people have expenses between January 1st 2024 and January 31st 2024 that are not submitted or are missing a receipt:'
+      );
+      expect(result[2].text.text).toBe(
+        '• <@U123456> (Unsubmitted: 2 expenses, Missing receipts: 1)\n• Jane Smith (Missing receipts: 3)'
+      );
+      expect(result[4].elements[0]).toMatchObject({
+        value: 'submit_expenses',
+        url: 'https://harvestapp.com/expenses',
+      });
+    });
+
+    test('should log function entry and exit', () => {
+      createExpenseReminderMessage(mockExpenseUsers, '2024-01-01', '2024-01-31');
+
+      expect(Logger.functionExit).toHaveBeenCalledWith('createExpenseReminderMessage', {
+        blocksCount: 5,
+      });
+    });
+  });
+
+  describe('createUninvoicedReportMessage', () => {
+    const mockClients = [
+      {
+        clientName: 'Globex',
+        currency: 'EUR',
+        uninvoicedHours: 20,
+        uninvoicedExpenses: 0,
+        uninvoicedAmount: 2000,
+      },
+      {
+        clientName: 'Acme',
+        currency: 'USD',
+        uninvoicedHours: 14.5,
+        uninvoicedExpenses: 100,
+        uninvoicedAmount: 1550.5,
+      },
+    ];
+
+    test('should render uninvoiced work per client as an aligned table', () => {
+      const result = createUninvoicedReportMessage(mockClients, '2024-01-01', '2024-01-31');
+
+      expect(result).toHaveLength(5);
+      expect(result[1].text.text).toBe(
+        'Uninvoiced work per client between January 1st 2024 and January 31st 2024:'
+      );
+      expect(result[2].text.text).toBe(
+        '```' +
+          'Client  Hours  Expenses        Amount\n' +
+          'Globex     20      0.00  2,000.00 EUR\n' +
+          'Acme     14.5    100.00  1,550.50 USD' +
+          '```'
+      );
+      expect(result[3].text.text).toBe('*Total uninvoiced:* 2,000.00 EUR, 1,550.50 USD');
+      expect(result[4].elements[0].url).toBe('https://harvestapp.com/reports/uninvoiced');
+    });
+
+    test('should split long client lists across several sections', () => {
+      const manyClients = Array.from({ length: 30 }, (_, i) => ({
+        ...mockClients[1],
+        clientName: `Client ${i + 1}`,
+      }));
+
+      const result = createUninvoicedReportMessage(manyClients, '2024-01-01', '2024-01-31');
+
+      expect(result).toHaveLength(6);
+      expect(result[2].text.text.split('\n')).toHaveLength(26);
+      expect(result[3].text.text.split('\n')).toHaveLength(6);
+      expect(result[3].text.text).toContain('Client 30');
+    });
+  });
+
+  describe('createTimesheetHygieneMessage', () => {
+    const mockHygieneUsers = [
+      {
+        id: 1,
+        slackMention: '<@U123456>',
+        anomalies: [
+          { type: 'over-logging', date: '2024-01-15', hours: 24 },
+          { type: 'duplicate', date: '2024-01-16', count: 2, projectName: 'Website' },
+        ],
+      },
+      {
+        id: 2,
+        slackMention: 'Jane Smith',
+        anomalies: [
+          { type: 'missing-notes', date: '2024-01-17', projectName: 'Website' },
+          { type: 'future-date', date: '2024-02-01', projectName: 'Internal' },
+        ],
+      },
+    ];
+
+    test('should list each anomaly under its user', () => {
+      const result = createTimesheetHygieneMessage(mockHygieneUsers, '2024-01-15', '2024-01-19');
+
+      expect(result).toHaveLength(5);
+      expect(result[2].text.text).toBe(
+        '• <@U123456>\n' +
+          '    ◦ Mon Jan 15th: 24 hours logged in one day\n' +
+          '    ◦ Tue Jan 16th: 2 identical entries on Website\n' +
+          '• Jane Smith\n' +
+          '    ◦ Wed Jan 17th: entry without notes on Website\n' +
+          '    ◦ Thu Feb 1st: entry dated in the future on Internal'
+      );
+      expect(result[4].elements[0].value).toBe('fix_entries');
+    });
+
+    test('should group entries without notes per project', () => {
+      const anomalies = Array.from({ length: 12 }, (_, day) => ({
+        type: 'missing-notes',
+        date: moment('2024-01-01').add(day, 'days').format('YYYY-MM-DD'),
+        projectName: 'Website',
+      }));
+      anomalies.push({ type: 'missing-notes', date: '2024-01-05', projectName: 'Internal' });
+
+      const result = createTimesheetHygieneMessage(
+        [{ id: 1, slackMention: '<@U123456>', anomalies }],
+        '2024-01-01',
+        '2024-01-31'
+      );
+
+      expect(result[2].text.text).toBe(
+        '• <@U123456>\n' +
+          '    ◦ Mon Jan 1st to Fri Jan 12th: 12 entries without notes on Website\n' +
+          '    ◦ Fri Jan 5th: entry without notes on Internal'
+      );
+    });
+
+    test('should split long anomaly lists across sections', () => {
+      const users = Array.from({ length: 40 }, (_, index) => ({
+        id: index,
+        slackMention: `<@U${index}>`,
+        anomalies: Array.from({ length: 5 }, (__, day) => ({
+          type: 'duplicate',
+          date: moment('2024-01-01').add(day, 'days').format('YYYY-MM-DD'),
+          count: 2,
+          projectName: 'Website',
+        })),
+      }));
+
+      const result = createTimesheetHygieneMessage(users, '2024-01-01', '2024-01-31');
+      const listSections = result.slice(2, -2);
+
+      expect(listSections.length).toBeGreaterThan(1);
+      listSections.forEach((block) => {
+        expect(block.text.text.length).toBeLessThanOrEqual(3000);
+      });
+      expect(result[result.length - 1].elements[0].value).toBe('fix_entries');
+    });
+  });
+
+  describe('createEscalationMessage', () => {
+    const mockEscalations = [
+      {
+        user: { id: 1, first_name: 'John', last_name: 'Doe' },
+        notificationType: 'daily',
+        streak: 3,
+        projects: ['Website', 'Internal'],
+        misses: [
+          { from: '2024-01-15', to: '2024-01-15', totalHours: 0 },
+          { from: '2024-01-16', to: '2024-01-16', totalHours: 4 },
+        ],
+      },
+      {
+        user: { id: 2, first_name: 'Jane', last_name: 'Smith' },
+        notificationType: 'weekly',
+        streak: 2,
+        projects: [],
+        misses: [{ from: '2024-01-08', to: '2024-01-12', totalHours: 24 }],
+      },
+    ];
+
+    test('should list each person with their missed checks', () => {
+      const result = createEscalationMessage(mockEscalations);
+
+      expect(result).toHaveLength(5);
+      expect(result[2].text.text).toBe(
+        '• *John Doe* missed 3 daily checks in a row (Website, Internal)\n' +
+          '    ◦ Mon Jan 15th: 0 hours logged\n' +
+          '    ◦ Tue Jan 16th: 4 hours logged\n' +
+          '• *Jane Smith* missed 2 weekly checks in a row\n' +
+          '    ◦ Jan 8th - Jan 12th: 24 hours logged'
+      );
+      expect(result[4].elements[0].url).toBe('https://harvestapp.com/team');
+    });
+
+    test('should handle null escalations', () => {
+      const result = createEscalationMessage(null);
+
+      expect(result).toHaveLength(5);
+      expect(result[2].text.text).toBe('• ');
+    });
+  });
+
+  describe('createHarvestErrorAlertMessage', () => {
+    test('should show the failed request and the hint', () => {
+      const error = {
+        message: 'Harvest API request GET /v2/users/me failed with status 401',
+        status: 401,
+        endpoint: 'GET /v2/users/me',
+      };
+
+      const result = createHarvestErrorAlertMessage(error, 'Check HARVEST_TOKEN.');
+
+      expect(result).toHaveLength(5);
+      expect(result[1].text.text).toBe(
+        '• Error: Harvest API request GET /v2/users/me failed with status 401\n' +
+          '• Endpoint: GET /v2/users/me\n' +
+          '• Status: 401'
+      );
+      expect(result[2].text.text).toBe('Check HARVEST_TOKEN.');
+    });
+
+    test('should name the account and the reminders that were not sent', () => {
+      const result = createHarvestErrorAlertMessage(
+        { message: 'failed', status: 500, endpoint: 'GET /v2/reports/time/team' },
+        'Try again later.',
+        { accountName: 'Sleeq UK', sentNotifications: ['daily'], skippedNotifications: ['weekly', 'budget'] }
+      );
+
+      expect(result[0].text.text).toBe(
+        '*:rotating_light: Harvest Notifier stopped while checking Sleeq UK.*\n' +
+          '• Not sent: weekly, budget\n' +
+          '• Already sent: daily'
+      );
+    });
+
+    test('should not claim which reminders were skipped without a run', () => {
+      const result = createHarvestErrorAlertMessage({ message: 'failed' }, 'Try again later.');
+
+      expect(result[0].text.text).toBe('*:rotating_light: Harvest Notifier could not run.*');
+    });
+
+    test('should describe timeouts without a status', () => {
+      const result = createHarvestErrorAlertMessage(
+        { message: 'timed out', status: null, endpoint: 'GET /v2/company' },
+        'Harvest did not respond in time.'
+      );
+
+      expect(result[1].text.text).toContain('• Status: no response');
+    });
+  });
+
+  describe('createAccountContextBlock', () => {
+    test('should name the Harvest account', () => {
+      expect(createAccountContextBlock('Sleeq UK')).toEqual({
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: ':office: Harvest account: *Sleeq UK*' }],
+      });
+    });
+  });
+
   describe('Template Consistency', () => {
     test('should have consistent structure across all templates', () => {
       const timeSheetDateToCheck = '2024-01-15';
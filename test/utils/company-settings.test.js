@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Tests for Harvest company settings
+ *
+ * Tests loading the company settings and applying the week start day and
+ * time format to week boundaries and hour formatting.
+ *
+ * @author tiaan.swart@sleeq.global
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import moment from 'moment';
+import { getHarvestCompany } from '../../utils/harvest-api.js';
+import {
+  loadCompanySettings,
+  getCompanySettings,
+  resetCompanySettings,
+  getWeekStart,
+  formatHours,
+} from '../../utils/company-settings.js';
+
+vi.mock('../../utils/harvest-api.js');
+vi.mock('../../utils/logger.js');
+
+describe('Company Settings', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    resetCompanySettings();
+  });
+
+  describe('loadCompanySettings', () => {
+    test('should use the week start day and time format of the Harvest company', async () => {
+      getHarvestCompany.mockResolvedValue({ week_start_day: 'Sunday', time_format: 'hours_minutes' });
+
+      await loadCompanySettings('test-account-id', 'test-token');
+
+      expect(getHarvestCompany).toHaveBeenCalledWith('test-account-id', 'test-token');
+      expect(getCompanySettings()).toEqual({ weekStartDay: 'Sunday', timeFormat: 'hours_minutes' });
+    });
+
+    test('should keep the defaults for missing settings', async () => {
+      getHarvestCompany.mockResolvedValue({ week_start_day: null });
+
+      await loadCompanySettings('test-account-id', 'test-token');
+
+      expect(getCompanySettings()).toEqual({ weekStartDay: 'Monday', timeFormat: 'decimal' });
+    });
+  });
+
+  describe('getWeekStart', () => {
+    test('should start weeks on Monday by default', () => {
+      expect(getWeekStart(moment('2024-01-19')).format('YYYY-MM-DD')).toBe('2024-01-15');
+      expect(getWeekStart(moment('2024-01-21')).format('YYYY-MM-DD')).toBe('2024-01-15');
+    });
+
+    test('should follow the company week start day', async () => {
+      getHarvestCompany.mockResolvedValue({ week_start_day: 'Saturday' });
+      await loadCompanySettings('test-account-id', 'test-token');
+
+      expect(getWeekStart(moment('2024-01-19')).format('YYYY-MM-DD')).toBe('2024-01-13');
+      expect(getWeekStart(moment('2024-01-20')).format('YYYY-MM-DD')).toBe('2024-01-20');
+    });
+  });
+
+  describe('formatHours', () => {
+    test('should round decimal hours to two decimals', () => {
+      expect(formatHours(7.499999)).toBe('7.5');
+      expect(formatHours(8)).toBe('8');
+      expect(formatHours(undefined)).toBe('0');
+    });
+
+    test('should format hours and minutes when the company uses that format', async () => {
+      getHarvestCompany.mockResolvedValue({ time_format: 'hours_minutes' });
+      await loadCompanySettings('test-account-id', 'test-token');
+
+      expect(formatHours(7.5)).toBe('7:30');
+      expect(formatHours(0.999)).toBe('1:00');
+      expect(formatHours(0.25)).toBe('0:15');
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Tests for Harvest Forecast API utilities
+ *
+ * Tests the Forecast client headers and base URL and the people, project and
+ * assignment fetching functions.
+ *
+ * @author tiaan.swart@sleeq.global
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import fetch from 'node-fetch';
+import {
+  getForecastPeople,
+  getForecastProjects,
+  getForecastAssignments,
+  ForecastClient,
+} from '../../utils/forecast-api.js';
+import { HarvestApiError } from '../../utils/harvest-client.js';
+import Logger from '../../utils/logger.js';
+
+// Mock dependencies
+vi.mock('node-fetch');
+vi.mock('../../utils/logger.js');
+
+describe('Forecast API', () => {
+  const mockAccountId = 'forecast-account-id';
+  const mockToken = 'test-token';
+
+  const okResponse = (body) => ({
+    ok: true,
+    status: 200,
+    json: vi.fn().mockResolvedValue(body),
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    delete process.env.FORECAST_BASE_URL;
+    delete process.env.HARVEST_BASE_URL;
+  });
+
+  describe('ForecastClient', () => {
+    test('should use the Forecast base URL and account header', () => {
+      process.env.HARVEST_BASE_URL = 'http://localhost:4010';
+
+      const client = new ForecastClient({ accountId: '123', token: 'secret' });
+
+      expect(client.baseUrl).toBe('https://api.forecastapp.com');
+      expect(client.headers).toEqual({
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        'User-Agent': 'Harvest Notifier (https://github.com/tiaanswart/harvest-notifier)',
+        'Forecast-Account-ID': '123',
+        Authorization: 'Bearer secret',
+      });
+    });
+
+    test('should read the base URL from FORECAST_BASE_URL', () => {
+      process.env.FORECAST_BASE_URL = 'http://localhost:4020/';
+
+      const client = new ForecastClient({ accountId: '123', token: 'secret' });
+
+      expect(client.baseUrl).toBe('http://localhost:4020');
+    });
+  });
+
+  describe('getForecastPeople', () => {
+    test('should fetch people and skip archived people', async () => {
+      fetch.mockResolvedValue(
+        okResponse({
+          people: [
+            { id: 10, harvest_user_id: 1, archived: false },
+            { id: 11, harvest_user_id: 2, archived: true },
+          ],
+        })
+      );
+
+      const result = await getForecastPeople(mockAccountId, mockToken);
+
+      expect(result).toEqual([{ id: 10, harvest_user_id: 1, archived: false }]);
+      expect(fetch).toHaveBeenCalledWith(
+        'https://api.forecastapp.com/people',
+        expect.objectContaining({
+          headers: expect.objectContaining({ 'Forecast-Account-ID': mockAccountId }),
+        })
+      );
+      expect(Logger.apiRequest).toHaveBeenCalledWith('Forecast', 'GET /people', {
+        accountId: mockAccountId,
+      });
+    });
+
+    test('should throw HarvestApiError naming Forecast when the request fails', async () => {
+      fetch.mockResolvedValue({
+        ok: false,
+        status: 401,
+        headers: { get: () => null },
+        json: vi.fn().mockResolvedValue({ reason: 'non-existent-token' }),
+      });
+
+      const error = await getForecastPeople(mockAccountId, mockToken).catch((e) => e);
+
+      expect(error).toBeInstanceOf(HarvestApiError);
+      expect(error.message).toBe('Forecast API request GET /people failed with status 401');
+    });
+  });
+
+  describe('getForecastProjects', () => {
+    test('should fetch projects', async () => {
+      fetch.mockResolvedValue(okResponse({ projects: [{ id: 1, name: 'Time Off' }] }));
+
+      const result = await getForecastProjects(mockAccountId, mockToken);
+
+      expect(result).toEqual([{ id: 1, name: 'Time Off' }]);
+      expect(fetch).toHaveBeenCalledWith('https://api.forecastapp.com/projects', expect.any(Object));
+    });
+  });
+
+  describe('getForecastAssignments', () => {
+    test('should fetch assignments overlapping the date range', async () => {
+      const assignments = [
+        { id: 1, person_id: 10, start_date: '2024-01-15', end_date: '2024-01-19', allocation: 14400 },
+      ];
+      fetch.mockResolvedValue(okResponse({ assignments }));
+
+      const result = await getForecastAssignments(mockAccountId, mockToken, '2024-01-15', '2024-01-19');
+
+      expect(result).toEqual(assignments);
+      expect(fetch).toHaveBeenCalledWith(
+        'https://api.forecastapp.com/assignments?start_date=2024-01-15&end_date=2024-01-19',
+        expect.any(Object)
+      );
+    });
+
+    test('should return an empty array when the response has no assignments', async () => {
+      fetch.mockResolvedValue(okResponse({}));
+
+      const result = await getForecastAssignments(mockAccountId, mockToken, '2024-01-15', '2024-01-19');
+
+      expect(result).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Tests for Harvest account credentials
+ *
+ * Tests reading the accounts from HARVEST_ACCOUNTS or the single account
+ * variables, the active account and the per-account state namespaces.
+ *
+ * @author tiaan.swart@sleeq.global
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import {
+  getHarvestAccounts,
+  useHarvestAccount,
+  getHarvestAccount,
+  getAccountStateNamespace,
+} from '../../utils/harvest-accounts.js';
+
+describe('Harvest Accounts', () => {
+  beforeEach(() => {
+    useHarvestAccount(null);
+    process.env.HARVEST_ACCOUNT_ID = 'test-account-id';
+    process.env.HARVEST_TOKEN = 'test-token';
+    delete process.env.HARVEST_ACCOUNTS;
+    delete process.env.FORECAST_ACCOUNT_ID;
+    delete process.env.HARVEST_OAUTH_CLIENT_ID;
+    delete process.env.HARVEST_OAUTH_CLIENT_SECRET;
+  });
+
+  describe('getHarvestAccounts', () => {
+    test('should use the single account variables without HARVEST_ACCOUNTS', () => {
+      process.env.FORECAST_ACCOUNT_ID = 'forecast-id';
+
+      expect(getHarvestAccounts()).toEqual([
+        { name: null, accountId: 'test-account-id', token: 'test-token', forecastAccountId: 'forecast-id' },
+      ]);
+    });
+
+    test('should read the accounts from HARVEST_ACCOUNTS', () => {
+      process.env.FORECAST_ACCOUNT_ID = 'forecast-id';
+      process.env.HARVEST_ACCOUNTS = JSON.stringify([
+        { name: 'Sleeq UK', accountId: '111', token: 'uk-token', forecastAccountId: 'uk-forecast' },
+        { accountId: 222, token: 'nz-token' },
+      ]);
+
+      expect(getHarvestAccounts()).toEqual([
+        { name: 'Sleeq UK', accountId: '111', token: 'uk-token', forecastAccountId: 'uk-forecast' },
+        { name: '222', accountId: '222', token: 'nz-token', forecastAccountId: 'forecast-id' },
+      ]);
+    });
+
+    test.each([
+      ['not json', 'HARVEST_ACCOUNTS is not valid JSON'],
+      ['[]', 'HARVEST_ACCOUNTS must be a non-empty JSON array of accounts'],
+      ['{"accountId": "111"}', 'HARVEST_ACCOUNTS must be a non-empty JSON array of accounts'],
+      ['[{"accountId": "111"}]', 'HARVEST_ACCOUNTS entry 1 needs an accountId and a token'],
+    ])('should reject %s', (value, message) => {
+      process.env.HARVEST_ACCOUNTS = value;
+
+      expect(() => getHarvestAccounts()).toThrow(message);
+    });
+
+    test('should not need tokens when Harvest OAuth2 is configured', () => {
+      process.env.HARVEST_OAUTH_CLIENT_ID = 'client-id';
+      process.env.HARVEST_OAUTH_CLIENT_SECRET = 'client-secret';
+      process.env.HARVEST_ACCOUNTS = '[{"name": "Sleeq UK", "accountId": "111"}]';
+
+      expect(getHarvestAccounts()).toEqual([
+        { name: 'Sleeq UK', accountId: '111', token: undefined, forecastAccountId: undefined },
+      ]);
+    });
+  });
+
+  describe('getHarvestAccount', () => {
+    test('should default to the first configured account', () => {
+      expect(getHarvestAccount()).toMatchObject({ accountId: 'test-account-id', token: 'test-token' });
+    });
+
+    test('should return the account in use', () => {
+      const account = { name: 'Sleeq NZ', accountId: '222', token: 'nz-token' };
+
+      useHarvestAccount(account);
+
+      expect(getHarvestAccount()).toBe(account);
+    });
+  });
+
+  describe('getAccountStateNamespace', () => {
+    test('should keep the plain namespace for a single account', () => {
+      expect(getAccountStateNamespace('budgetAlerts')).toBe('budgetAlerts');
+    });
+
+    test('should add the account ID for accounts from HARVEST_ACCOUNTS', () => {
+      process.env.HARVEST_ACCOUNTS = '[{"accountId": "111", "token": "uk-token"}]';
+
+      expect(getAccountStateNamespace('budgetAlerts')).toBe('budgetAlerts:111');
+    });
+  });
+});
@@ -8,13 +8,28 @@
  * @license MIT
  */
 
-import { describe, test, expect, beforeEach, vi } from 'vitest';
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
 import fetch from 'node-fetch';
-import { getHarvestUsers, getHarvestTeamTimeReport } from '../../utils/harvest-api.js';
+import {
+  getHarvestCompany,
+  getHarvestCurrentUser,
+  getHarvestUsers,
+  getHarvestTeamTimeReport,
+  iterateHarvestTeamTimeReport,
+  getHarvestTimeEntries,
+  getHarvestRunningTimeEntries,
+  getHarvestUserAssignments,
+  getHarvestProjectBudgetReport,
+  getHarvestExpenses,
+  getHarvestUninvoicedReport,
+  HarvestApiError,
+} from '../../utils/harvest-api.js';
+import { isHarvestOAuthConfigured, getHarvestOAuthToken } from '../../utils/harvest-oauth.js';
 import Logger from '../../utils/logger.js';
 
 // Mock dependencies
 vi.mock('node-fetch');
+vi.mock('../../utils/harvest-oauth.js');
 vi.mock('../../utils/logger.js');
 
 describe('Harvest API', () => {
@@ -35,6 +50,8 @@ describe('Harvest API', () => {
   describe('getHarvestUsers', () => {
     test('should fetch and filter active users successfully', async () => {
       const mockResponse = {
+        ok: true,
+        status: 200,
         json: vi.fn().mockResolvedValue({
           users: [
             {
@@ -66,14 +83,16 @@ describe('Harvest API', () => {
 
       const result = await getHarvestUsers(mockAccountId, mockToken);
 
-      expect(fetch).toHaveBeenCalledWith('https://api.harvestapp.com/v2/users', {
+      expect(fetch).toHaveBeenCalledWith('https://api.harvestapp.com/v2/users?per_page=100', {
         method: 'get',
         headers: {
           'Content-Type': 'application/json',
           Accept: 'application/json',
+          'User-Agent': 'Harvest Notifier (https://github.com/tiaanswart/harvest-notifier)',
           'Harvest-Account-Id': mockAccountId,
           Authorization: `Bearer ${mockToken}`,
         },
+        signal: expect.any(AbortSignal),
       });
 
       expect(result).toHaveLength(2);
@@ -87,6 +106,8 @@ describe('Harvest API', () => {
 
     test('should filter out excluded users', async () => {
       const mockResponse = {
+        ok: true,
+        status: 200,
         json: vi.fn().mockResolvedValue({
           users: [
             {
@@ -118,6 +139,8 @@ describe('Harvest API', () => {
 
     test('should handle multiple excluded users', async () => {
       const mockResponse = {
+        ok: true,
+        status: 200,
         json: vi.fn().mockResolvedValue({
           users: [
             {
@@ -156,6 +179,8 @@ describe('Harvest API', () => {
 
     test('should handle empty users array', async () => {
       const mockResponse = {
+        ok: true,
+        status: 200,
         json: vi.fn().mockResolvedValue({
           users: [],
         }),
@@ -170,6 +195,8 @@ describe('Harvest API', () => {
 
     test('should handle missing users property', async () => {
       const mockResponse = {
+        ok: true,
+        status: 200,
         json: vi.fn().mockResolvedValue({}),
       };
 
@@ -182,6 +209,8 @@ describe('Harvest API', () => {
 
     test('should handle API error', async () => {
       const mockResponse = {
+        ok: true,
+        status: 200,
         json: vi.fn().mockRejectedValue(new Error('API Error')),
       };
 
@@ -196,8 +225,92 @@ describe('Harvest API', () => {
       await expect(getHarvestUsers(mockAccountId, mockToken)).rejects.toThrow('Network Error');
     });
 
+    test('should follow links.next across all pages', async () => {
+      fetch
+        .mockResolvedValueOnce({
+          ok: true,
+          status: 200,
+          json: vi.fn().mockResolvedValue({
+            users: [
+              { id: 1, first_name: 'John', email: 'john@example.com', is_active: true },
+              { id: 2, first_name: 'Jane', email: 'jane@example.com', is_active: true },
+            ],
+            next_page: 2,
+            links: { next: 'https://api.harvestapp.com/v2/users?page=2&per_page=2' },
+          }),
+        })
+        .mockResolvedValueOnce({
+          ok: true,
+          status: 200,
+          json: vi.fn().mockResolvedValue({
+            users: [{ id: 3, first_name: 'Bob', email: 'bob@example.com', is_active: true }],
+            next_page: null,
+            links: { next: null },
+          }),
+        });
+
+      const result = await getHarvestUsers(mockAccountId, mockToken, undefined, 2);
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(fetch).toHaveBeenNthCalledWith(
+        1,
+        'https://api.harvestapp.com/v2/users?per_page=2',
+        expect.any(Object)
+      );
+      expect(fetch).toHaveBeenNthCalledWith(
+        2,
+        'https://api.harvestapp.com/v2/users?page=2&per_page=2',
+        expect.any(Object)
+      );
+      expect(result.map((user) => user.id)).toEqual([1, 2, 3]);
+    });
+
+    test('should fall back to next_page when links are missing', async () => {
+      fetch
+        .mockResolvedValueOnce({
+          ok: true,
+          status: 200,
+          json: vi.fn().mockResolvedValue({
+            users: [{ id: 1, first_name: 'John', email: 'john@example.com', is_active: true }],
+            next_page: 2,
+          }),
+        })
+        .mockResolvedValueOnce({
+          ok: true,
+          status: 200,
+          json: vi.fn().mockResolvedValue({
+            users: [{ id: 2, first_name: 'Jane', email: 'jane@example.com', is_active: true }],
+            next_page: null,
+          }),
+        });
+
+      const result = await getHarvestUsers(mockAccountId, mockToken);
+
+      expect(fetch).toHaveBeenNthCalledWith(
+        2,
+        'https://api.harvestapp.com/v2/users?per_page=100&page=2',
+        expect.any(Object)
+      );
+      expect(result).toHaveLength(2);
+    });
+
+    test('should use HARVEST_PAGE_SIZE when per page is not provided', async () => {
+      process.env.HARVEST_PAGE_SIZE = '500';
+      fetch.mockResolvedValue({ ok: true, status: 200, json: vi.fn().mockResolvedValue({ users: [] }) });
+
+      await getHarvestUsers(mockAccountId, mockToken);
+
+      expect(fetch).toHaveBeenCalledWith(
+        'https://api.harvestapp.com/v2/users?per_page=500',
+        expect.any(Object)
+      );
+      delete process.env.HARVEST_PAGE_SIZE;
+    });
+
     test('should log API request and response', async () => {
       const mockResponse = {
+        ok: true,
+        status: 200,
         json: vi.fn().mockResolvedValue({
           users: [
             {
@@ -218,7 +331,7 @@ describe('Harvest API', () => {
       expect(Logger.apiRequest).toHaveBeenCalledWith('Harvest', 'GET /v2/users', {
         accountId: mockAccountId,
       });
-      expect(Logger.apiResponse).toHaveBeenCalledWith('Harvest', undefined, {
+      expect(Logger.apiResponse).toHaveBeenCalledWith('Harvest', 200, {
         usersCount: 1,
       });
     });
@@ -227,6 +340,8 @@ describe('Harvest API', () => {
   describe('getHarvestTeamTimeReport', () => {
     test('should fetch time reports successfully', async () => {
       const mockResponse = {
+        ok: true,
+        status: 200,
         json: vi.fn().mockResolvedValue({
           results: [
             {
@@ -253,15 +368,17 @@ describe('Harvest API', () => {
       );
 
       expect(fetch).toHaveBeenCalledWith(
-        `https://api.harvestapp.com/v2/reports/time/team?from=${mockDateFrom}&to=${mockDateTo}`,
+        `https://api.harvestapp.com/v2/reports/time/team?from=${mockDateFrom}&to=${mockDateTo}&per_page=100`,
         {
           method: 'get',
           headers: {
             'Content-Type': 'application/json',
             Accept: 'application/json',
+            'User-Agent': 'Harvest Notifier (https://github.com/tiaanswart/harvest-notifier)',
             'Harvest-Account-Id': mockAccountId,
             Authorization: `Bearer ${mockToken}`,
           },
+          signal: expect.any(AbortSignal),
         }
       );
 
@@ -277,6 +394,8 @@ describe('Harvest API', () => {
 
     test('should handle empty results array', async () => {
       const mockResponse = {
+        ok: true,
+        status: 200,
         json: vi.fn().mockResolvedValue({
           results: [],
         }),
@@ -296,6 +415,8 @@ describe('Harvest API', () => {
 
     test('should handle missing results property', async () => {
       const mockResponse = {
+        ok: true,
+        status: 200,
         json: vi.fn().mockResolvedValue({}),
       };
 
@@ -313,6 +434,8 @@ describe('Harvest API', () => {
 
     test('should handle API error', async () => {
       const mockResponse = {
+        ok: true,
+        status: 200,
         json: vi.fn().mockRejectedValue(new Error('API Error')),
       };
 
@@ -333,6 +456,8 @@ describe('Harvest API', () => {
 
     test('should log API request and response', async () => {
       const mockResponse = {
+        ok: true,
+        status: 200,
         json: vi.fn().mockResolvedValue({
           results: [
             {
@@ -353,13 +478,15 @@ describe('Harvest API', () => {
         dateFrom: mockDateFrom,
         dateTo: mockDateTo,
       });
-      expect(Logger.apiResponse).toHaveBeenCalledWith('Harvest', undefined, {
+      expect(Logger.apiResponse).toHaveBeenCalledWith('Harvest', 200, {
         resultsCount: 1,
       });
     });
 
     test('should handle different date formats', async () => {
       const mockResponse = {
+        ok: true,
+        status: 200,
         json: vi.fn().mockResolvedValue({
           results: [],
         }),
@@ -373,33 +500,440 @@ describe('Harvest API', () => {
       await getHarvestTeamTimeReport(mockAccountId, mockToken, customDateFrom, customDateTo);
 
       expect(fetch).toHaveBeenCalledWith(
-        `https://api.harvestapp.com/v2/reports/time/team?from=${customDateFrom}&to=${customDateTo}`,
+        `https://api.harvestapp.com/v2/reports/time/team?from=${customDateFrom}&to=${customDateTo}&per_page=100`,
         expect.any(Object)
       );
     });
   });
 
-  describe('Error Handling', () => {
-    test('should handle non-200 status codes', async () => {
-      const mockResponse = {
-        status: 401,
+  describe('getHarvestTimeEntries', () => {
+    test('should fetch time entries for the date range across pages', async () => {
+      fetch
+        .mockResolvedValueOnce({
+          ok: true,
+          status: 200,
+          json: vi.fn().mockResolvedValue({
+            time_entries: [{ id: 10, user: { id: 1 }, hours: 4 }],
+            links: { next: 'https://api.harvestapp.com/v2/time_entries?page=2' },
+          }),
+        })
+        .mockResolvedValueOnce({
+          ok: true,
+          status: 200,
+          json: vi.fn().mockResolvedValue({
+            time_entries: [{ id: 11, user: { id: 2 }, hours: 3 }],
+            links: { next: null },
+          }),
+        });
+
+      const result = await getHarvestTimeEntries(
+        mockAccountId,
+        mockToken,
+        mockDateFrom,
+        mockDateTo
+      );
+
+      expect(fetch).toHaveBeenNthCalledWith(
+        1,
+        `https://api.harvestapp.com/v2/time_entries?from=${mockDateFrom}&to=${mockDateTo}&per_page=100`,
+        expect.any(Object)
+      );
+      expect(result.map((entry) => entry.id)).toEqual([10, 11]);
+      expect(Logger.functionExit).toHaveBeenCalledWith('getHarvestTimeEntries', {
+        timeEntriesCount: 2,
+      });
+    });
+
+    test('should pass additional filters to Harvest', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: vi.fn().mockResolvedValue({ time_entries: [] }),
+      });
+
+      await getHarvestTimeEntries(mockAccountId, mockToken, mockDateFrom, mockDateTo, {
+        user_id: 42,
+      });
+
+      expect(fetch).toHaveBeenCalledWith(
+        `https://api.harvestapp.com/v2/time_entries?from=${mockDateFrom}&to=${mockDateTo}&user_id=42&per_page=100`,
+        expect.any(Object)
+      );
+    });
+
+    test('should use the given per page, then HARVEST_PAGE_SIZE', async () => {
+      process.env.HARVEST_PAGE_SIZE = '500';
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: vi.fn().mockResolvedValue({ time_entries: [] }),
+      });
+
+      await getHarvestTimeEntries(mockAccountId, mockToken, mockDateFrom, mockDateTo, {}, 50);
+      await getHarvestTimeEntries(mockAccountId, mockToken, mockDateFrom, mockDateTo);
+
+      expect(fetch).toHaveBeenNthCalledWith(
+        1,
+        `https://api.harvestapp.com/v2/time_entries?from=${mockDateFrom}&to=${mockDateTo}&per_page=50`,
+        expect.any(Object)
+      );
+      expect(fetch).toHaveBeenNthCalledWith(
+        2,
+        `https://api.harvestapp.com/v2/time_entries?from=${mockDateFrom}&to=${mockDateTo}&per_page=500`,
+        expect.any(Object)
+      );
+      delete process.env.HARVEST_PAGE_SIZE;
+    });
+  });
+
+  describe('getHarvestRunningTimeEntries', () => {
+    test('should fetch running timers regardless of date', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
         json: vi.fn().mockResolvedValue({
-          error: 'Unauthorized',
+          time_entries: [{ id: 12, user: { id: 1 }, is_running: true }],
         }),
-      };
+      });
 
-      fetch.mockResolvedValue(mockResponse);
+      const result = await getHarvestRunningTimeEntries(mockAccountId, mockToken);
 
-      const result = await getHarvestUsers(mockAccountId, mockToken);
+      expect(fetch).toHaveBeenCalledWith(
+        'https://api.harvestapp.com/v2/time_entries?is_running=true&per_page=100',
+        expect.any(Object)
+      );
+      expect(result).toHaveLength(1);
+      expect(Logger.functionExit).toHaveBeenCalledWith('getHarvestRunningTimeEntries', {
+        timeEntriesCount: 1,
+      });
+    });
+  });
+
+  describe('getHarvestExpenses', () => {
+    test('should fetch expenses for the date range', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: vi.fn().mockResolvedValue({
+          expenses: [{ id: 1, approval_status: 'unsubmitted', receipt: null }],
+        }),
+      });
+
+      const result = await getHarvestExpenses(mockAccountId, mockToken, mockDateFrom, mockDateTo);
+
+      expect(fetch).toHaveBeenCalledWith(
+        `https://api.harvestapp.com/v2/expenses?from=${mockDateFrom}&to=${mockDateTo}&per_page=100`,
+        expect.any(Object)
+      );
+      expect(result).toHaveLength(1);
+      expect(Logger.functionExit).toHaveBeenCalledWith('getHarvestExpenses', { expensesCount: 1 });
+    });
+  });
+
+  describe('getHarvestCompany', () => {
+    test('should fetch the company settings', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: vi.fn().mockResolvedValue({ week_start_day: 'Sunday', time_format: 'hours_minutes' }),
+      });
+
+      const result = await getHarvestCompany(mockAccountId, mockToken);
+
+      expect(fetch).toHaveBeenCalledWith('https://api.harvestapp.com/v2/company', expect.any(Object));
+      expect(result).toEqual({ week_start_day: 'Sunday', time_format: 'hours_minutes' });
+    });
+  });
+
+  describe('getHarvestCurrentUser', () => {
+    test('should fetch the user the token belongs to', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: vi.fn().mockResolvedValue({ id: 99, access_roles: ['administrator'] }),
+      });
 
-      // The function should still process the response even with non-200 status
+      const result = await getHarvestCurrentUser(mockAccountId, mockToken);
+
+      expect(fetch).toHaveBeenCalledWith('https://api.harvestapp.com/v2/users/me', expect.any(Object));
+      expect(result).toEqual({ id: 99, access_roles: ['administrator'] });
+    });
+
+    test('should use the stored OAuth2 token without a personal access token', async () => {
+      isHarvestOAuthConfigured.mockReturnValue(true);
+      getHarvestOAuthToken.mockResolvedValue('oauth-token');
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: vi.fn().mockResolvedValue({ id: 99, access_roles: ['administrator'] }),
+      });
+
+      await getHarvestCurrentUser(mockAccountId, undefined);
+
+      expect(fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer oauth-token');
+      isHarvestOAuthConfigured.mockReset();
+    });
+  });
+
+  describe('getHarvestUninvoicedReport', () => {
+    test('should fetch the uninvoiced report for the date range', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: vi.fn().mockResolvedValue({
+          results: [{ client_id: 1, project_id: 2, uninvoiced_amount: 100 }],
+        }),
+      });
+
+      const result = await getHarvestUninvoicedReport(mockAccountId, mockToken, mockDateFrom, mockDateTo);
+
+      expect(fetch).toHaveBeenCalledWith(
+        `https://api.harvestapp.com/v2/reports/uninvoiced?from=${mockDateFrom}&to=${mockDateTo}&per_page=100`,
+        expect.any(Object)
+      );
+      expect(result).toHaveLength(1);
+    });
+  });
+
+  describe('getHarvestUserAssignments', () => {
+    test('should fetch user assignments with the given filters', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: vi.fn().mockResolvedValue({
+          user_assignments: [{ id: 1, user: { id: 2 }, project: { id: 3 }, is_active: true }],
+        }),
+      });
+
+      const result = await getHarvestUserAssignments(mockAccountId, mockToken, { is_active: true });
+
+      expect(fetch).toHaveBeenCalledWith(
+        'https://api.harvestapp.com/v2/user_assignments?is_active=true&per_page=100',
+        expect.any(Object)
+      );
+      expect(result).toHaveLength(1);
+      expect(Logger.functionExit).toHaveBeenCalledWith('getHarvestUserAssignments', {
+        userAssignmentsCount: 1,
+      });
+    });
+  });
+
+  describe('getHarvestProjectBudgetReport', () => {
+    test('should fetch budgets for active projects', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: vi.fn().mockResolvedValue({
+          results: [{ project_id: 1, budget: 100, budget_spent: 80 }],
+        }),
+      });
+
+      const result = await getHarvestProjectBudgetReport(mockAccountId, mockToken);
+
+      expect(fetch).toHaveBeenCalledWith(
+        'https://api.harvestapp.com/v2/reports/project_budget?is_active=true&per_page=100',
+        expect.any(Object)
+      );
+      expect(result).toEqual([{ project_id: 1, budget: 100, budget_spent: 80 }]);
+    });
+  });
+
+  describe('Team time report pagination', () => {
+    const mockPages = () => {
+      fetch
+        .mockResolvedValueOnce({
+          ok: true,
+          status: 200,
+          json: vi.fn().mockResolvedValue({
+            results: [
+              { user_id: 1, total_hours: 8.5 },
+              { user_id: 2, total_hours: 7.0 },
+            ],
+            next_page: 2,
+            links: {
+              next: `https://api.harvestapp.com/v2/reports/time/team?from=${mockDateFrom}&page=2&per_page=2&to=${mockDateTo}`,
+            },
+          }),
+        })
+        .mockResolvedValueOnce({
+          ok: true,
+          status: 200,
+          json: vi.fn().mockResolvedValue({
+            results: [{ user_id: 3, total_hours: 6.0 }],
+            next_page: null,
+            links: { next: null },
+          }),
+        });
+    };
+
+    test('should merge results from every page of the report', async () => {
+      mockPages();
+
+      const result = await getHarvestTeamTimeReport(
+        mockAccountId,
+        mockToken,
+        mockDateFrom,
+        mockDateTo,
+        2
+      );
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(fetch).toHaveBeenNthCalledWith(
+        1,
+        `https://api.harvestapp.com/v2/reports/time/team?from=${mockDateFrom}&to=${mockDateTo}&per_page=2`,
+        expect.any(Object)
+      );
+      expect(result.map((row) => row.user_id)).toEqual([1, 2, 3]);
+      expect(Logger.functionExit).toHaveBeenCalledWith('getHarvestTeamTimeReport', {
+        resultsCount: 3,
+      });
+    });
+
+    test('should yield rows page by page from the async iterator', async () => {
+      mockPages();
+
+      const iterator = iterateHarvestTeamTimeReport(
+        mockAccountId,
+        mockToken,
+        mockDateFrom,
+        mockDateTo,
+        2
+      );
+
+      const first = await iterator.next();
+      expect(first.value.user_id).toBe(1);
+      // The second page is only requested once the first page has been consumed
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      const rest = [];
+      for await (const row of iterator) {
+        rest.push(row.user_id);
+      }
+
+      expect(rest).toEqual([2, 3]);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Error Handling', () => {
+    const errorResponse = (status, body, headers = {}) => ({
+      ok: false,
+      status,
+      headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+      json: vi.fn().mockResolvedValue(body),
+    });
+
+    const okResponse = (body) => ({
+      ok: true,
+      status: 200,
+      json: vi.fn().mockResolvedValue(body),
+    });
+
+    beforeEach(() => {
+      process.env.HARVEST_RETRY_BASE_DELAY_MS = '0';
+    });
+
+    afterEach(() => {
+      delete process.env.HARVEST_RETRY_BASE_DELAY_MS;
+      delete process.env.HARVEST_MAX_RETRIES;
+      vi.useRealTimers();
+    });
+
+    test('should throw HarvestApiError for non-200 status codes', async () => {
+      fetch.mockResolvedValue(
+        errorResponse(401, { error: 'invalid_token', error_description: 'Token revoked' })
+      );
+
+      const error = await getHarvestUsers(mockAccountId, mockToken).catch((e) => e);
+
+      expect(error).toBeInstanceOf(HarvestApiError);
+      expect(error.status).toBe(401);
+      expect(error.endpoint).toBe('GET /v2/users');
+      expect(error.body).toEqual({ error: 'invalid_token', error_description: 'Token revoked' });
+      expect(error.isRetryable).toBe(false);
       expect(Logger.apiResponse).toHaveBeenCalledWith('Harvest', 401, {
-        usersCount: 0,
+        error: { error: 'invalid_token', error_description: 'Token revoked' },
       });
     });
 
+    test('should not retry client errors', async () => {
+      fetch.mockResolvedValue(errorResponse(403, { error: 'forbidden' }));
+
+      await expect(
+        getHarvestTeamTimeReport(mockAccountId, mockToken, mockDateFrom, mockDateTo)
+      ).rejects.toThrow(HarvestApiError);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should retry server errors and succeed', async () => {
+      fetch
+        .mockResolvedValueOnce(errorResponse(503, null))
+        .mockResolvedValueOnce(errorResponse(500, null))
+        .mockResolvedValueOnce(okResponse({ users: [{ id: 1, is_active: true }] }));
+
+      const result = await getHarvestUsers(mockAccountId, mockToken);
+
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(result).toHaveLength(1);
+      expect(Logger.warn).toHaveBeenCalledWith(
+        'Retrying Harvest API request',
+        expect.objectContaining({ endpoint: 'GET /v2/users', status: 503, attempt: 1 })
+      );
+    });
+
+    test('should give up after HARVEST_MAX_RETRIES attempts', async () => {
+      process.env.HARVEST_MAX_RETRIES = '2';
+      fetch.mockResolvedValue(errorResponse(502, { message: 'Bad Gateway' }));
+
+      const error = await getHarvestUsers(mockAccountId, mockToken).catch((e) => e);
+
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(error).toBeInstanceOf(HarvestApiError);
+      expect(error.status).toBe(502);
+      expect(error.isRetryable).toBe(true);
+    });
+
+    test('should honour Retry-After on 429 responses', async () => {
+      vi.useFakeTimers();
+      fetch
+        .mockResolvedValueOnce(errorResponse(429, null, { 'retry-after': '2' }))
+        .mockResolvedValueOnce(okResponse({ users: [] }));
+
+      const promise = getHarvestUsers(mockAccountId, mockToken);
+
+      await vi.advanceTimersByTimeAsync(1999);
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      await vi.advanceTimersByTimeAsync(1);
+      await promise;
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should back off exponentially without Retry-After', async () => {
+      vi.useFakeTimers();
+      process.env.HARVEST_RETRY_BASE_DELAY_MS = '100';
+      fetch
+        .mockResolvedValueOnce(errorResponse(500, null))
+        .mockResolvedValueOnce(errorResponse(500, null))
+        .mockResolvedValueOnce(okResponse({ users: [] }));
+
+      const promise = getHarvestUsers(mockAccountId, mockToken);
+
+      await vi.advanceTimersByTimeAsync(100);
+      expect(fetch).toHaveBeenCalledTimes(2);
+
+      await vi.advanceTimersByTimeAsync(199);
+      expect(fetch).toHaveBeenCalledTimes(2);
+
+      await vi.advanceTimersByTimeAsync(1);
+      await promise;
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
     test('should handle malformed JSON response', async () => {
       const mockResponse = {
+        ok: true,
+        status: 200,
         json: vi.fn().mockRejectedValue(new SyntaxError('Invalid JSON')),
       };
 
@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Tests for the Harvest API client
+ *
+ * Tests client configuration, request headers, timeouts, retries, token providers and pagination
+ * using an injected fetch implementation.
+ *
+ * @author tiaan.swart@sleeq.global
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { HarvestClient, HarvestApiError } from '../../utils/harvest-client.js';
+
+vi.mock('../../utils/logger.js');
+
+describe('HarvestClient', () => {
+  const jsonResponse = (body, status = 200) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: () => null },
+    json: vi.fn().mockResolvedValue(body),
+  });
+
+  let fetch;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetch = vi.fn();
+    delete process.env.HARVEST_BASE_URL;
+    delete process.env.HARVEST_TIMEOUT_MS;
+    delete process.env.HARVEST_USER_AGENT;
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('configuration', () => {
+    test('should use Harvest defaults', () => {
+      const client = new HarvestClient({ accountId: '123', token: 'secret' });
+
+      expect(client.baseUrl).toBe('https://api.harvestapp.com');
+      expect(client.timeout).toBe(30000);
+      expect(client.headers).toEqual({
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        'User-Agent': 'Harvest Notifier (https://github.com/tiaanswart/harvest-notifier)',
+        'Harvest-Account-Id': '123',
+        Authorization: 'Bearer secret',
+      });
+    });
+
+    test('should read base URL, timeout and user agent from the environment', () => {
+      process.env.HARVEST_BASE_URL = 'http://localhost:4010/';
+      process.env.HARVEST_TIMEOUT_MS = '5000';
+      process.env.HARVEST_USER_AGENT = 'Notifier (ops@example.com)';
+
+      const client = new HarvestClient({ accountId: '123', token: 'secret' });
+
+      expect(client.baseUrl).toBe('http://localhost:4010');
+      expect(client.timeout).toBe(5000);
+      expect(client.headers['User-Agent']).toBe('Notifier (ops@example.com)');
+    });
+
+    test('should prefer explicit options over the environment', () => {
+      process.env.HARVEST_BASE_URL = 'http://localhost:4010';
+
+      const client = new HarvestClient({
+        accountId: '123',
+        token: 'secret',
+        baseUrl: 'http://127.0.0.1:9000',
+        timeout: 100,
+      });
+
+      expect(client.baseUrl).toBe('http://127.0.0.1:9000');
+      expect(client.timeout).toBe(100);
+    });
+  });
+
+  describe('buildUrl', () => {
+    const client = new HarvestClient({ baseUrl: 'http://localhost:4010' });
+
+    test('should append query parameters and skip empty values', () => {
+      expect(client.buildUrl('/v2/time_entries', { from: '2024-01-01', user_id: undefined })).toBe(
+        'http://localhost:4010/v2/time_entries?from=2024-01-01'
+      );
+    });
+
+    test('should return absolute URLs unchanged', () => {
+      const next = 'https://api.harvestapp.com/v2/users?page=2&per_page=100';
+      expect(client.buildUrl(next, { per_page: 5 })).toBe(next);
+    });
+  });
+
+  describe('get', () => {
+    test('should send the account headers to the configured base URL', async () => {
+      fetch.mockResolvedValue(jsonResponse({ name: 'Sleeq' }));
+      const client = new HarvestClient({
+        accountId: '123',
+        token: 'secret',
+        baseUrl: 'http://localhost:4010',
+        fetch,
+      });
+
+      const result = await client.get('/v2/company');
+
+      expect(result).toEqual({ name: 'Sleeq' });
+      expect(fetch).toHaveBeenCalledWith('http://localhost:4010/v2/company', {
+        method: 'get',
+        headers: client.headers,
+        signal: expect.any(AbortSignal),
+      });
+    });
+
+    test('should abort requests that exceed the timeout', async () => {
+      vi.useFakeTimers();
+      fetch.mockImplementation(
+        (url, { signal }) =>
+          new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => {
+              const error = new Error('The operation was aborted.');
+              error.name = 'AbortError';
+              reject(error);
+            });
+          })
+      );
+      const client = new HarvestClient({ accountId: '123', token: 'secret', timeout: 50, fetch });
+
+      const promise = client.get('/v2/users/me').catch((e) => e);
+      await vi.advanceTimersByTimeAsync(50);
+      const error = await promise;
+
+      expect(error).toBeInstanceOf(HarvestApiError);
+      expect(error.status).toBeNull();
+      expect(error.endpoint).toBe('GET /v2/users/me');
+      expect(error.message).toContain('timed out after 50ms');
+    });
+
+    test('should retry using the configured retry settings', async () => {
+      fetch
+        .mockResolvedValueOnce(jsonResponse({ message: 'busy' }, 503))
+        .mockResolvedValueOnce(jsonResponse({ id: 1 }));
+      const client = new HarvestClient({ fetch, maxRetries: 1, retryBaseDelay: 0 });
+
+      await expect(client.get('/v2/users/me')).resolves.toEqual({ id: 1 });
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should send the token from the token provider', async () => {
+      fetch.mockResolvedValue(jsonResponse({ id: 1 }));
+      const tokenProvider = vi.fn().mockResolvedValue('oauth-token');
+      const client = new HarvestClient({ accountId: '123', tokenProvider, fetch });
+
+      await client.get('/v2/users/me');
+
+      expect(tokenProvider).toHaveBeenCalledWith({ forceRefresh: false });
+      expect(fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer oauth-token');
+    });
+
+    test('should retry once with a refreshed token when the token is rejected', async () => {
+      fetch
+        .mockResolvedValueOnce(jsonResponse({ error: 'invalid_token' }, 401))
+        .mockResolvedValueOnce(jsonResponse({ id: 1 }));
+      const tokenProvider = vi
+        .fn()
+        .mockResolvedValueOnce('expired-token')
+        .mockResolvedValueOnce('fresh-token');
+      const client = new HarvestClient({ tokenProvider, fetch, maxRetries: 0 });
+
+      await expect(client.get('/v2/users/me')).resolves.toEqual({ id: 1 });
+      expect(tokenProvider).toHaveBeenLastCalledWith({ forceRefresh: true });
+      expect(fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer fresh-token');
+    });
+
+    test('should fail when the refreshed token is rejected too', async () => {
+      fetch.mockResolvedValue(jsonResponse({ error: 'invalid_token' }, 401));
+      const tokenProvider = vi.fn().mockResolvedValue('revoked-token');
+      const client = new HarvestClient({ tokenProvider, fetch });
+
+      const error = await client.get('/v2/users/me').catch((e) => e);
+
+      expect(error).toBeInstanceOf(HarvestApiError);
+      expect(error.status).toBe(401);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not retry a rejected token without a token provider', async () => {
+      fetch.mockResolvedValue(jsonResponse({ error: 'invalid_token' }, 401));
+      const client = new HarvestClient({ token: 'secret', fetch });
+
+      await expect(client.get('/v2/users/me')).rejects.toThrow(HarvestApiError);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('paginate', () => {
+    test('should walk every page of a paginated endpoint', async () => {
+      fetch
+        .mockResolvedValueOnce(
+          jsonResponse({
+            time_entries: [{ id: 1 }],
+            links: { next: 'http://localhost:4010/v2/time_entries?page=2' },
+          })
+        )
+        .mockResolvedValueOnce(jsonResponse({ time_entries: [{ id: 2 }], links: { next: null } }));
+      const client = new HarvestClient({ baseUrl: 'http://localhost:4010', fetch });
+
+      const ids = [];
+      for await (const entry of client.paginate('/v2/time_entries', 'time_entries', {
+        is_running: true,
+      })) {
+        ids.push(entry.id);
+      }
+
+      expect(ids).toEqual([1, 2]);
+      expect(fetch).toHaveBeenNthCalledWith(
+        1,
+        'http://localhost:4010/v2/time_entries?is_running=true',
+        expect.any(Object)
+      );
+      expect(fetch).toHaveBeenNthCalledWith(
+        2,
+        'http://localhost:4010/v2/time_entries?page=2',
+        expect.any(Object)
+      );
+    });
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Tests for Harvest OAuth2 authorization
+ *
+ * Tests the authorization URL, the code exchange and the refresh of stored
+ * tokens against an injected fetch implementation.
+ *
+ * @author tiaan.swart@sleeq.global
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readState, writeState } from '../../utils/state-store.js';
+import {
+  isHarvestOAuthConfigured,
+  getHarvestAuthorizeUrl,
+  exchangeHarvestAuthorizationCode,
+  getHarvestOAuthToken,
+} from '../../utils/harvest-oauth.js';
+import { HarvestApiError } from '../../utils/harvest-client.js';
+
+vi.mock('../../utils/state-store.js');
+vi.mock('../../utils/logger.js');
+
+describe('Harvest OAuth2', () => {
+  const originalNow = Date.now;
+  const now = new Date('2024-01-15T09:00:00Z').getTime();
+
+  const jsonResponse = (body, status = 200) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    json: vi.fn().mockResolvedValue(body),
+  });
+
+  let fetch;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    Date.now = () => now;
+    fetch = vi.fn();
+    process.env.HARVEST_OAUTH_CLIENT_ID = 'client-id';
+    process.env.HARVEST_OAUTH_CLIENT_SECRET = 'client-secret';
+    delete process.env.HARVEST_OAUTH_AUTHORIZE_URL;
+    delete process.env.HARVEST_OAUTH_TOKEN_URL;
+    delete process.env.HARVEST_OAUTH_REFRESH_TOKEN;
+    writeState.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    Date.now = originalNow;
+    delete process.env.HARVEST_OAUTH_CLIENT_ID;
+    delete process.env.HARVEST_OAUTH_CLIENT_SECRET;
+  });
+
+  describe('isHarvestOAuthConfigured', () => {
+    test('should need both the client ID and secret', () => {
+      expect(isHarvestOAuthConfigured()).toBe(true);
+
+      delete process.env.HARVEST_OAUTH_CLIENT_SECRET;
+
+      expect(isHarvestOAuthConfigured()).toBe(false);
+    });
+  });
+
+  describe('getHarvestAuthorizeUrl', () => {
+    test('should build the Harvest ID authorization URL', () => {
+      expect(getHarvestAuthorizeUrl('abc')).toBe(
+        'https://id.getharvest.com/oauth2/authorize?client_id=client-id&response_type=code&state=abc'
+      );
+    });
+  });
+
+  describe('exchangeHarvestAuthorizationCode', () => {
+    test('should exchange the code at the configured token endpoint and store the tokens', async () => {
+      process.env.HARVEST_OAUTH_TOKEN_URL = 'http://localhost:4010/oauth2/token';
+      fetch.mockResolvedValue(
+        jsonResponse({ access_token: 'access', refresh_token: 'refresh', expires_in: 1209600 })
+      );
+
+      const tokens = await exchangeHarvestAuthorizationCode('the-code', fetch);
+
+      const [url, options] = fetch.mock.calls[0];
+      expect(url).toBe('http://localhost:4010/oauth2/token');
+      expect(options.method).toBe('post');
+      expect(Object.fromEntries(options.body)).toEqual({
+        grant_type: 'authorization_code',
+        code: 'the-code',
+        client_id: 'client-id',
+        client_secret: 'client-secret',
+      });
+      expect(tokens).toEqual({
+        accessToken: 'access',
+        refreshToken: 'refresh',
+        expiresAt: '2024-01-29T09:00:00.000Z',
+      });
+      expect(writeState).toHaveBeenCalledWith('harvestOAuth', tokens);
+    });
+
+    test('should throw HarvestApiError when the code is rejected', async () => {
+      fetch.mockResolvedValue(jsonResponse({ error: 'invalid_grant' }, 400));
+
+      const error = await exchangeHarvestAuthorizationCode('bad-code', fetch).catch((e) => e);
+
+      expect(error).toBeInstanceOf(HarvestApiError);
+      expect(error.status).toBe(400);
+      expect(error.endpoint).toBe('POST /api/v2/oauth2/token');
+      expect(error.body).toEqual({ error: 'invalid_grant' });
+      expect(writeState).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getHarvestOAuthToken', () => {
+    test('should return the stored access token while it is valid', async () => {
+      readState.mockResolvedValue({
+        accessToken: 'access',
+        refreshToken: 'refresh',
+        expiresAt: '2024-01-20T09:00:00.000Z',
+      });
+
+      await expect(getHarvestOAuthToken({ fetch })).resolves.toBe('access');
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('should refresh the access token shortly before it expires', async () => {
+      readState.mockResolvedValue({
+        accessToken: 'access',
+        refreshToken: 'refresh',
+        expiresAt: '2024-01-15T09:02:00.000Z',
+      });
+      fetch.mockResolvedValue(
+        jsonResponse({ access_token: 'new-access', refresh_token: 'new-refresh', expires_in: 1209600 })
+      );
+
+      await expect(getHarvestOAuthToken({ fetch })).resolves.toBe('new-access');
+      expect(Object.fromEntries(fetch.mock.calls[0][1].body)).toMatchObject({
+        grant_type: 'refresh_token',
+        refresh_token: 'refresh',
+      });
+      expect(writeState).toHaveBeenCalledWith('harvestOAuth', {
+        accessToken: 'new-access',
+        refreshToken: 'new-refresh',
+        expiresAt: '2024-01-29T09:00:00.000Z',
+      });
+    });
+
+    test('should refresh when forced and keep the refresh token if no new one is issued', async () => {
+      readState.mockResolvedValue({
+        accessToken: 'access',
+        refreshToken: 'refresh',
+        expiresAt: '2024-01-20T09:00:00.000Z',
+      });
+      fetch.mockResolvedValue(jsonResponse({ access_token: 'new-access', expires_in: 3600 }));
+
+      await expect(getHarvestOAuthToken({ forceRefresh: true, fetch })).resolves.toBe('new-access');
+      expect(writeState).toHaveBeenCalledWith(
+        'harvestOAuth',
+        expect.objectContaining({ refreshToken: 'refresh' })
+      );
+    });
+
+    test('should seed the tokens from HARVEST_OAUTH_REFRESH_TOKEN when none are stored', async () => {
+      process.env.HARVEST_OAUTH_REFRESH_TOKEN = 'seeded-refresh';
+      readState.mockResolvedValue({});
+      fetch.mockResolvedValue(
+        jsonResponse({ access_token: 'new-access', refresh_token: 'new-refresh', expires_in: 1209600 })
+      );
+
+      await expect(getHarvestOAuthToken({ fetch })).resolves.toBe('new-access');
+      expect(Object.fromEntries(fetch.mock.calls[0][1].body)).toMatchObject({
+        grant_type: 'refresh_token',
+        refresh_token: 'seeded-refresh',
+      });
+      expect(writeState).toHaveBeenCalledWith(
+        'harvestOAuth',
+        expect.objectContaining({ refreshToken: 'new-refresh' })
+      );
+    });
+
+    test('should prefer stored tokens over HARVEST_OAUTH_REFRESH_TOKEN', async () => {
+      process.env.HARVEST_OAUTH_REFRESH_TOKEN = 'seeded-refresh';
+      readState.mockResolvedValue({
+        accessToken: 'access',
+        refreshToken: 'refresh',
+        expiresAt: '2024-01-20T09:00:00.000Z',
+      });
+
+      await expect(getHarvestOAuthToken({ fetch })).resolves.toBe('access');
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('should ask to authorize when no tokens are stored', async () => {
+      readState.mockResolvedValue({});
+
+      await expect(getHarvestOAuthToken({ fetch })).rejects.toThrow('run `npm run authorize` first');
+    });
+  });
+});
@@ -8,13 +8,26 @@
  * @license MIT
  */
 
-import { describe, test, expect, beforeEach, vi } from 'vitest';
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
 import fetch from 'node-fetch';
-import { getSlackUsers, sendSlackMessage, matchUsersWithSlack } from '../../utils/slack-api.js';
+import {
+  getSlackUsers,
+  sendSlackMessage,
+  matchUsersWithSlack,
+  matchUsersWithSlackByEmail,
+  findSlackUser,
+  findSlackUsersByEmail,
+  lookupSlackUserByEmail,
+  getSlackUserById,
+} from '../../utils/slack-api.js';
+import { readState, writeState, isStateStoreConfigured } from '../../utils/state-store.js';
+import { getMappedSlackUserId } from '../../utils/slack-user-mapping.js';
 import Logger from '../../utils/logger.js';
 
 // Mock dependencies
 vi.mock('node-fetch');
+vi.mock('../../utils/state-store.js');
+vi.mock('../../utils/slack-user-mapping.js');
 vi.mock('../../utils/logger.js');
 
 describe('Slack API', () => {
@@ -24,6 +37,7 @@ describe('Slack API', () => {
   beforeEach(() => {
     // Clear all mocks
     vi.clearAllMocks();
+    delete process.env.SLACK_USERS_PAGE_SIZE;
   });
 
   describe('getSlackUsers', () => {
@@ -84,7 +98,7 @@ describe('Slack API', () => {
 
       const result = await getSlackUsers(mockToken);
 
-      expect(fetch).toHaveBeenCalledWith('https://slack.com/api/users.list', {
+      expect(fetch).toHaveBeenCalledWith('https://slack.com/api/users.list?limit=200', {
         method: 'get',
         headers: {
           Accept: 'application/json',
@@ -113,7 +127,7 @@ describe('Slack API', () => {
       expect(result).toHaveLength(0);
     });
 
-    test('should handle missing members property', async () => {
+    test('should throw when the members property is missing', async () => {
       const mockResponse = {
         json: vi.fn().mockResolvedValue({
           ok: true,
@@ -122,9 +136,9 @@ describe('Slack API', () => {
 
       fetch.mockResolvedValue(mockResponse);
 
-      const result = await getSlackUsers(mockToken);
-
-      expect(result).toHaveLength(0);
+      await expect(getSlackUsers(mockToken)).rejects.toThrow(
+        'Slack users list page could not be fetched: no members returned'
+      );
     });
 
     test('should handle API error response', async () => {
@@ -137,9 +151,9 @@ describe('Slack API', () => {
 
       fetch.mockResolvedValue(mockResponse);
 
-      const result = await getSlackUsers(mockToken);
-
-      expect(result).toHaveLength(0);
+      await expect(getSlackUsers(mockToken)).rejects.toThrow(
+        'Slack users list page could not be fetched: invalid_auth'
+      );
       expect(Logger.apiResponse).toHaveBeenCalledWith('Slack', undefined, {
         membersCount: 0,
         ok: false,
@@ -152,6 +166,95 @@ describe('Slack API', () => {
       await expect(getSlackUsers(mockToken)).rejects.toThrow('Network Error');
     });
 
+    test('should follow the cursor until the last page', async () => {
+      process.env.SLACK_USERS_PAGE_SIZE = '2';
+      const member = (id) => ({ id, profile: {}, deleted: false, is_bot: false });
+      fetch
+        .mockResolvedValueOnce({
+          json: vi.fn().mockResolvedValue({
+            ok: true,
+            members: [member('U1'), member('U2')],
+            response_metadata: { next_cursor: 'dXNlcjpVMg==' },
+          }),
+        })
+        .mockResolvedValueOnce({
+          json: vi.fn().mockResolvedValue({
+            ok: true,
+            members: [member('U3')],
+            response_metadata: { next_cursor: '' },
+          }),
+        });
+
+      const result = await getSlackUsers(mockToken);
+
+      expect(result.map((user) => user.id)).toEqual(['U1', 'U2', 'U3']);
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(fetch.mock.calls[0][0]).toBe('https://slack.com/api/users.list?limit=2');
+      expect(fetch.mock.calls[1][0]).toBe(
+        'https://slack.com/api/users.list?limit=2&cursor=dXNlcjpVMg%3D%3D'
+      );
+    });
+
+    test('should retry rate limited pages after the Retry-After delay', async () => {
+      vi.useFakeTimers();
+      fetch
+        .mockResolvedValueOnce({
+          json: vi.fn().mockResolvedValue({
+            ok: true,
+            members: [{ id: 'U1', profile: {}, deleted: false, is_bot: false }],
+            response_metadata: { next_cursor: 'next' },
+          }),
+        })
+        .mockResolvedValueOnce({
+          status: 429,
+          headers: { get: (name) => (name === 'retry-after' ? '2' : null) },
+          json: vi.fn().mockResolvedValue({ ok: false, error: 'ratelimited' }),
+        })
+        .mockResolvedValueOnce({
+          json: vi.fn().mockResolvedValue({
+            ok: true,
+            members: [{ id: 'U2', profile: {}, deleted: false, is_bot: false }],
+            response_metadata: { next_cursor: '' },
+          }),
+        });
+
+      const promise = getSlackUsers(mockToken);
+      await vi.advanceTimersByTimeAsync(1999);
+      expect(fetch).toHaveBeenCalledTimes(2);
+      await vi.advanceTimersByTimeAsync(1);
+      const result = await promise;
+      vi.useRealTimers();
+
+      expect(result.map((user) => user.id)).toEqual(['U1', 'U2']);
+      expect(fetch.mock.calls[2][0]).toBe(fetch.mock.calls[1][0]);
+      expect(Logger.warn).toHaveBeenCalledWith('Retrying Slack API request', {
+        endpoint: 'GET /api/users.list',
+        attempt: 1,
+        maxRetries: 3,
+        delayMs: 2000,
+      });
+    });
+
+    test('should throw rather than return a partial list when a later page fails', async () => {
+      process.env.SLACK_MAX_RETRIES = '0';
+      fetch
+        .mockResolvedValueOnce({
+          json: vi.fn().mockResolvedValue({
+            ok: true,
+            members: [{ id: 'U1', profile: {}, deleted: false, is_bot: false }],
+            response_metadata: { next_cursor: 'next' },
+          }),
+        })
+        .mockResolvedValueOnce({
+          json: vi.fn().mockResolvedValue({ ok: false, error: 'ratelimited' }),
+        });
+
+      await expect(getSlackUsers(mockToken)).rejects.toThrow(
+        'Slack users list page could not be fetched: ratelimited'
+      );
+      delete process.env.SLACK_MAX_RETRIES;
+    });
+
     test('should log API request and response', async () => {
       const mockResponse = {
         json: vi.fn().mockResolvedValue({
@@ -378,6 +481,7 @@ describe('Slack API', () => {
 
       expect(result).toHaveLength(1);
       expect(result[0].slackUser).toBe('<@U123456> (Hours logged: 5)');
+      expect(result[0].slackMention).toBe('<@U123456>');
       expect(Logger.functionEntry).toHaveBeenCalledWith('matchUsersWithSlack', {
         usersToNotifyCount: 1,
         slackUsersCount: 1,
@@ -494,6 +598,7 @@ describe('Slack API', () => {
 
       expect(result).toHaveLength(1);
       expect(result[0].slackUser).toBe('John Doe (Hours logged: 5)');
+      expect(result[0].slackMention).toBe('John Doe');
     });
 
     test('should handle empty arrays', () => {
@@ -615,6 +720,275 @@ describe('Slack API', () => {
     });
   });
 
+  describe('findSlackUser', () => {
+    const slackUsers = [
+      {
+        id: 'U123456',
+        profile: {
+          real_name_normalized: 'John Doe',
+          display_name_normalized: 'John',
+          email: 'john@example.com',
+        },
+      },
+      {
+        id: 'U789012',
+        profile: {
+          real_name_normalized: 'Jane Smith',
+          display_name_normalized: 'Jane',
+        },
+      },
+    ];
+
+    test('should find Slack user by email', () => {
+      const harvestUser = { first_name: 'Johnny', last_name: 'D', email: 'JOHN@example.com' };
+
+      expect(findSlackUser(harvestUser, slackUsers).id).toBe('U123456');
+    });
+
+    test('should find Slack user by name', () => {
+      const harvestUser = { first_name: 'Jane', last_name: 'Smith', email: 'jane@example.com' };
+
+      expect(findSlackUser(harvestUser, slackUsers).id).toBe('U789012');
+    });
+
+    test('should not match Slack users without email when Harvest user has no email', () => {
+      const harvestUser = { first_name: 'Bob', last_name: 'Wilson' };
+
+      expect(findSlackUser(harvestUser, slackUsers)).toBeUndefined();
+    });
+  });
+
+  describe('getSlackUserById', () => {
+    test('should return the Slack user with the ID', async () => {
+      fetch.mockResolvedValue({
+        json: vi.fn().mockResolvedValue({ ok: true, user: { id: 'U123456', deleted: false } }),
+      });
+
+      await expect(getSlackUserById('U123456', mockToken)).resolves.toEqual({
+        id: 'U123456',
+        deleted: false,
+      });
+      expect(fetch.mock.calls[0][0]).toBe('https://slack.com/api/users.info?user=U123456');
+    });
+
+    test('should return null when the user does not exist', async () => {
+      fetch.mockResolvedValue({
+        json: vi.fn().mockResolvedValue({ ok: false, error: 'user_not_found' }),
+      });
+
+      await expect(getSlackUserById('U000000', mockToken)).resolves.toBeNull();
+    });
+  });
+
+  describe('lookupSlackUserByEmail', () => {
+    test('should return the Slack user with the email', async () => {
+      fetch.mockResolvedValue({
+        json: vi.fn().mockResolvedValue({ ok: true, user: { id: 'U123456' } }),
+      });
+
+      const result = await lookupSlackUserByEmail('john+harvest@example.com', mockToken);
+
+      expect(result).toEqual({ id: 'U123456' });
+      expect(fetch).toHaveBeenCalledWith(
+        'https://slack.com/api/users.lookupByEmail?email=john%2Bharvest%40example.com',
+        { method: 'get', headers: { Accept: 'application/json', Authorization: `Bearer ${mockToken}` } }
+      );
+    });
+
+    test('should return null when no member has the email', async () => {
+      fetch.mockResolvedValue({
+        json: vi.fn().mockResolvedValue({ ok: false, error: 'users_not_found' }),
+      });
+
+      await expect(lookupSlackUserByEmail('nobody@example.com', mockToken)).resolves.toBeNull();
+    });
+
+    test('should throw on other Slack errors', async () => {
+      fetch.mockResolvedValue({
+        json: vi.fn().mockResolvedValue({ ok: false, error: 'missing_scope' }),
+      });
+
+      await expect(lookupSlackUserByEmail('john@example.com', mockToken)).rejects.toThrow(
+        'Slack users.lookupByEmail failed: missing_scope'
+      );
+    });
+  });
+
+  describe('findSlackUsersByEmail', () => {
+    const originalNow = Date.now;
+    const john = { id: 1, first_name: 'John', last_name: 'Doe', email: 'John@example.com' };
+    const jane = { id: 2, first_name: 'Jane', last_name: 'Smith', email: 'jane@example.com' };
+    const lookupResponse = (body) => ({ json: vi.fn().mockResolvedValue(body) });
+
+    beforeEach(() => {
+      Date.now = () => new Date('2024-01-15T09:00:00Z').getTime();
+      delete process.env.SLACK_LOOKUP_CACHE_TTL_HOURS;
+      isStateStoreConfigured.mockReturnValue(true);
+      readState.mockResolvedValue({});
+      writeState.mockResolvedValue();
+    });
+
+    afterEach(() => {
+      Date.now = originalNow;
+    });
+
+    test('should look up each user by email and cache the results', async () => {
+      fetch
+        .mockResolvedValueOnce(lookupResponse({ ok: true, user: { id: 'U123456' } }))
+        .mockResolvedValueOnce(lookupResponse({ ok: true, user: { id: 'U789012' } }));
+
+      const result = await findSlackUsersByEmail([john, jane], mockToken);
+
+      expect(result.get(1)).toEqual({ id: 'U123456' });
+      expect(result.get(2)).toEqual({ id: 'U789012' });
+      expect(writeState).toHaveBeenCalledWith('slackUserLookups', {
+        'john@example.com': { slackUserId: 'U123456', cachedAt: '2024-01-15T09:00:00.000Z' },
+        'jane@example.com': { slackUserId: 'U789012', cachedAt: '2024-01-15T09:00:00.000Z' },
+      });
+    });
+
+    test('should use cached lookups until they expire', async () => {
+      process.env.SLACK_LOOKUP_CACHE_TTL_HOURS = '12';
+      readState.mockResolvedValue({
+        'john@example.com': { slackUserId: 'U123456', cachedAt: '2024-01-15T00:00:00.000Z' },
+        'jane@example.com': { slackUserId: 'U789012', cachedAt: '2024-01-14T09:00:00.000Z' },
+      });
+      fetch.mockResolvedValue(lookupResponse({ ok: true, user: { id: 'U789012' } }));
+
+      const result = await findSlackUsersByEmail([john, jane], mockToken);
+
+      expect(result.get(1)).toEqual({ id: 'U123456' });
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(fetch.mock.calls[0][0]).toContain('email=jane%40example.com');
+    });
+
+    test('should fall back to name matching when a lookup finds nobody or fails', async () => {
+      fetch
+        .mockResolvedValueOnce(lookupResponse({ ok: false, error: 'users_not_found' }))
+        .mockResolvedValueOnce(lookupResponse({ ok: false, error: 'ratelimited' }))
+        .mockResolvedValueOnce(
+          lookupResponse({
+            ok: true,
+            members: [
+              {
+                id: 'U789012',
+                profile: { real_name_normalized: 'Jane Smith', display_name_normalized: 'Jane' },
+              },
+            ],
+          })
+        );
+
+      const result = await findSlackUsersByEmail([john, jane], mockToken);
+
+      expect(result.get(1)).toBeUndefined();
+      expect(result.get(2)).toEqual(expect.objectContaining({ id: 'U789012' }));
+      expect(Logger.warn).toHaveBeenCalledWith(
+        'Slack lookup by email failed, falling back to name matching',
+        { userId: 2, error: 'Slack users.lookupByEmail failed: ratelimited' }
+      );
+      // Only the email without a Slack member is cached
+      expect(writeState).toHaveBeenCalledWith('slackUserLookups', {
+        'john@example.com': { slackUserId: null, cachedAt: '2024-01-15T09:00:00.000Z' },
+      });
+    });
+
+    test('should not fetch the workspace when every user is found', async () => {
+      readState.mockResolvedValue({
+        'john@example.com': { slackUserId: 'U123456', cachedAt: '2024-01-15T08:00:00.000Z' },
+      });
+
+      await findSlackUsersByEmail([john], mockToken);
+
+      expect(fetch).not.toHaveBeenCalled();
+      expect(writeState).not.toHaveBeenCalled();
+    });
+
+    test('should look up every user without caching when no state file is configured', async () => {
+      isStateStoreConfigured.mockReturnValue(false);
+      fetch.mockResolvedValue(lookupResponse({ ok: true, user: { id: 'U123456' } }));
+
+      const result = await findSlackUsersByEmail([john], mockToken);
+
+      expect(result.get(1)).toEqual({ id: 'U123456' });
+      expect(readState).not.toHaveBeenCalled();
+      expect(writeState).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Slack user mapping', () => {
+    const slackUsers = [
+      {
+        id: 'U123456',
+        profile: { real_name_normalized: 'John Doe', display_name_normalized: 'John', email: 'john@example.com' },
+      },
+      {
+        id: 'U999999',
+        profile: { real_name_normalized: 'Johnny', display_name_normalized: 'jd', email: 'jd@personal.com' },
+      },
+    ];
+    const john = { id: 1, first_name: 'John', last_name: 'Doe', email: 'john@example.com' };
+
+    test('should prefer the mapped Slack user over name matching and log the source', () => {
+      getMappedSlackUserId.mockReturnValue('U999999');
+
+      expect(findSlackUser(john, slackUsers)).toBe(slackUsers[1]);
+      expect(Logger.info).toHaveBeenCalledWith('Harvest user matched with Slack', {
+        userId: 1,
+        slackUserId: 'U999999',
+        source: 'mapping',
+      });
+    });
+
+    test('should log email and name matches', () => {
+      getMappedSlackUserId.mockReturnValue(null);
+
+      findSlackUser(john, slackUsers);
+      findSlackUser({ ...john, email: 'john@harvest.example.com' }, slackUsers);
+
+      expect(Logger.info).toHaveBeenCalledWith('Harvest user matched with Slack', {
+        userId: 1,
+        slackUserId: 'U123456',
+        source: 'email',
+      });
+      expect(Logger.info).toHaveBeenCalledWith('Harvest user matched with Slack', {
+        userId: 1,
+        slackUserId: 'U123456',
+        source: 'name',
+      });
+    });
+
+    test('should not look up mapped users by email', async () => {
+      getMappedSlackUserId.mockReturnValue('U999999');
+      readState.mockResolvedValue({});
+
+      const result = await findSlackUsersByEmail([john], mockToken);
+
+      expect(result.get(1)).toEqual({ id: 'U999999' });
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    afterEach(() => {
+      getMappedSlackUserId.mockReset();
+    });
+  });
+
+  describe('matchUsersWithSlackByEmail', () => {
+    test('should mention the users found by email', async () => {
+      readState.mockResolvedValue({});
+      fetch.mockResolvedValue({
+        json: vi.fn().mockResolvedValue({ ok: true, user: { id: 'U123456' } }),
+      });
+
+      const result = await matchUsersWithSlackByEmail(
+        [{ id: 1, first_name: 'John', last_name: 'Doe', email: 'john@example.com', totalHours: 5.5 }],
+        mockToken
+      );
+
+      expect(result[0].slackMention).toBe('<@U123456>');
+      expect(result[0].slackUser).toBe('<@U123456> (Hours logged: 5.5)');
+    });
+  });
+
   describe('Error Handling', () => {
     test('should handle malformed JSON response in getSlackUsers', async () => {
       const mockResponse = {
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Tests for the Harvest-to-Slack identity mapping
+ *
+ * Tests parsing JSON and CSV mapping files, validating the mapped Slack users
+ * and looking up the mapped Slack user of a Harvest user.
+ *
+ * @author tiaan.swart@sleeq.global
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  parseSlackUserMapping,
+  loadSlackUserMapping,
+  getMappedSlackUserId,
+  resetSlackUserMapping,
+} from '../../utils/slack-user-mapping.js';
+import Logger from '../../utils/logger.js';
+
+vi.mock('../../utils/logger.js');
+
+describe('Slack User Mapping', () => {
+  let mappingDir;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    resetSlackUserMapping();
+    mappingDir = await mkdtemp(join(tmpdir(), 'harvest-notifier-'));
+    delete process.env.SLACK_USER_MAPPING_FILE;
+  });
+
+  afterEach(async () => {
+    delete process.env.SLACK_USER_MAPPING_FILE;
+    await rm(mappingDir, { recursive: true, force: true });
+  });
+
+  describe('parseSlackUserMapping', () => {
+    test('should parse a JSON object of Harvest user IDs and emails', () => {
+      const mapping = parseSlackUserMapping('{"1234": "U0123ABC", "Jo@Example.com": "W0456DEF"}', 'json');
+
+      expect([...mapping]).toEqual([
+        ['1234', 'U0123ABC'],
+        ['jo@example.com', 'W0456DEF'],
+      ]);
+    });
+
+    test('should parse CSV pairs and skip the header and blank lines', () => {
+      const mapping = parseSlackUserMapping('harvest,slack\n1234, U0123ABC\n\njo@example.com,U0456DEF\n', 'csv');
+
+      expect([...mapping]).toEqual([
+        ['1234', 'U0123ABC'],
+        ['jo@example.com', 'U0456DEF'],
+      ]);
+    });
+
+    test.each([
+      ['{not json', 'json', 'Slack user mapping is not valid JSON'],
+      ['["U0123ABC"]', 'json', 'Slack user mapping must be a JSON object'],
+      ['{"1234": "jo"}', 'json', 'Slack user mapping "1234" has an invalid Slack user ID: jo'],
+      ['1234,U0123ABC\n5678', 'csv', 'Slack user mapping line 2 must be a "harvest,slack" pair'],
+      ['1234,U0123ABC\n5678,@jo', 'csv', 'Slack user mapping line 2 has an invalid Slack user ID: @jo'],
+    ])('should reject %s', (content, format, message) => {
+      expect(() => parseSlackUserMapping(content, format)).toThrow(message);
+    });
+  });
+
+  describe('loadSlackUserMapping', () => {
+    test('should be empty without a mapping file', async () => {
+      const getSlackUserById = vi.fn();
+
+      const mapping = await loadSlackUserMapping(getSlackUserById);
+
+      expect(mapping.size).toBe(0);
+      expect(getSlackUserById).not.toHaveBeenCalled();
+    });
+
+    test('should ignore mappings to Slack users that do not exist or were deactivated', async () => {
+      process.env.SLACK_USER_MAPPING_FILE = join(mappingDir, 'mapping.csv');
+      await writeFile(
+        process.env.SLACK_USER_MAPPING_FILE,
+        '1,U0000001\n2,U0000002\njane@example.com,U0000002\n3,U0000003\n'
+      );
+      const getSlackUserById = vi.fn(async (slackUserId) => {
+        if (slackUserId === 'U0000002') return null;
+        return { id: slackUserId, deleted: slackUserId === 'U0000003' };
+      });
+
+      const mapping = await loadSlackUserMapping(getSlackUserById);
+
+      expect([...mapping]).toEqual([['1', 'U0000001']]);
+      expect(getSlackUserById).toHaveBeenCalledTimes(3);
+      expect(Logger.warn).toHaveBeenCalledWith('Mapped Slack user does not exist, mapping ignored', {
+        slackUserId: 'U0000002',
+        harvestUsers: ['2', 'jane@example.com'],
+      });
+    });
+
+    test('should report a missing mapping file', async () => {
+      process.env.SLACK_USER_MAPPING_FILE = join(mappingDir, 'missing.json');
+
+      await expect(loadSlackUserMapping(vi.fn())).rejects.toThrow('Unable to read Slack user mapping file');
+    });
+  });
+
+  describe('getMappedSlackUserId', () => {
+    beforeEach(async () => {
+      process.env.SLACK_USER_MAPPING_FILE = join(mappingDir, 'mapping.json');
+      await writeFile(
+        process.env.SLACK_USER_MAPPING_FILE,
+        JSON.stringify({ 1: 'U0000001', 'jane@example.com': 'U0000002' })
+      );
+      await loadSlackUserMapping(async (slackUserId) => ({ id: slackUserId }));
+    });
+
+    test('should map by Harvest user ID, then by email', () => {
+      expect(getMappedSlackUserId({ id: 1, email: 'jane@example.com' })).toBe('U0000001');
+      expect(getMappedSlackUserId({ id: 2, email: 'Jane@Example.com' })).toBe('U0000002');
+    });
+
+    test('should return null for unmapped users', () => {
+      expect(getMappedSlackUserId({ id: 3, email: '' })).toBeNull();
+    });
+  });
+});
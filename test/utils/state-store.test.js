@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Tests for the persistent state store
+ *
+ * Tests reading and writing namespaced state in a temporary state file.
+ *
+ * @author tiaan.swart@sleeq.global
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, readFile, writeFile, rm, stat } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  readState,
+  writeState,
+  getStateFilePath,
+  isStateStoreConfigured,
+} from '../../utils/state-store.js';
+
+vi.mock('../../utils/logger.js');
+
+describe('State Store', () => {
+  let stateDir;
+
+  beforeEach(async () => {
+    stateDir = await mkdtemp(join(tmpdir(), 'harvest-notifier-'));
+    process.env.STATE_FILE_PATH = join(stateDir, 'state.json');
+  });
+
+  afterEach(async () => {
+    delete process.env.STATE_FILE_PATH;
+    await rm(stateDir, { recursive: true, force: true });
+  });
+
+  test('should default to a state file in the working directory', () => {
+    delete process.env.STATE_FILE_PATH;
+
+    expect(getStateFilePath()).toBe('.harvest-notifier-state.json');
+  });
+
+  test('should only count an explicit state file as configured', () => {
+    expect(isStateStoreConfigured()).toBe(true);
+
+    delete process.env.STATE_FILE_PATH;
+
+    expect(isStateStoreConfigured()).toBe(false);
+  });
+
+  test('should return empty state when the state file does not exist', async () => {
+    await expect(readState('budgetAlerts')).resolves.toEqual({});
+  });
+
+  test('should keep namespaces separate', async () => {
+    await writeState('budgetAlerts', { 11: 90 });
+    await writeState('other', { value: true });
+
+    await expect(readState('budgetAlerts')).resolves.toEqual({ 11: 90 });
+    expect(JSON.parse(await readFile(process.env.STATE_FILE_PATH, 'utf8'))).toEqual({
+      budgetAlerts: { 11: 90 },
+      other: { value: true },
+    });
+  });
+
+  test('should keep the state file private to its owner', async () => {
+    await writeFile(process.env.STATE_FILE_PATH, '{}', { mode: 0o644 });
+
+    await writeState('harvestOAuth', { refreshToken: 'secret' });
+
+    expect((await stat(process.env.STATE_FILE_PATH)).mode & 0o777).toBe(0o600);
+  });
+
+  test('should reject a corrupt state file', async () => {
+    await writeFile(process.env.STATE_FILE_PATH, '{not json');
+
+    await expect(readState('budgetAlerts')).rejects.toThrow('Unable to read state file');
+  });
+});
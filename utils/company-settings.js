@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Harvest company settings for Harvest Notifier
+ *
+ * Loads the week start day and time format of the Harvest account once per run
+ * and applies them to week boundaries and to the hours shown in messages.
+ * Until the settings are loaded, weeks start on Monday and hours are decimal.
+ *
+ * @author tiaan.swart@sleeq.global
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import moment from 'moment';
+import { getHarvestCompany } from './harvest-api.js';
+import Logger from './logger.js';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const DEFAULT_COMPANY_SETTINGS = {
+  weekStartDay: 'Monday',
+  timeFormat: 'decimal',
+};
+
+let companySettings = { ...DEFAULT_COMPANY_SETTINGS };
+
+/**
+ * Fetches the company settings from Harvest and uses them for the rest of the run
+ *
+ * @param {string} accountId - The Harvest account ID
+ * @param {string} token - The Harvest API token
+ * @returns {Promise<Object>} Company settings as { weekStartDay, timeFormat }
+ * @throws {HarvestApiError} If Harvest responds with a non-2xx status
+ */
+async function loadCompanySettings(accountId, token) {
+  const company = await getHarvestCompany(accountId, token);
+
+  companySettings = {
+    weekStartDay: WEEKDAYS.includes(company?.week_start_day)
+      ? company.week_start_day
+      : DEFAULT_COMPANY_SETTINGS.weekStartDay,
+    timeFormat: company?.time_format || DEFAULT_COMPANY_SETTINGS.timeFormat,
+  };
+  Logger.info('Harvest company settings loaded', companySettings);
+
+  return companySettings;
+}
+
+/**
+ * Gets the company settings in use
+ *
+ * @returns {Object} Company settings as { weekStartDay, timeFormat }
+ */
+function getCompanySettings() {
+  return companySettings;
+}
+
+/**
+ * Restores the default company settings
+ *
+ * @returns {void}
+ */
+function resetCompanySettings() {
+  companySettings = { ...DEFAULT_COMPANY_SETTINGS };
+}
+
+/**
+ * Gets the first day of the week containing a date
+ *
+ * @param {moment.Moment} date - Date within the week
+ * @returns {moment.Moment} Start of the first day of the week, per the company week start day
+ */
+function getWeekStart(date) {
+  const weekStartDay = WEEKDAYS.indexOf(companySettings.weekStartDay);
+  return date
+    .clone()
+    .startOf('day')
+    .subtract((date.day() - weekStartDay + 7) % 7, 'days');
+}
+
+/**
+ * Formats hours in the company time format
+ *
+ * @param {number} hours - Hours as a decimal number
+ * @returns {string} Hours as a rounded decimal (e.g. 7.5) or as hours and minutes (e.g. 7:30)
+ */
+function formatHours(hours) {
+  if (companySettings.timeFormat === 'hours_minutes') {
+    const totalMinutes = Math.round((hours || 0) * 60);
+    const sign = totalMinutes < 0 ? '-' : '';
+    const minutes = Math.abs(totalMinutes);
+    return `${sign}${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  return String(Math.round((hours || 0) * 100) / 100);
+}
+
+export {
+  loadCompanySettings,
+  getCompanySettings,
+  resetCompanySettings,
+  getWeekStart,
+  formatHours,
+};
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Harvest Forecast API utilities for Harvest Notifier
+ *
+ * Reads people, projects and scheduled assignments from Harvest Forecast so
+ * expected hours can follow each person's schedule instead of their capacity.
+ * Forecast uses the same transport as Harvest (timeout, retries), with its own
+ * base URL and account header.
+ *
+ * @author tiaan.swart@sleeq.global
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import Logger from './logger.js';
+import { HarvestClient } from './harvest-client.js';
+import { isHarvestOAuthConfigured, getHarvestOAuthToken } from './harvest-oauth.js';
+
+const DEFAULT_BASE_URL = 'https://api.forecastapp.com';
+
+/**
+ * Harvest Forecast API client
+ *
+ * @extends HarvestClient
+ */
+class ForecastClient extends HarvestClient {
+  /**
+   * @param {Object} options - Client options, see HarvestClient
+   * @param {string} options.baseUrl - API base URL (default: FORECAST_BASE_URL or https://api.forecastapp.com)
+   */
+  constructor({ baseUrl = process.env.FORECAST_BASE_URL || DEFAULT_BASE_URL, ...options } = {}) {
+    super({ ...options, baseUrl, apiName: 'Forecast' });
+  }
+
+  /**
+   * Headers required by every Forecast API request
+   * @type {Object}
+   */
+  get headers() {
+    return {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+      'User-Agent': this.userAgent,
+      'Forecast-Account-ID': this.accountId,
+      Authorization: `Bearer ${this.token}`,
+    };
+  }
+}
+
+/**
+ * Creates a Forecast client for the given credentials
+ *
+ * Without a token, the stored Harvest OAuth2 tokens are used when OAuth2 is configured.
+ *
+ * @param {string} accountId - The Forecast account ID
+ * @param {string} token - The Harvest API token (Harvest tokens also grant Forecast access)
+ * @returns {ForecastClient} Configured Forecast client
+ */
+function createForecastClient(accountId, token) {
+  return new ForecastClient({
+    accountId,
+    token,
+    tokenProvider: !token && isHarvestOAuthConfigured() ? getHarvestOAuthToken : null,
+  });
+}
+
+/**
+ * Retrieves people from Forecast API
+ *
+ * @param {string} accountId - The Forecast account ID
+ * @param {string} token - The Harvest API token
+ * @returns {Promise<Array>} Array of Forecast people (with harvest_user_id and email)
+ * @throws {HarvestApiError} If Forecast responds with a non-2xx status
+ */
+async function getForecastPeople(accountId, token) {
+  Logger.functionEntry('getForecastPeople', { accountId });
+
+  const data = await createForecastClient(accountId, token).get('/people', {}, { accountId });
+  const people = (data.people || []).filter((person) => !person.archived);
+
+  Logger.functionExit('getForecastPeople', { peopleCount: people.length });
+
+  return people;
+}
+
+/**
+ * Retrieves projects from Forecast API
+ *
+ * @param {string} accountId - The Forecast account ID
+ * @param {string} token - The Harvest API token
+ * @returns {Promise<Array>} Array of Forecast projects, including the Time Off project
+ * @throws {HarvestApiError} If Forecast responds with a non-2xx status
+ */
+async function getForecastProjects(accountId, token) {
+  Logger.functionEntry('getForecastProjects', { accountId });
+
+  const data = await createForecastClient(accountId, token).get('/projects', {}, { accountId });
+  const projects = data.projects || [];
+
+  Logger.functionExit('getForecastProjects', { projectsCount: projects.length });
+
+  return projects;
+}
+
+/**
+ * Retrieves scheduled assignments from Forecast API for a specific date range
+ *
+ * Assignments cover a date range with an allocation in seconds per day.
+ *
+ * @param {string} accountId - The Forecast account ID
+ * @param {string} token - The Harvest API token
+ * @param {string} from - Start date in YYYY-MM-DD format
+ * @param {string} to - End date in YYYY-MM-DD format
+ * @returns {Promise<Array>} Array of Forecast assignments overlapping the range
+ * @throws {HarvestApiError} If Forecast responds with a non-2xx status
+ */
+async function getForecastAssignments(accountId, token, from, to) {
+  Logger.functionEntry('getForecastAssignments', { accountId, from, to });
+
+  const data = await createForecastClient(accountId, token).get(
+    '/assignments',
+    { start_date: from, end_date: to },
+    { accountId, from, to }
+  );
+  const assignments = data.assignments || [];
+
+  Logger.functionExit('getForecastAssignments', { assignmentsCount: assignments.length });
+
+  return assignments;
+}
+
+export { getForecastPeople, getForecastProjects, getForecastAssignments, ForecastClient };
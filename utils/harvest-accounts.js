@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Harvest account credentials for Harvest Notifier
+ *
+ * Reads the Harvest accounts to check from HARVEST_ACCOUNTS, or the single
+ * account from HARVEST_ACCOUNT_ID and HARVEST_TOKEN, and keeps track of the
+ * account the current run is checking.
+ *
+ * @author tiaan.swart@sleeq.global
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { isHarvestOAuthConfigured } from './harvest-oauth.js';
+
+let activeAccount = null;
+
+/**
+ * Gets the Harvest accounts to check
+ *
+ * HARVEST_ACCOUNTS is a JSON array of accounts, e.g.
+ * [{"name": "Sleeq UK", "accountId": "123", "token": "..."}]. Without it the
+ * single, unnamed account from HARVEST_ACCOUNT_ID and HARVEST_TOKEN is used.
+ *
+ * @returns {Array<Object>} Accounts as { name, accountId, token, forecastAccountId }
+ * @throws {Error} If HARVEST_ACCOUNTS is not a valid list of accounts
+ */
+function getHarvestAccounts() {
+  if (!process.env.HARVEST_ACCOUNTS) {
+    return [
+      {
+        name: null,
+        accountId: process.env.HARVEST_ACCOUNT_ID,
+        token: process.env.HARVEST_TOKEN,
+        forecastAccountId: process.env.FORECAST_ACCOUNT_ID,
+      },
+    ];
+  }
+
+  let accounts;
+  try {
+    accounts = JSON.parse(process.env.HARVEST_ACCOUNTS);
+  } catch (error) {
+    throw new Error(`HARVEST_ACCOUNTS is not valid JSON: ${error.message}`);
+  }
+
+  if (!Array.isArray(accounts) || !accounts.length) {
+    throw new Error('HARVEST_ACCOUNTS must be a non-empty JSON array of accounts');
+  }
+
+  return accounts.map((account, index) => {
+    // OAuth2 tokens cover every account the authorizing user can access
+    if (!account?.accountId || (!account?.token && !isHarvestOAuthConfigured())) {
+      throw new Error(`HARVEST_ACCOUNTS entry ${index + 1} needs an accountId and a token`);
+    }
+
+    return {
+      name: account.name || String(account.accountId),
+      accountId: String(account.accountId),
+      token: account.token,
+      forecastAccountId: account.forecastAccountId || process.env.FORECAST_ACCOUNT_ID,
+    };
+  });
+}
+
+/**
+ * Sets the Harvest account the run is checking
+ *
+ * @param {Object|null} account - Account from getHarvestAccounts, or null for the default account
+ * @returns {void}
+ */
+function useHarvestAccount(account) {
+  activeAccount = account;
+}
+
+/**
+ * Gets the Harvest account the run is checking
+ *
+ * @returns {Object} The active account, or the first configured account when none was set
+ */
+function getHarvestAccount() {
+  return activeAccount || getHarvestAccounts()[0];
+}
+
+/**
+ * Gets the state store namespace of a feature for the active account
+ *
+ * Accounts from HARVEST_ACCOUNTS keep their state apart, while a single
+ * account keeps using the plain namespace.
+ *
+ * @param {string} namespace - Feature namespace (e.g. 'budgetAlerts')
+ * @returns {string} Namespace for the active account
+ */
+function getAccountStateNamespace(namespace) {
+  return process.env.HARVEST_ACCOUNTS ? `${namespace}:${getHarvestAccount().accountId}` : namespace;
+}
+
+export { getHarvestAccounts, useHarvestAccount, getHarvestAccount, getAccountStateNamespace };
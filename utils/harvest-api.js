@@ -9,54 +9,119 @@
  * @license MIT
  */
 
-import fetch from 'node-fetch';
 import Logger from './logger.js';
+import { HarvestClient, HarvestApiError } from './harvest-client.js';
+import { isHarvestOAuthConfigured, getHarvestOAuthToken } from './harvest-oauth.js';
+
+const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * Gets the number of records to request per page
+ *
+ * @returns {number} HARVEST_PAGE_SIZE or 100
+ */
+function getHarvestPageSize() {
+  return parseInt(process.env.HARVEST_PAGE_SIZE, 10) || DEFAULT_PAGE_SIZE;
+}
+
+/**
+ * Creates a Harvest client for the given credentials
+ *
+ * Base URL, timeout and user agent are taken from the environment
+ * (HARVEST_BASE_URL, HARVEST_TIMEOUT_MS, HARVEST_USER_AGENT). Without a
+ * token, the stored OAuth2 tokens are used when OAuth2 is configured.
+ *
+ * @param {string} accountId - The Harvest account ID
+ * @param {string} token - The Harvest API token
+ * @returns {HarvestClient} Configured Harvest client
+ */
+function createHarvestClient(accountId, token) {
+  return new HarvestClient({
+    accountId,
+    token,
+    tokenProvider: !token && isHarvestOAuthConfigured() ? getHarvestOAuthToken : null,
+  });
+}
+
+/**
+ * Retrieves the company settings of the Harvest account
+ *
+ * @param {string} accountId - The Harvest account ID
+ * @param {string} token - The Harvest API token
+ * @returns {Promise<Object>} Harvest company, including week_start_day and time_format
+ * @throws {HarvestApiError} If Harvest responds with a non-2xx status
+ * @throws {Error} If the API request fails
+ */
+async function getHarvestCompany(accountId, token) {
+  Logger.functionEntry('getHarvestCompany', { accountId });
+
+  const company = await createHarvestClient(accountId, token).get('/v2/company', {}, { accountId });
+
+  Logger.functionExit('getHarvestCompany', {
+    weekStartDay: company?.week_start_day,
+    timeFormat: company?.time_format,
+  });
+
+  return company;
+}
+
+/**
+ * Retrieves the Harvest user the token belongs to
+ *
+ * @param {string} accountId - The Harvest account ID
+ * @param {string} token - The Harvest API token
+ * @returns {Promise<Object>} Harvest user, including access_roles
+ * @throws {HarvestApiError} If Harvest responds with a non-2xx status
+ * @throws {Error} If the API request fails
+ */
+async function getHarvestCurrentUser(accountId, token) {
+  Logger.functionEntry('getHarvestCurrentUser', { accountId });
+
+  const user = await createHarvestClient(accountId, token).get('/v2/users/me', {}, { accountId });
+
+  Logger.functionExit('getHarvestCurrentUser', {
+    userId: user?.id,
+    accessRoles: user?.access_roles,
+  });
+
+  return user;
+}
 
 /**
  * Retrieves active users from Harvest API
  *
- * Fetches all users from the Harvest account and filters out inactive users
- * and users in the exclusion list (whitelist).
+ * Fetches all users from the Harvest account, following pagination until the
+ * last page, and filters out inactive users and users in the exclusion list (whitelist).
  *
  * @param {string} accountId - The Harvest account ID
  * @param {string} token - The Harvest API token
  * @param {string} excludedUsers - Comma-separated list of email addresses to exclude
+ * @param {number} perPage - Number of users per page (default: HARVEST_PAGE_SIZE or 100)
  * @returns {Promise<Array>} Array of active Harvest users
+ * @throws {HarvestApiError} If Harvest responds with a non-2xx status
  * @throws {Error} If the API request fails
  */
-async function getHarvestUsers(accountId, token, excludedUsers) {
+async function getHarvestUsers(accountId, token, excludedUsers, perPage = getHarvestPageSize()) {
   Logger.functionEntry('getHarvestUsers', { accountId, excludedUsers });
 
-  Logger.apiRequest('Harvest', 'GET /v2/users', { accountId });
-  const response = await fetch('https://api.harvestapp.com/v2/users', {
-    method: 'get',
-    headers: {
-      'Content-Type': 'application/json',
-      Accept: 'application/json',
-      'Harvest-Account-Id': accountId,
-      Authorization: `Bearer ${token}`,
-    },
-  });
+  const users = [];
+  const pages = createHarvestClient(accountId, token).paginate(
+    '/v2/users',
+    'users',
+    { per_page: perPage },
+    { accountId }
+  );
 
-  const data = await response.json();
-  Logger.apiResponse('Harvest', response.status, { usersCount: data.users?.length || 0 });
-
-  // Handle case where data.users is undefined or null
-  if (!data.users || !Array.isArray(data.users)) {
-    Logger.functionExit('getHarvestUsers', {
-      totalUsers: 0,
-      activeUsers: 0,
-      excludedUsers: excludedUsers ? excludedUsers.split(',').length : 0,
-    });
-    return [];
+  for await (const user of pages) {
+    users.push(user);
   }
 
-  const filteredUsers = data.users.filter(
+  const filteredUsers = users.filter(
     (user) => user.is_active && (!excludedUsers || !excludedUsers.split(',').includes(user.email))
   );
 
   Logger.functionExit('getHarvestUsers', {
-    totalUsers: data.users?.length || 0,
+    totalUsers: users.length,
     activeUsers: filteredUsers.length,
     excludedUsers: excludedUsers ? excludedUsers.split(',').length : 0,
   });
@@ -64,44 +129,328 @@ async function getHarvestUsers(accountId, token, excludedUsers) {
   return filteredUsers;
 }
 
+/**
+ * Iterates over team time report rows from Harvest API for a specific date range
+ *
+ * Walks every page of the report and yields rows as each page arrives, so large
+ * ranges can be processed without buffering the whole report.
+ *
+ * @param {string} accountId - The Harvest account ID
+ * @param {string} token - The Harvest API token
+ * @param {string} dateFrom - Start date in YYYY-MM-DD format
+ * @param {string} dateTo - End date in YYYY-MM-DD format
+ * @param {number} perPage - Number of rows per page (default: HARVEST_PAGE_SIZE or 100)
+ * @yields {Object} Each time report row across all pages
+ * @throws {Error} If the API request fails
+ */
+async function* iterateHarvestTeamTimeReport(
+  accountId,
+  token,
+  dateFrom,
+  dateTo,
+  perPage = getHarvestPageSize()
+) {
+  yield* createHarvestClient(accountId, token).paginate(
+    '/v2/reports/time/team',
+    'results',
+    { from: dateFrom, to: dateTo, per_page: perPage },
+    { accountId, dateFrom, dateTo }
+  );
+}
+
 /**
  * Retrieves team time reports from Harvest API for a specific date range
  *
- * Fetches time entries for all users within the specified date range.
+ * Fetches time entries for all users within the specified date range, merging
+ * the rows of every page of the report.
  *
  * @param {string} accountId - The Harvest account ID
  * @param {string} token - The Harvest API token
  * @param {string} dateFrom - Start date in YYYY-MM-DD format
  * @param {string} dateTo - End date in YYYY-MM-DD format
+ * @param {number} perPage - Number of rows per page (default: HARVEST_PAGE_SIZE or 100)
  * @returns {Promise<Array>} Array of time report entries
+ * @throws {HarvestApiError} If Harvest responds with a non-2xx status
  * @throws {Error} If the API request fails
  */
-async function getHarvestTeamTimeReport(accountId, token, dateFrom, dateTo) {
+async function getHarvestTeamTimeReport(accountId, token, dateFrom, dateTo, perPage) {
   Logger.functionEntry('getHarvestTeamTimeReport', { accountId, dateFrom, dateTo });
 
-  Logger.apiRequest('Harvest', 'GET /v2/reports/time/team', { accountId, dateFrom, dateTo });
-  const response = await fetch(
-    `https://api.harvestapp.com/v2/reports/time/team?from=${dateFrom}&to=${dateTo}`,
+  const results = [];
+  for await (const row of iterateHarvestTeamTimeReport(accountId, token, dateFrom, dateTo, perPage)) {
+    results.push(row);
+  }
+
+  Logger.functionExit('getHarvestTeamTimeReport', {
+    resultsCount: results.length,
+  });
+
+  return results;
+}
+
+/**
+ * Retrieves time entries from Harvest API for a specific date range
+ *
+ * Walks every page of /v2/time_entries. Additional filters supported by Harvest
+ * (such as user_id or is_running) can be passed through.
+ *
+ * @param {string} accountId - The Harvest account ID
+ * @param {string} token - The Harvest API token
+ * @param {string} dateFrom - Start date in YYYY-MM-DD format
+ * @param {string} dateTo - End date in YYYY-MM-DD format
+ * @param {Object} filters - Additional query filters (e.g. { user_id: 1 })
+ * @param {number} perPage - Number of time entries per page (default: HARVEST_PAGE_SIZE or 100)
+ * @returns {Promise<Array>} Array of time entries
+ * @throws {HarvestApiError} If Harvest responds with a non-2xx status
+ * @throws {Error} If the API request fails
+ */
+async function getHarvestTimeEntries(
+  accountId,
+  token,
+  dateFrom,
+  dateTo,
+  filters = {},
+  perPage = getHarvestPageSize()
+) {
+  Logger.functionEntry('getHarvestTimeEntries', { accountId, dateFrom, dateTo, filters });
+
+  const timeEntries = [];
+  const pages = createHarvestClient(accountId, token).paginate(
+    '/v2/time_entries',
+    'time_entries',
     {
-      method: 'get',
-      headers: {
-        'Content-Type': 'application/json',
-        Accept: 'application/json',
-        'Harvest-Account-Id': accountId,
-        Authorization: `Bearer ${token}`,
-      },
-    }
+      from: dateFrom,
+      to: dateTo,
+      ...filters,
+      per_page: perPage,
+    },
+    { accountId, dateFrom, dateTo, filters }
   );
 
-  const data = await response.json();
-  Logger.apiResponse('Harvest', response.status, { resultsCount: data.results?.length || 0 });
+  for await (const entry of pages) {
+    timeEntries.push(entry);
+  }
 
-  Logger.functionExit('getHarvestTeamTimeReport', {
-    resultsCount: data.results?.length || 0,
+  Logger.functionExit('getHarvestTimeEntries', { timeEntriesCount: timeEntries.length });
+
+  return timeEntries;
+}
+
+/**
+ * Retrieves expenses from Harvest API for a specific date range
+ *
+ * Walks every page of /v2/expenses. Additional filters supported by Harvest
+ * (such as user_id or project_id) can be passed through.
+ *
+ * @param {string} accountId - The Harvest account ID
+ * @param {string} token - The Harvest API token
+ * @param {string} dateFrom - Start date in YYYY-MM-DD format
+ * @param {string} dateTo - End date in YYYY-MM-DD format
+ * @param {Object} filters - Additional query filters (e.g. { user_id: 1 })
+ * @param {number} perPage - Number of expenses per page (default: HARVEST_PAGE_SIZE or 100)
+ * @returns {Promise<Array>} Array of expenses
+ * @throws {HarvestApiError} If Harvest responds with a non-2xx status
+ * @throws {Error} If the API request fails
+ */
+async function getHarvestExpenses(
+  accountId,
+  token,
+  dateFrom,
+  dateTo,
+  filters = {},
+  perPage = getHarvestPageSize()
+) {
+  Logger.functionEntry('getHarvestExpenses', { accountId, dateFrom, dateTo, filters });
+
+  const expenses = [];
+  const pages = createHarvestClient(accountId, token).paginate(
+    '/v2/expenses',
+    'expenses',
+    {
+      from: dateFrom,
+      to: dateTo,
+      ...filters,
+      per_page: perPage,
+    },
+    { accountId, dateFrom, dateTo, filters }
+  );
+
+  for await (const expense of pages) {
+    expenses.push(expense);
+  }
+
+  Logger.functionExit('getHarvestExpenses', { expensesCount: expenses.length });
+
+  return expenses;
+}
+
+/**
+ * Retrieves project assignments for every user from Harvest API
+ *
+ * Walks every page of /v2/user_assignments. Filters supported by Harvest
+ * (such as is_active) can be passed through.
+ *
+ * @param {string} accountId - The Harvest account ID
+ * @param {string} token - The Harvest API token
+ * @param {Object} filters - Query filters (e.g. { is_active: true })
+ * @param {number} perPage - Number of user assignments per page (default: HARVEST_PAGE_SIZE or 100)
+ * @returns {Promise<Array>} Array of user assignments
+ * @throws {HarvestApiError} If Harvest responds with a non-2xx status
+ * @throws {Error} If the API request fails
+ */
+async function getHarvestUserAssignments(accountId, token, filters = {}, perPage = getHarvestPageSize()) {
+  Logger.functionEntry('getHarvestUserAssignments', { accountId, filters });
+
+  const userAssignments = [];
+  const pages = createHarvestClient(accountId, token).paginate(
+    '/v2/user_assignments',
+    'user_assignments',
+    {
+      ...filters,
+      per_page: perPage,
+    },
+    { accountId, filters }
+  );
+
+  for await (const userAssignment of pages) {
+    userAssignments.push(userAssignment);
+  }
+
+  Logger.functionExit('getHarvestUserAssignments', {
+    userAssignmentsCount: userAssignments.length,
   });
 
-  // Handle case where data.results is undefined or null
-  return data.results || [];
+  return userAssignments;
+}
+
+/**
+ * Retrieves currently running timers from Harvest API
+ *
+ * Fetches every time entry with a running timer, regardless of its date.
+ *
+ * @param {string} accountId - The Harvest account ID
+ * @param {string} token - The Harvest API token
+ * @param {number} perPage - Number of time entries per page (default: HARVEST_PAGE_SIZE or 100)
+ * @returns {Promise<Array>} Array of running time entries
+ * @throws {HarvestApiError} If Harvest responds with a non-2xx status
+ * @throws {Error} If the API request fails
+ */
+async function getHarvestRunningTimeEntries(accountId, token, perPage = getHarvestPageSize()) {
+  Logger.functionEntry('getHarvestRunningTimeEntries', { accountId });
+
+  const timeEntries = [];
+  const pages = createHarvestClient(accountId, token).paginate(
+    '/v2/time_entries',
+    'time_entries',
+    {
+      is_running: true,
+      per_page: perPage,
+    },
+    { accountId, isRunning: true }
+  );
+
+  for await (const entry of pages) {
+    timeEntries.push(entry);
+  }
+
+  Logger.functionExit('getHarvestRunningTimeEntries', { timeEntriesCount: timeEntries.length });
+
+  return timeEntries;
+}
+
+/**
+ * Retrieves uninvoiced hours and expenses per project from Harvest API
+ *
+ * Uses the uninvoiced report, which lists the billable hours, expenses and
+ * amount not yet invoiced for every project in the date range.
+ *
+ * @param {string} accountId - The Harvest account ID
+ * @param {string} token - The Harvest API token
+ * @param {string} dateFrom - Start date in YYYY-MM-DD format
+ * @param {string} dateTo - End date in YYYY-MM-DD format
+ * @param {number} perPage - Number of results per page (default: HARVEST_PAGE_SIZE or 100)
+ * @returns {Promise<Array>} Array of uninvoiced report results
+ * @throws {HarvestApiError} If Harvest responds with a non-2xx status
+ * @throws {Error} If the API request fails
+ */
+async function getHarvestUninvoicedReport(
+  accountId,
+  token,
+  dateFrom,
+  dateTo,
+  perPage = getHarvestPageSize()
+) {
+  Logger.functionEntry('getHarvestUninvoicedReport', { accountId, dateFrom, dateTo });
+
+  const results = [];
+  const pages = createHarvestClient(accountId, token).paginate(
+    '/v2/reports/uninvoiced',
+    'results',
+    {
+      from: dateFrom,
+      to: dateTo,
+      per_page: perPage,
+    },
+    { accountId, dateFrom, dateTo }
+  );
+
+  for await (const result of pages) {
+    results.push(result);
+  }
+
+  Logger.functionExit('getHarvestUninvoicedReport', { resultsCount: results.length });
+
+  return results;
+}
+
+/**
+ * Retrieves budget usage for active projects from Harvest API
+ *
+ * Uses the project budget report, which includes the budget, the amount spent
+ * and the amount remaining for every project with a budget.
+ *
+ * @param {string} accountId - The Harvest account ID
+ * @param {string} token - The Harvest API token
+ * @param {number} perPage - Number of projects per page (default: HARVEST_PAGE_SIZE or 100)
+ * @returns {Promise<Array>} Array of project budget report results
+ * @throws {HarvestApiError} If Harvest responds with a non-2xx status
+ * @throws {Error} If the API request fails
+ */
+async function getHarvestProjectBudgetReport(accountId, token, perPage = getHarvestPageSize()) {
+  Logger.functionEntry('getHarvestProjectBudgetReport', { accountId });
+
+  const projectBudgets = [];
+  const pages = createHarvestClient(accountId, token).paginate(
+    '/v2/reports/project_budget',
+    'results',
+    {
+      is_active: true,
+      per_page: perPage,
+    },
+    { accountId }
+  );
+
+  for await (const projectBudget of pages) {
+    projectBudgets.push(projectBudget);
+  }
+
+  Logger.functionExit('getHarvestProjectBudgetReport', { projectsCount: projectBudgets.length });
+
+  return projectBudgets;
 }
 
-export { getHarvestUsers, getHarvestTeamTimeReport };
+export {
+  getHarvestCompany,
+  getHarvestCurrentUser,
+  getHarvestUsers,
+  getHarvestTeamTimeReport,
+  iterateHarvestTeamTimeReport,
+  getHarvestTimeEntries,
+  getHarvestRunningTimeEntries,
+  getHarvestUserAssignments,
+  getHarvestProjectBudgetReport,
+  getHarvestExpenses,
+  getHarvestUninvoicedReport,
+  HarvestApiError,
+  HarvestClient,
+};
@@ -0,0 +1,355 @@
+/**
+ * @fileoverview Harvest API client for Harvest Notifier
+ *
+ * Wraps the Harvest v2 REST API with the account headers, request timeout,
+ * retry/backoff and pagination handling shared by every Harvest endpoint.
+ * Tokens can come from a token provider, such as the stored OAuth2 tokens,
+ * which is asked for a fresh token when Harvest rejects the current one.
+ *
+ * @author tiaan.swart@sleeq.global
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import nodeFetch from 'node-fetch';
+import Logger from './logger.js';
+
+const DEFAULT_BASE_URL = 'https://api.harvestapp.com';
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_USER_AGENT = 'Harvest Notifier (https://github.com/tiaanswart/harvest-notifier)';
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_BASE_DELAY_MS = 1000;
+
+/**
+ * Parses an integer environment variable, allowing 0 as a valid value
+ *
+ * @param {string} value - Raw environment variable value
+ * @param {number} fallback - Value used when unset or not a number
+ * @returns {number} Parsed value
+ */
+const parseIntSetting = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+/**
+ * Error raised when the Harvest API responds with a non-2xx status
+ *
+ * @extends Error
+ */
+class HarvestApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {number|null} details.status - HTTP status code returned by Harvest (null on timeout)
+   * @param {string} details.endpoint - Endpoint that was requested
+   * @param {*} details.body - Error body returned by Harvest
+   */
+  constructor(message, { status, endpoint, body }) {
+    super(message);
+    this.name = 'HarvestApiError';
+    this.status = status;
+    this.endpoint = endpoint;
+    this.body = body;
+  }
+
+  /**
+   * Whether the request may succeed if retried (rate limited or server error)
+   * @type {boolean}
+   */
+  get isRetryable() {
+    return this.status === 429 || this.status >= 500;
+  }
+}
+
+/**
+ * Reads the error body of a failed Harvest response
+ *
+ * @param {Object} response - Fetch response
+ * @returns {Promise<*>} Parsed JSON body, or null if it cannot be parsed
+ */
+async function readErrorBody(response) {
+  try {
+    return await response.json();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Harvest API client
+ *
+ * Holds the account credentials and transport settings so endpoint functions
+ * only need to describe the path, query parameters and result property.
+ */
+class HarvestClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.accountId - The Harvest account ID
+   * @param {string} options.token - The Harvest API token
+   * @param {string} options.baseUrl - API base URL (default: HARVEST_BASE_URL or https://api.harvestapp.com)
+   * @param {number} options.timeout - Request timeout in milliseconds (default: HARVEST_TIMEOUT_MS or 30000)
+   * @param {string} options.userAgent - User-Agent header sent to Harvest (default: HARVEST_USER_AGENT)
+   * @param {Function} options.fetch - Fetch implementation (default: node-fetch)
+   * @param {number} options.maxRetries - Retries after 429/5xx responses (default: HARVEST_MAX_RETRIES or 3)
+   * @param {number} options.retryBaseDelay - Initial retry delay in milliseconds (default: HARVEST_RETRY_BASE_DELAY_MS or 1000)
+   * @param {string} options.apiName - API name used in logs and error messages (default: Harvest)
+   * @param {Function} options.tokenProvider - Async function returning the token, called with { forceRefresh } (default: use token)
+   */
+  constructor({
+    accountId,
+    token,
+    baseUrl = process.env.HARVEST_BASE_URL || DEFAULT_BASE_URL,
+    timeout = parseIntSetting(process.env.HARVEST_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+    userAgent = process.env.HARVEST_USER_AGENT || DEFAULT_USER_AGENT,
+    fetch = nodeFetch,
+    maxRetries = parseIntSetting(process.env.HARVEST_MAX_RETRIES, DEFAULT_MAX_RETRIES),
+    retryBaseDelay = parseIntSetting(
+      process.env.HARVEST_RETRY_BASE_DELAY_MS,
+      DEFAULT_RETRY_BASE_DELAY_MS
+    ),
+    apiName = 'Harvest',
+    tokenProvider = null,
+  } = {}) {
+    this.accountId = accountId;
+    this.token = token;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.timeout = timeout;
+    this.userAgent = userAgent;
+    this.fetch = fetch;
+    this.maxRetries = maxRetries;
+    this.retryBaseDelay = retryBaseDelay;
+    this.apiName = apiName;
+    this.tokenProvider = tokenProvider;
+  }
+
+  /**
+   * Headers required by every Harvest API request
+   * @type {Object}
+   */
+  get headers() {
+    return {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+      'User-Agent': this.userAgent,
+      'Harvest-Account-Id': this.accountId,
+      Authorization: `Bearer ${this.token}`,
+    };
+  }
+
+  /**
+   * Builds a request URL from a path and query parameters
+   *
+   * Absolute URLs (such as Harvest's `links.next`) are returned unchanged.
+   *
+   * @param {string} path - API path (e.g. '/v2/users') or absolute URL
+   * @param {Object} params - Query parameters, undefined and null values are skipped
+   * @returns {string} Request URL
+   */
+  buildUrl(path, params = {}) {
+    if (/^https?:\/\//.test(path)) {
+      return path;
+    }
+
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        query.set(key, value);
+      }
+    });
+
+    const queryString = query.toString();
+    return `${this.baseUrl}${path}${queryString ? `?${queryString}` : ''}`;
+  }
+
+  /**
+   * Calculates how long to wait before retrying a failed request
+   *
+   * Honours the Retry-After header (seconds or HTTP date) when present,
+   * otherwise backs off exponentially from the retry base delay.
+   *
+   * @param {Object} response - Fetch response of the failed attempt
+   * @param {number} attempt - Zero-based attempt number
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(response, attempt) {
+    const retryAfter = response.headers?.get?.('retry-after');
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      if (!Number.isNaN(seconds)) {
+        return seconds * 1000;
+      }
+      const retryAt = Date.parse(retryAfter);
+      if (!Number.isNaN(retryAt)) {
+        return Math.max(0, retryAt - Date.now());
+      }
+    }
+
+    return this.retryBaseDelay * 2 ** attempt;
+  }
+
+  /**
+   * Sends a single request, aborting it once the timeout elapses
+   *
+   * @param {string} url - URL to request
+   * @param {string} endpoint - Endpoint description used for errors
+   * @returns {Promise<Object>} Fetch response
+   * @throws {HarvestApiError} If the request times out
+   */
+  async send(url, endpoint) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      return await this.fetch(url, {
+        method: 'get',
+        headers: this.headers,
+        signal: controller.signal,
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new HarvestApiError(
+          `${this.apiName} API request ${endpoint} timed out after ${this.timeout}ms`,
+          { status: null, endpoint, body: null }
+        );
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Takes the token from the token provider, if the client has one
+   *
+   * @param {boolean} forceRefresh - Whether the provider should refresh the token
+   * @returns {Promise<void>}
+   */
+  async authorize(forceRefresh = false) {
+    if (this.tokenProvider) {
+      this.token = await this.tokenProvider({ forceRefresh });
+    }
+  }
+
+  /**
+   * Sends a GET request, retrying rate limited and server errors
+   *
+   * A 401 response is retried once with a refreshed token when the client has
+   * a token provider.
+   *
+   * @param {string} url - URL to request
+   * @param {string} endpoint - Endpoint description used for logging and errors
+   * @returns {Promise<Object>} Successful fetch response
+   * @throws {HarvestApiError} If Harvest responds with a non-2xx status after all retries
+   */
+  async request(url, endpoint) {
+    let tokenRefreshed = false;
+    await this.authorize();
+
+    for (let attempt = 0; ; attempt++) {
+      const response = await this.send(url, endpoint);
+
+      if (response.ok) {
+        return response;
+      }
+
+      if (response.status === 401 && this.tokenProvider && !tokenRefreshed) {
+        Logger.warn(`${this.apiName} rejected the access token, refreshing it`, { endpoint });
+        tokenRefreshed = true;
+        await this.authorize(true);
+        // Retrying with a refreshed token does not count towards maxRetries
+        attempt -= 1;
+        continue;
+      }
+
+      const error = new HarvestApiError(
+        `${this.apiName} API request ${endpoint} failed with status ${response.status}`,
+        { status: response.status, endpoint, body: await readErrorBody(response) }
+      );
+      Logger.apiResponse(this.apiName, response.status, { error: error.body });
+
+      if (!error.isRetryable || attempt >= this.maxRetries) {
+        throw error;
+      }
+
+      const delay = this.getRetryDelay(response, attempt);
+      Logger.warn(`Retrying ${this.apiName} API request`, {
+        endpoint,
+        status: response.status,
+        attempt: attempt + 1,
+        maxRetries: this.maxRetries,
+        delayMs: delay,
+      });
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Fetches a single (non-paginated) Harvest resource
+   *
+   * @param {string} path - API path (e.g. '/v2/company')
+   * @param {Object} params - Query parameters
+   * @param {Object} logParams - Parameters logged with the request
+   * @returns {Promise<Object>} Parsed response body
+   * @throws {HarvestApiError} If Harvest responds with a non-2xx status
+   */
+  async get(path, params = {}, logParams = null) {
+    const endpoint = `GET ${path}`;
+
+    Logger.apiRequest(this.apiName, endpoint, logParams);
+    const response = await this.request(this.buildUrl(path, params), endpoint);
+    const data = await response.json();
+    Logger.apiResponse(this.apiName, response.status, null);
+
+    return data;
+  }
+
+  /**
+   * Iterates over every record of a paginated Harvest endpoint
+   *
+   * Requests one page at a time and yields its records before requesting the
+   * next page, so callers can start processing before the last page arrives.
+   * Follows `links.next` and falls back to `next_page`.
+   *
+   * @param {string} path - API path (e.g. '/v2/users')
+   * @param {string} resultsKey - Response property holding the page records (e.g. 'users')
+   * @param {Object} params - Query parameters of the first page
+   * @param {Object} logParams - Parameters logged with each request
+   * @yields {Object} Each record across all pages
+   * @throws {HarvestApiError} If Harvest responds with a non-2xx status
+   */
+  async *paginate(path, resultsKey, params = {}, logParams = null) {
+    const endpoint = `GET ${path}`;
+    let url = this.buildUrl(path, params);
+
+    while (url) {
+      Logger.apiRequest(this.apiName, endpoint, logParams);
+      const response = await this.request(url, endpoint);
+
+      const data = await response.json();
+      const records = data[resultsKey];
+      Logger.apiResponse(this.apiName, response.status, {
+        [`${resultsKey}Count`]: records?.length || 0,
+      });
+
+      // Handle case where the records property is undefined or null
+      if (!records || !Array.isArray(records)) {
+        return;
+      }
+
+      yield* records;
+
+      if (data.links?.next) {
+        url = data.links.next;
+      } else if (data.next_page) {
+        const nextUrl = new URL(url);
+        nextUrl.searchParams.set('page', data.next_page);
+        url = nextUrl.toString();
+      } else {
+        url = null;
+      }
+    }
+  }
+}
+
+export { HarvestClient, HarvestApiError };
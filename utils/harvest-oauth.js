@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Harvest OAuth2 authorization for Harvest Notifier
+ *
+ * Implements Harvest's OAuth2 authorization-code flow so the notifier does not
+ * depend on one person's personal access token. The access and refresh tokens
+ * are kept in the state store and the access token is refreshed before it
+ * expires.
+ *
+ * @author tiaan.swart@sleeq.global
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import nodeFetch from 'node-fetch';
+import Logger from './logger.js';
+import { HarvestApiError } from './harvest-client.js';
+import { readState, writeState } from './state-store.js';
+
+const DEFAULT_AUTHORIZE_URL = 'https://id.getharvest.com/oauth2/authorize';
+const DEFAULT_TOKEN_URL = 'https://id.getharvest.com/api/v2/oauth2/token';
+const DEFAULT_TIMEOUT_MS = 30000;
+const STATE_NAMESPACE = 'harvestOAuth';
+
+// Access tokens are refreshed this long before they expire
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Whether Harvest OAuth2 is configured
+ *
+ * @returns {boolean} True when HARVEST_OAUTH_CLIENT_ID and HARVEST_OAUTH_CLIENT_SECRET are set
+ */
+function isHarvestOAuthConfigured() {
+  return Boolean(process.env.HARVEST_OAUTH_CLIENT_ID && process.env.HARVEST_OAUTH_CLIENT_SECRET);
+}
+
+/**
+ * Gets the token endpoint of Harvest ID
+ *
+ * @returns {string} HARVEST_OAUTH_TOKEN_URL or the Harvest ID token endpoint
+ */
+function getTokenUrl() {
+  return process.env.HARVEST_OAUTH_TOKEN_URL || DEFAULT_TOKEN_URL;
+}
+
+/**
+ * Builds the Harvest ID URL where a user authorizes the notifier
+ *
+ * @param {string} state - Random value returned with the redirect, to reject forged callbacks
+ * @returns {string} Authorization URL
+ */
+function getHarvestAuthorizeUrl(state) {
+  const url = new URL(process.env.HARVEST_OAUTH_AUTHORIZE_URL || DEFAULT_AUTHORIZE_URL);
+  url.searchParams.set('client_id', process.env.HARVEST_OAUTH_CLIENT_ID);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('state', state);
+
+  return url.toString();
+}
+
+/**
+ * Requests tokens from the Harvest ID token endpoint and stores them
+ *
+ * @param {Object} params - Grant parameters (grant_type and code or refresh_token)
+ * @param {Function} fetch - Fetch implementation
+ * @returns {Promise<Object>} Stored tokens as { accessToken, refreshToken, expiresAt }
+ * @throws {HarvestApiError} If the token endpoint responds with a non-2xx status or times out
+ */
+async function requestTokens(params, fetch) {
+  const tokenUrl = getTokenUrl();
+  const endpoint = `POST ${new URL(tokenUrl).pathname}`;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), DEFAULT_TIMEOUT_MS);
+
+  Logger.apiRequest('Harvest', endpoint, { grantType: params.grant_type });
+
+  let response;
+  try {
+    response = await fetch(tokenUrl, {
+      method: 'post',
+      headers: { Accept: 'application/json' },
+      body: new URLSearchParams({
+        ...params,
+        client_id: process.env.HARVEST_OAUTH_CLIENT_ID,
+        client_secret: process.env.HARVEST_OAUTH_CLIENT_SECRET,
+      }),
+      signal: controller.signal,
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new HarvestApiError(`Harvest OAuth2 token request timed out after ${DEFAULT_TIMEOUT_MS}ms`, {
+        status: null,
+        endpoint,
+        body: null,
+      });
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const body = await response.json().catch(() => null);
+  Logger.apiResponse('Harvest', response.status, null);
+
+  if (!response.ok) {
+    throw new HarvestApiError(`Harvest OAuth2 token request failed with status ${response.status}`, {
+      status: response.status,
+      endpoint,
+      body,
+    });
+  }
+
+  const tokens = {
+    accessToken: body.access_token,
+    // Keep the current refresh token if Harvest does not issue a new one
+    refreshToken: body.refresh_token || params.refresh_token,
+    expiresAt: new Date(Date.now() + body.expires_in * 1000).toISOString(),
+  };
+  await writeState(STATE_NAMESPACE, tokens);
+
+  return tokens;
+}
+
+/**
+ * Exchanges an authorization code for tokens and stores them
+ *
+ * @param {string} code - Code from the Harvest ID redirect
+ * @param {Function} fetch - Fetch implementation (default: node-fetch)
+ * @returns {Promise<Object>} Stored tokens as { accessToken, refreshToken, expiresAt }
+ * @throws {HarvestApiError} If Harvest ID rejects the code
+ */
+async function exchangeHarvestAuthorizationCode(code, fetch = nodeFetch) {
+  Logger.info('Exchanging Harvest authorization code for tokens');
+  return requestTokens({ grant_type: 'authorization_code', code }, fetch);
+}
+
+/**
+ * Gets a valid Harvest OAuth2 access token
+ *
+ * Refreshes the stored access token when it is about to expire, or when
+ * forced to because Harvest rejected it. Without stored tokens, the refresh
+ * token from HARVEST_OAUTH_REFRESH_TOKEN is used, so hosts without persistent
+ * storage can be seeded from config.
+ *
+ * @param {Object} options - Options
+ * @param {boolean} options.forceRefresh - Refresh the token even if it has not expired
+ * @param {Function} options.fetch - Fetch implementation (default: node-fetch)
+ * @returns {Promise<string>} Access token
+ * @throws {Error} If no tokens are stored yet
+ * @throws {HarvestApiError} If Harvest ID rejects the refresh token
+ */
+async function getHarvestOAuthToken({ forceRefresh = false, fetch = nodeFetch } = {}) {
+  const storedTokens = await readState(STATE_NAMESPACE);
+  const tokens = storedTokens.refreshToken
+    ? storedTokens
+    : { refreshToken: process.env.HARVEST_OAUTH_REFRESH_TOKEN };
+
+  if (!tokens.refreshToken) {
+    throw new Error(
+      'No Harvest OAuth2 tokens stored, run `npm run authorize` first or set HARVEST_OAUTH_REFRESH_TOKEN'
+    );
+  }
+
+  // Seeded tokens have no access token yet, so they are always refreshed first
+  if (!forceRefresh && Date.parse(tokens.expiresAt) - Date.now() > REFRESH_MARGIN_MS) {
+    return tokens.accessToken;
+  }
+
+  Logger.info('Refreshing Harvest access token', { expiresAt: tokens.expiresAt, forceRefresh });
+  const refreshed = await requestTokens(
+    { grant_type: 'refresh_token', refresh_token: tokens.refreshToken },
+    fetch
+  );
+
+  return refreshed.accessToken;
+}
+
+export {
+  isHarvestOAuthConfigured,
+  getHarvestAuthorizeUrl,
+  exchangeHarvestAuthorizationCode,
+  getHarvestOAuthToken,
+};
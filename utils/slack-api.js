@@ -11,47 +11,106 @@
 
 import fetch from 'node-fetch';
 import Logger from './logger.js';
+import { formatHours } from './company-settings.js';
+import { readState, writeState, isStateStoreConfigured } from './state-store.js';
+import { getMappedSlackUserId } from './slack-user-mapping.js';
+
+// Slack recommends requesting no more than 200 members per page
+const DEFAULT_USERS_PAGE_SIZE = 200;
+const DEFAULT_LOOKUP_CACHE_TTL_HOURS = 24;
+const DEFAULT_MAX_RETRIES = 3;
+const LOOKUP_CACHE_NAMESPACE = 'slackUserLookups';
+
+/**
+ * Fetches a page of Slack users, retrying while Slack rate limits the request
+ *
+ * Waits as long as Slack's Retry-After header asks (1 second without it), up
+ * to SLACK_MAX_RETRIES (default: 3) times.
+ *
+ * @param {string} url - users.list URL including limit and cursor
+ * @param {string} token - The Slack API token
+ * @returns {Promise<Object>} users.list response body
+ * @throws {Error} If the API request fails
+ */
+async function fetchSlackUsersPage(url, token) {
+  const parsedRetries = parseInt(process.env.SLACK_MAX_RETRIES, 10);
+  const maxRetries = Number.isNaN(parsedRetries) ? DEFAULT_MAX_RETRIES : parsedRetries;
+
+  for (let attempt = 0; ; attempt++) {
+    Logger.apiRequest('Slack', 'GET /api/users.list');
+    const response = await fetch(url, {
+      method: 'get',
+      headers: {
+        Accept: 'application/json',
+        Authorization: `Bearer ${token}`,
+      },
+    });
+
+    const data = await response.json();
+    Logger.apiResponse('Slack', response.status, {
+      membersCount: data.members?.length || 0,
+      ok: data.ok,
+    });
+
+    const rateLimited = response.status === 429 || data.error === 'ratelimited';
+    if (!rateLimited || attempt >= maxRetries) {
+      return data;
+    }
+
+    const retryAfter = Number(response.headers?.get?.('retry-after') ?? NaN);
+    const delay = (Number.isNaN(retryAfter) ? 1 : retryAfter) * 1000;
+    Logger.warn('Retrying Slack API request', {
+      endpoint: 'GET /api/users.list',
+      attempt: attempt + 1,
+      maxRetries,
+      delayMs: delay,
+    });
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+}
 
 /**
  * Retrieves users from Slack workspace
  *
- * Fetches all users from the Slack workspace and filters out deleted users and bots.
+ * Fetches all users from the Slack workspace, following the response cursor
+ * until the last page, and filters out deleted users and bots. The page size is
+ * taken from SLACK_USERS_PAGE_SIZE.
  *
  * @param {string} token - The Slack API token
  * @returns {Promise<Array>} Array of active Slack users
- * @throws {Error} If the API request fails
+ * @throws {Error} If the API request fails, or any page cannot be fetched
  */
 async function getSlackUsers(token) {
   Logger.functionEntry('getSlackUsers');
 
-  Logger.apiRequest('Slack', 'GET /api/users.list');
-  const response = await fetch('https://slack.com/api/users.list', {
-    method: 'get',
-    headers: {
-      Accept: 'application/json',
-      Authorization: `Bearer ${token}`,
-    },
-  });
+  const limit = parseInt(process.env.SLACK_USERS_PAGE_SIZE, 10) || DEFAULT_USERS_PAGE_SIZE;
+  const members = [];
+  let cursor = null;
 
-  const data = await response.json();
-  Logger.apiResponse('Slack', response.status, {
-    membersCount: data.members?.length || 0,
-    ok: data.ok,
-  });
+  do {
+    const url = new URL('https://slack.com/api/users.list');
+    url.searchParams.set('limit', limit);
+    if (cursor) {
+      url.searchParams.set('cursor', cursor);
+    }
 
-  // Handle case where data.members is undefined or null
-  if (!data.members || !Array.isArray(data.members)) {
-    Logger.functionExit('getSlackUsers', {
-      totalMembers: 0,
-      activeMembers: 0,
-    });
-    return [];
-  }
+    const data = await fetchSlackUsersPage(url.toString(), token);
 
-  const filteredUsers = data.members.filter((user) => !user.deleted && !user.is_bot);
+    // An empty or incomplete list would leave the missing members unmentioned
+    if (!data.ok || !Array.isArray(data.members)) {
+      throw new Error(
+        `Slack users list page could not be fetched: ${data.error || 'no members returned'}`
+      );
+    }
+
+    members.push(...data.members);
+    cursor = data.response_metadata?.next_cursor;
+  } while (cursor);
+
+  const filteredUsers = members.filter((user) => !user.deleted && !user.is_bot);
 
   Logger.functionExit('getSlackUsers', {
-    totalMembers: data.members?.length || 0,
+    totalMembers: members.length,
     activeMembers: filteredUsers.length,
   });
 
@@ -101,12 +160,250 @@ async function sendSlackMessage(channel, blocks, token) {
   return data;
 }
 
+/**
+ * Retrieves a Slack user by ID using the users.info API
+ *
+ * @param {string} slackUserId - The Slack user ID
+ * @param {string} token - The Slack API token
+ * @returns {Promise<Object|null>} The Slack user, or null if the user does not exist
+ * @throws {Error} If the API request fails or Slack returns another error
+ */
+async function getSlackUserById(slackUserId, token) {
+  Logger.apiRequest('Slack', 'GET /api/users.info', { slackUserId });
+  const response = await fetch(
+    `https://slack.com/api/users.info?user=${encodeURIComponent(slackUserId)}`,
+    {
+      method: 'get',
+      headers: {
+        Accept: 'application/json',
+        Authorization: `Bearer ${token}`,
+      },
+    }
+  );
+
+  const data = await response.json();
+  Logger.apiResponse('Slack', response.status, { ok: data.ok, error: data.error });
+
+  if (data.ok) {
+    return data.user;
+  } else if (data.error === 'user_not_found') {
+    return null;
+  }
+
+  throw new Error(`Slack users.info failed: ${data.error}`);
+}
+
+/**
+ * Logs how a Harvest user was matched with Slack
+ *
+ * @param {Object} harvestUser - Harvest user
+ * @param {Object|undefined} slackUser - Matched Slack user
+ * @param {string} source - Where the match came from ('mapping', 'name', 'email',
+ *   'email lookup' or 'email lookup cache')
+ * @returns {void}
+ */
+function logSlackMatch(harvestUser, slackUser, source) {
+  if (slackUser) {
+    Logger.info('Harvest user matched with Slack', {
+      userId: harvestUser.id,
+      slackUserId: slackUser.id,
+      source,
+    });
+  } else {
+    Logger.info('Harvest user not found in Slack', { userId: harvestUser.id });
+  }
+}
+
+/**
+ * Finds the Slack user of a Harvest user
+ *
+ * A Slack user mapped in SLACK_USER_MAPPING_FILE takes precedence. Otherwise
+ * matches on the Slack real or display name, or on the email address.
+ *
+ * @param {Object} harvestUser - Harvest user with id, first_name, last_name and email
+ * @param {Array} slackUsers - Array of Slack users
+ * @returns {Object|undefined} Matching Slack user, or undefined if there is no match
+ */
+function findSlackUser(harvestUser, slackUsers) {
+  const mappedSlackUserId = getMappedSlackUserId(harvestUser);
+  if (mappedSlackUserId) {
+    const slackUser = slackUsers.find((user) => user.id === mappedSlackUserId) || {
+      id: mappedSlackUserId,
+    };
+    logSlackMatch(harvestUser, slackUser, 'mapping');
+    return slackUser;
+  }
+
+  const fullName = `${harvestUser.first_name} ${harvestUser.last_name}`.toLowerCase();
+  const email = (harvestUser.email || '').toLowerCase();
+  const isEmailMatch = (slackUser) =>
+    Boolean(email) && (slackUser.profile.email || '').toLowerCase() === email;
+
+  const slackUser = slackUsers.find(
+    (user) =>
+      [
+        user.profile.real_name_normalized.toLowerCase(),
+        user.profile.display_name_normalized.toLowerCase(),
+      ].includes(fullName) || isEmailMatch(user)
+  );
+  logSlackMatch(harvestUser, slackUser, slackUser && isEmailMatch(slackUser) ? 'email' : 'name');
+
+  return slackUser;
+}
+
+/**
+ * Looks up a Slack user by email using the users.lookupByEmail API
+ *
+ * Requires the users:read.email scope.
+ *
+ * @param {string} email - Email address to look up
+ * @param {string} token - The Slack API token
+ * @returns {Promise<Object|null>} The Slack user, or null if no member has the email
+ * @throws {Error} If the API request fails or Slack returns another error
+ */
+async function lookupSlackUserByEmail(email, token) {
+  Logger.apiRequest('Slack', 'GET /api/users.lookupByEmail');
+  const response = await fetch(
+    `https://slack.com/api/users.lookupByEmail?email=${encodeURIComponent(email)}`,
+    {
+      method: 'get',
+      headers: {
+        Accept: 'application/json',
+        Authorization: `Bearer ${token}`,
+      },
+    }
+  );
+
+  const data = await response.json();
+  Logger.apiResponse('Slack', response.status, { ok: data.ok, error: data.error });
+
+  if (data.ok) {
+    return data.user;
+  } else if (data.error === 'users_not_found') {
+    return null;
+  }
+
+  throw new Error(`Slack users.lookupByEmail failed: ${data.error}`);
+}
+
+/**
+ * Finds the Slack user of each Harvest user by email, falling back to name matching
+ *
+ * Lookups are cached in the state store for SLACK_LOOKUP_CACHE_TTL_HOURS,
+ * including emails without a Slack member. Without STATE_FILE_PATH every email
+ * is looked up on each run instead. Only when users remain unmatched
+ * is the whole workspace fetched to match them by name.
+ *
+ * @param {Array} harvestUsers - Harvest users to find
+ * @param {string} token - The Slack API token
+ * @returns {Promise<Map>} Slack user (or undefined) keyed by Harvest user ID. Cached
+ *   Slack users only have an id
+ */
+async function findSlackUsersByEmail(harvestUsers, token) {
+  Logger.functionEntry('findSlackUsersByEmail', { harvestUsersCount: harvestUsers.length });
+
+  const ttlHours =
+    parseFloat(process.env.SLACK_LOOKUP_CACHE_TTL_HOURS) || DEFAULT_LOOKUP_CACHE_TTL_HOURS;
+  const ttl = ttlHours * 60 * 60 * 1000;
+  const isFresh = (entry) => entry && Date.now() - Date.parse(entry.cachedAt) < ttl;
+
+  // Expired lookups are dropped when the cache is saved
+  const useCache = isStateStoreConfigured();
+  const cachedLookups = useCache ? await readState(LOOKUP_CACHE_NAMESPACE) : {};
+  const cache = Object.fromEntries(
+    Object.entries(cachedLookups).filter(([, entry]) => isFresh(entry))
+  );
+  let cacheChanged = false;
+  const slackUsers = new Map();
+
+  for (const harvestUser of harvestUsers) {
+    const mappedSlackUserId = getMappedSlackUserId(harvestUser);
+    if (mappedSlackUserId) {
+      slackUsers.set(harvestUser.id, { id: mappedSlackUserId });
+      logSlackMatch(harvestUser, { id: mappedSlackUserId }, 'mapping');
+      continue;
+    }
+
+    const email = (harvestUser.email || '').toLowerCase();
+    if (!email) {
+      continue;
+    }
+
+    if (isFresh(cache[email])) {
+      const { slackUserId } = cache[email];
+      if (slackUserId) {
+        slackUsers.set(harvestUser.id, { id: slackUserId });
+        logSlackMatch(harvestUser, { id: slackUserId }, 'email lookup cache');
+      }
+      continue;
+    }
+
+    try {
+      const slackUser = await lookupSlackUserByEmail(email, token);
+      cache[email] = {
+        slackUserId: slackUser?.id || null,
+        cachedAt: new Date(Date.now()).toISOString(),
+      };
+      cacheChanged = true;
+      if (slackUser) {
+        slackUsers.set(harvestUser.id, slackUser);
+        logSlackMatch(harvestUser, slackUser, 'email lookup');
+      }
+    } catch (error) {
+      Logger.warn('Slack lookup by email failed, falling back to name matching', {
+        userId: harvestUser.id,
+        error: error.message,
+      });
+    }
+  }
+
+  if (useCache && cacheChanged) {
+    await writeState(LOOKUP_CACHE_NAMESPACE, cache);
+  }
+
+  const unmatchedUsers = harvestUsers.filter((harvestUser) => !slackUsers.get(harvestUser.id));
+  if (unmatchedUsers.length) {
+    Logger.info('Matching Slack users by name', { unmatchedCount: unmatchedUsers.length });
+    const workspaceUsers = await getSlackUsers(token);
+    unmatchedUsers.forEach((harvestUser) => {
+      slackUsers.set(harvestUser.id, findSlackUser(harvestUser, workspaceUsers));
+    });
+  }
+
+  Logger.functionExit('findSlackUsersByEmail', {
+    matchedCount: [...slackUsers.values()].filter(Boolean).length,
+    lookupsCached: !cacheChanged,
+  });
+
+  return slackUsers;
+}
+
+/**
+ * Sets the Slack mention and notification text of a Harvest user
+ *
+ * @param {Object} user - Harvest user with first_name, last_name and totalHours
+ * @param {Object|undefined} slackUser - Matched Slack user
+ * @returns {Object} The user with slackMention and slackUser set
+ */
+function applySlackMention(user, slackUser) {
+  const fullName = `${user.first_name} ${user.last_name}`;
+
+  // Mention the matched Slack user, falling back to the plain name
+  user.slackMention = slackUser ? `<@${slackUser.id}>` : fullName;
+
+  // Format user mention with hours logged
+  user.slackUser = `${user.slackMention} (Hours logged: ${formatHours(user.totalHours)})`;
+
+  return user;
+}
+
 /**
  * Matches Harvest users with Slack users and formats notification text
  *
  * @param {Array} usersToNotify - Array of Harvest users to notify
  * @param {Array} slackUsers - Array of Slack users
- * @returns {Array} Array of users with formatted Slack mentions
+ * @returns {Array} Array of users with formatted Slack mentions (`slackUser` includes the
+ *   hours logged, `slackMention` is the bare mention or name)
  */
 function matchUsersWithSlack(usersToNotify, slackUsers) {
   Logger.functionEntry('matchUsersWithSlack', {
@@ -124,24 +421,9 @@ function matchUsersWithSlack(usersToNotify, slackUsers) {
     return [];
   }
 
-  const matchedUsers = usersToNotify.map((user) => {
-    const fullName = `${user.first_name} ${user.last_name}`;
-    const slackUser = slackUsers.find(
-      (slackUser) =>
-        [
-          slackUser.profile.real_name_normalized.toLowerCase(),
-          slackUser.profile.display_name_normalized.toLowerCase(),
-        ].includes(fullName.toLowerCase()) ||
-        (slackUser.profile.email || '').toLowerCase() === user.email.toLowerCase()
-    );
-
-    // Format user mention with hours logged
-    user.slackUser = slackUser
-      ? `<@${slackUser.id}> (Hours logged: ${user.totalHours})`
-      : `${fullName} (Hours logged: ${user.totalHours})`;
-
-    return user;
-  });
+  const matchedUsers = usersToNotify.map((user) =>
+    applySlackMention(user, findSlackUser(user, slackUsers))
+  );
 
   const matchedCount = matchedUsers.filter((user) => user.slackUser.includes('<@')).length;
   Logger.functionExit('matchUsersWithSlack', {
@@ -153,4 +435,30 @@ function matchUsersWithSlack(usersToNotify, slackUsers) {
   return matchedUsers;
 }
 
-export { getSlackUsers, sendSlackMessage, matchUsersWithSlack };
+/**
+ * Matches Harvest users with Slack users by email lookup and formats notification text
+ *
+ * @param {Array} usersToNotify - Array of Harvest users to notify
+ * @param {string} token - The Slack API token
+ * @returns {Promise<Array>} Array of users with formatted Slack mentions, as matchUsersWithSlack
+ */
+async function matchUsersWithSlackByEmail(usersToNotify, token) {
+  if (!usersToNotify || !Array.isArray(usersToNotify)) {
+    return [];
+  }
+
+  const slackUsers = await findSlackUsersByEmail(usersToNotify, token);
+
+  return usersToNotify.map((user) => applySlackMention(user, slackUsers.get(user.id)));
+}
+
+export {
+  getSlackUsers,
+  sendSlackMessage,
+  matchUsersWithSlack,
+  matchUsersWithSlackByEmail,
+  findSlackUser,
+  findSlackUsersByEmail,
+  lookupSlackUserByEmail,
+  getSlackUserById,
+};
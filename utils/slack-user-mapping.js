@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Harvest-to-Slack identity mapping for Harvest Notifier
+ *
+ * Loads an explicit mapping of Harvest users to Slack users from
+ * SLACK_USER_MAPPING_FILE, for people automatic matching cannot find (such as
+ * different emails in Harvest and Slack, or nicknames). Mapped users take
+ * precedence over automatic matching.
+ *
+ * @author tiaan.swart@sleeq.global
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import Logger from './logger.js';
+
+const SLACK_USER_ID_PATTERN = /^[UW][A-Z0-9]{2,}$/;
+
+let slackUserMapping = new Map();
+
+/**
+ * Normalizes a Harvest user ID or email used as mapping key
+ *
+ * @param {string|number} key - Harvest user ID or email
+ * @returns {string} Key as string, emails in lower case
+ */
+function normalizeMappingKey(key) {
+  return String(key).trim().toLowerCase();
+}
+
+/**
+ * Parses the content of a mapping file
+ *
+ * JSON files hold an object keyed by Harvest user ID or email, e.g.
+ * {"1234567": "U0123ABC", "jo@example.com": "U0456DEF"}. CSV files hold one
+ * `harvest,slack` pair per line, with an optional header row.
+ *
+ * @param {string} content - File content
+ * @param {string} format - 'json' or 'csv'
+ * @returns {Map} Slack user IDs keyed by Harvest user ID or lower case email
+ * @throws {Error} If the content is not valid or a Slack user ID is malformed
+ */
+function parseSlackUserMapping(content, format) {
+  let entries;
+
+  if (format === 'csv') {
+    entries = content
+      .split(/\r?\n/)
+      .map((line, index) => ({ cells: line.split(',').map((cell) => cell.trim()), line: index + 1 }))
+      .filter(({ cells }) => cells.some(Boolean))
+      // Skip a header row such as "harvest,slack"
+      .filter(({ cells, line }) => !(line === 1 && !SLACK_USER_ID_PATTERN.test(cells[1])))
+      .map(({ cells, line }) => {
+        if (cells.length !== 2 || !cells[0]) {
+          throw new Error(`Slack user mapping line ${line} must be a "harvest,slack" pair`);
+        }
+        return [cells[0], cells[1], `line ${line}`];
+      });
+  } else {
+    let mapping;
+    try {
+      mapping = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Slack user mapping is not valid JSON: ${error.message}`);
+    }
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      throw new Error('Slack user mapping must be a JSON object of Harvest user IDs or emails');
+    }
+    entries = Object.entries(mapping).map(([harvest, slack]) => [harvest, slack, `"${harvest}"`]);
+  }
+
+  return new Map(
+    entries.map(([harvest, slack, location]) => {
+      if (!SLACK_USER_ID_PATTERN.test(slack)) {
+        throw new Error(`Slack user mapping ${location} has an invalid Slack user ID: ${slack}`);
+      }
+      return [normalizeMappingKey(harvest), slack];
+    })
+  );
+}
+
+/**
+ * Loads the mapping file and uses it for the rest of the run
+ *
+ * Mappings to Slack users that do not exist or were deactivated are logged and
+ * ignored. Without SLACK_USER_MAPPING_FILE the mapping is empty.
+ *
+ * @param {Function} getSlackUserById - Async function returning a Slack user by ID, or null
+ * @returns {Promise<Map>} Slack user IDs keyed by Harvest user ID or lower case email
+ * @throws {Error} If the mapping file cannot be read or is not valid
+ */
+async function loadSlackUserMapping(getSlackUserById) {
+  const filePath = process.env.SLACK_USER_MAPPING_FILE;
+  if (!filePath) {
+    slackUserMapping = new Map();
+    return slackUserMapping;
+  }
+
+  let content;
+  try {
+    content = await readFile(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Unable to read Slack user mapping file ${filePath}: ${error.message}`);
+  }
+
+  const format = extname(filePath).toLowerCase() === '.csv' ? 'csv' : 'json';
+  const mapping = parseSlackUserMapping(content, format);
+
+  for (const slackUserId of new Set(mapping.values())) {
+    const slackUser = await getSlackUserById(slackUserId);
+    if (!slackUser || slackUser.deleted) {
+      const harvestUsers = [...mapping].filter(([, id]) => id === slackUserId).map(([key]) => key);
+      Logger.warn('Mapped Slack user does not exist, mapping ignored', { slackUserId, harvestUsers });
+      harvestUsers.forEach((key) => mapping.delete(key));
+    }
+  }
+
+  Logger.info('Slack user mapping loaded', { filePath, mappingsCount: mapping.size });
+  slackUserMapping = mapping;
+
+  return slackUserMapping;
+}
+
+/**
+ * Gets the mapped Slack user ID of a Harvest user
+ *
+ * @param {Object} harvestUser - Harvest user with id and email
+ * @returns {string|null} Mapped Slack user ID by Harvest user ID, then email, or null
+ */
+function getMappedSlackUserId(harvestUser) {
+  return (
+    slackUserMapping.get(normalizeMappingKey(harvestUser.id)) ||
+    (harvestUser.email && slackUserMapping.get(normalizeMappingKey(harvestUser.email))) ||
+    null
+  );
+}
+
+/**
+ * Clears the mapping
+ *
+ * @returns {void}
+ */
+function resetSlackUserMapping() {
+  slackUserMapping = new Map();
+}
+
+export { parseSlackUserMapping, loadSlackUserMapping, getMappedSlackUserId, resetSlackUserMapping };
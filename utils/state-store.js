@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Persistent state store for Harvest Notifier
+ *
+ * Keeps small pieces of state between runs (such as which alerts were already
+ * sent, or the Harvest OAuth2 tokens) in a JSON file that only its owner can
+ * read. Each feature reads and writes its own namespace so features cannot
+ * overwrite each other's state.
+ *
+ * @author tiaan.swart@sleeq.global
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { readFile, writeFile, chmod } from 'fs/promises';
+import Logger from './logger.js';
+
+const DEFAULT_STATE_FILE = '.harvest-notifier-state.json';
+
+/**
+ * Whether a state file was configured explicitly
+ *
+ * The default state file lives in the working directory, which does not survive
+ * between runs on hosts with an ephemeral filesystem (such as Heroku dynos), so
+ * features that depend on earlier runs require STATE_FILE_PATH.
+ *
+ * @returns {boolean} True when STATE_FILE_PATH is set
+ */
+function isStateStoreConfigured() {
+  return Boolean(process.env.STATE_FILE_PATH);
+}
+
+/**
+ * Gets the path of the state file
+ *
+ * @returns {string} STATE_FILE_PATH or the default state file in the working directory
+ */
+function getStateFilePath() {
+  return process.env.STATE_FILE_PATH || DEFAULT_STATE_FILE;
+}
+
+/**
+ * Reads the whole state file
+ *
+ * @returns {Promise<Object>} Parsed state, or an empty object if the file does not exist yet
+ * @throws {Error} If the state file cannot be read or is not valid JSON
+ */
+async function readStateFile() {
+  const stateFilePath = getStateFilePath();
+
+  try {
+    return JSON.parse(await readFile(stateFilePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      Logger.debug('State file not found, starting with empty state', { stateFilePath });
+      return {};
+    }
+    throw new Error(`Unable to read state file ${stateFilePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Reads the state stored under a namespace
+ *
+ * @param {string} namespace - Feature namespace (e.g. 'budgetAlerts')
+ * @returns {Promise<Object>} Stored state, or an empty object if nothing was stored
+ * @throws {Error} If the state file cannot be read or is not valid JSON
+ */
+async function readState(namespace) {
+  const state = await readStateFile();
+  return state[namespace] || {};
+}
+
+/**
+ * Replaces the state stored under a namespace
+ *
+ * @param {string} namespace - Feature namespace (e.g. 'budgetAlerts')
+ * @param {Object} data - State to store
+ * @returns {Promise<void>}
+ * @throws {Error} If the state file cannot be read or written
+ */
+async function writeState(namespace, data) {
+  const state = await readStateFile();
+  state[namespace] = data;
+
+  // The state may hold OAuth2 tokens, so the file is private to its owner
+  await writeFile(getStateFilePath(), `${JSON.stringify(state, null, 2)}\n`, { mode: 0o600 });
+  await chmod(getStateFilePath(), 0o600);
+  Logger.debug('State saved', { stateFilePath: getStateFilePath(), namespace });
+}
+
+export { readState, writeState, getStateFilePath, isStateStoreConfigured };